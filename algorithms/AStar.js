@@ -1,245 +1,43 @@
+import { HeuristicAlgorithm } from './HeuristicAlgorithm.js';
+import { AStarSolver } from './engine/AStarSolver.js';
+
 /**
  * A* Search algorithm implementation for pathfinding
  * Uses heuristic to guide search towards the goal more efficiently
  */
-export class AStarAlgorithm {
+export class AStarAlgorithm extends HeuristicAlgorithm {
     constructor(grid) {
-        this.grid = grid;
-        this.isRunning = false;
-        this.animationSpeed = 50; // milliseconds
-        this.nodesExplored = 0;
-        this.pathLength = 0;
+        super(grid);
+        this.heuristicWeight = 1;
     }
-    
-    /**
-     * Set animation speed
-     * @param {string} speed - Speed setting ('slow', 'medium', 'fast')
-     */
-    setAnimationSpeed(speed) {
-        const speedMap = {
-            'slow': 100,
-            'medium': 50,
-            'fast': 10
-        };
-        this.animationSpeed = speedMap[speed] || 50;
-    }
-    
-    /**
-     * Find path using A* algorithm with animation
-     * @param {Function} onProgress - Callback for progress updates
-     * @param {Function} onComplete - Callback when algorithm completes
-     * @returns {Promise<Object>} Result object with path and statistics
-     */
-    async findPath(onProgress, onComplete) {
-        if (this.isRunning) return;
-        
-        this.isRunning = true;
-        this.nodesExplored = 0;
-        this.pathLength = 0;
-        
-        // Reset all nodes
-        this.grid.resetAlgorithmStates();
-        
-        // Get start and end nodes
-        const startNode = this.grid.startNode;
-        const endNode = this.grid.endNode;
-        
-        if (!startNode || !endNode) {
-            this.isRunning = false;
-            return { success: false, message: 'Start or end node not found' };
-        }
-        
-        // Initialize start node
-        startNode.gScore = 0;
-        startNode.fScore = this.calculateHeuristic(startNode, endNode);
-        
-        // Open set contains nodes to be evaluated
-        const openSet = [startNode];
-        // Closed set contains nodes already evaluated
-        const closedSet = new Set();
-        
-        while (openSet.length > 0) {
-            if (!this.isRunning) {
-                if (onComplete) onComplete({ success: false, message: 'Stopped', nodesExplored: this.nodesExplored, pathLength: 0 });
-                return { success: false, message: 'Stopped', nodesExplored: this.nodesExplored, pathLength: 0 };
-            }
-            // Get node with lowest fScore
-            openSet.sort((a, b) => a.fScore - b.fScore);
-            const currentNode = openSet.shift();
-            
-            // Add to closed set
-            closedSet.add(currentNode);
-            
-            // Mark as explored and update visuals
-            if (!currentNode.isStart && !currentNode.isEnd) {
-                currentNode.markAsExplored();
-                this.nodesExplored++;
-                
-                // Update progress
-                if (onProgress) {
-                    onProgress(this.nodesExplored, 0);
-                }
-                
-                // Animate exploration
-                await this.delay(this.animationSpeed);
-                if (!this.isRunning) {
-                    if (onComplete) onComplete({ success: false, message: 'Stopped', nodesExplored: this.nodesExplored, pathLength: 0 });
-                    return { success: false, message: 'Stopped', nodesExplored: this.nodesExplored, pathLength: 0 };
-                }
-            }
-            
-            // Check if we reached the goal
-            if (currentNode === endNode) {
-                const path = this.reconstructPath(endNode);
-                this.pathLength = path.length;
-                
-                // Animate path
-                await this.animatePath(path);
-                
-                this.isRunning = false;
-                
-                const result = {
-                    success: true,
-                    path: path,
-                    nodesExplored: this.nodesExplored,
-                    pathLength: this.pathLength
-                };
-                
-                if (onComplete) {
-                    onComplete(result);
-                }
-                
-                return result;
-            }
-            
-            // Examine neighbors
-            const neighbors = this.grid.getNeighbors(currentNode);
-            
-            for (const neighbor of neighbors) {
-                if (!this.isRunning) {
-                    if (onComplete) onComplete({ success: false, message: 'Stopped', nodesExplored: this.nodesExplored, pathLength: 0 });
-                    return { success: false, message: 'Stopped', nodesExplored: this.nodesExplored, pathLength: 0 };
-                }
-                // Skip walls and already evaluated nodes
-                if (neighbor.isWall || closedSet.has(neighbor)) {
-                    continue;
-                }
-                
-                // Calculate tentative gScore
-                const tentativeGScore = currentNode.gScore + neighbor.getMovementCost();
-                
-                // Check if this neighbor is not in openSet
-                const neighborInOpenSet = openSet.includes(neighbor);
-                
-                if (!neighborInOpenSet) {
-                    // Add neighbor to openSet
-                    openSet.push(neighbor);
-                } else if (tentativeGScore >= neighbor.gScore) {
-                    // This is not a better path
-                    continue;
-                }
-                
-                // This path is the best until now. Record it!
-                neighbor.previousNode = currentNode;
-                neighbor.gScore = tentativeGScore;
-                neighbor.fScore = neighbor.gScore + this.calculateHeuristic(neighbor, endNode);
-            }
-        }
-        
-        // No path found
-        this.isRunning = false;
-        
-        const result = {
-            success: false,
-            message: 'No path found',
-            nodesExplored: this.nodesExplored,
-            pathLength: 0
-        };
-        
-        if (onComplete) {
-            onComplete(result);
-        }
-        
-        return result;
-    }
-    
-    /**
-     * Calculate heuristic (Manhattan distance) from node to goal
-     * @param {Node} node - Current node
-     * @param {Node} goal - Goal node
-     * @returns {number} Heuristic value
-     */
-    calculateHeuristic(node, goal) {
-        // Using Manhattan distance as heuristic
-        // This is admissible (never overestimates) for grid-based movement
-        return node.manhattanDistanceTo(goal);
-    }
-    
-    /**
-     * Reconstruct the path from start to end
-     * @param {Node} endNode - The destination node
-     * @returns {Node[]} Array of nodes representing the path
-     */
-    reconstructPath(endNode) {
-        const path = [];
-        let currentNode = endNode;
-        
-        while (currentNode !== null) {
-            path.unshift(currentNode);
-            currentNode = currentNode.previousNode;
-        }
-        
-        return path;
-    }
-    
+
     /**
-     * Animate the final path
-     * @param {Node[]} path - Array of path nodes
+     * Create the headless A* solver
+     * @param {GridModel} model - Snapshot of the grid
+     * @returns {AStarSolver} Solver instance
      */
-    async animatePath(path) {
-        for (let i = 1; i < path.length - 1; i++) {
-            if (!this.isRunning) return;
-            const node = path[i];
-            node.markAsPath();
-            await this.delay(this.animationSpeed * 2);
-            if (!this.isRunning) return;
-        }
+    createSolver(model) {
+        return new AStarSolver(model, {
+            heuristic: (node, goal) => this.calculateHeuristic(node, goal),
+            weight: this.heuristicWeight
+        });
     }
-    
-    /**
-     * Stop the algorithm execution
-     */
-    stop() {
-        this.isRunning = false;
-    }
-    
+
     /**
-     * Check if algorithm is currently running
-     * @returns {boolean} True if algorithm is running
+     * Check whether the current settings guarantee an optimal path
+     * @returns {boolean} True if the heuristic is admissible and unweighted
      */
-    isAlgorithmRunning() {
-        return this.isRunning;
+    isAdmissible() {
+        return this.heuristicWeight <= 1 && super.isAdmissible();
     }
-    
+
     /**
-     * Get current statistics
-     * @returns {Object} Current algorithm statistics
+     * Describe the current heuristic settings
+     * @returns {string} Label such as "Manhattan" or "Euclidean × 2"
      */
-    getStatistics() {
-        return {
-            nodesExplored: this.nodesExplored,
-            pathLength: this.pathLength,
-            isRunning: this.isRunning
-        };
-    }
-    
-    /**
-     * Utility function to create delays for animation
-     * @param {number} ms - Milliseconds to delay
-     * @returns {Promise} Promise that resolves after delay
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    getHeuristicLabel() {
+        const label = super.getHeuristicLabel();
+        return this.heuristicWeight > 1 ? `${label} × ${this.heuristicWeight}` : label;
     }
     
     /**
@@ -248,11 +46,12 @@ export class AStarAlgorithm {
      */
     getAlgorithmInfo() {
         return {
-            name: "A* Search Algorithm",
+            name: this.heuristicWeight > 1 ? "Weighted A* Search" : "A* Search Algorithm",
             description: "Uses heuristic to guide search towards the goal, typically finding paths faster than Dijkstra",
             timeComplexity: "O(b^d) where b is branching factor and d is depth",
             spaceComplexity: "O(b^d)",
-            guaranteesOptimal: true, // When using admissible heuristic
+            guaranteesOptimal: this.isAdmissible(),
+            heuristic: this.getHeuristicLabel(),
             characteristics: [
                 "Uses heuristic to guide search",
                 "More efficient than Dijkstra for single target",
@@ -261,29 +60,13 @@ export class AStarAlgorithm {
             ]
         };
     }
-    
+
     /**
-     * Set heuristic function (for advanced users)
-     * @param {Function} heuristicFunction - Custom heuristic function
+     * Set the Weighted A* factor applied to the heuristic (f = g + weight * h)
+     * Weights above 1 trade optimality for fewer expansions
+     * @param {number} weight - Heuristic weight, at least 1
      */
-    setHeuristic(heuristicFunction) {
-        this.calculateHeuristic = heuristicFunction;
-    }
-    
-    /**
-     * Get available heuristic functions
-     * @returns {Object} Available heuristic functions
-     */
-    getAvailableHeuristics() {
-        return {
-            manhattan: (node, goal) => node.manhattanDistanceTo(goal),
-            euclidean: (node, goal) => node.euclideanDistanceTo(goal),
-            chebyshev: (node, goal) => Math.max(
-                Math.abs(node.row - goal.row),
-                Math.abs(node.col - goal.col)
-            ),
-            // Zero heuristic turns A* into Dijkstra
-            zero: (node, goal) => 0
-        };
+    setHeuristicWeight(weight) {
+        this.heuristicWeight = Number.isFinite(weight) ? Math.max(1, weight) : 1;
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,78 @@
+import { DijkstraAlgorithm } from './Dijkstra.js';
+import { AStarAlgorithm } from './AStar.js';
+import { BreadthFirstAlgorithm } from './BreadthFirst.js';
+import { DepthFirstAlgorithm } from './DepthFirst.js';
+import { GreedyBestFirstAlgorithm } from './GreedyBestFirst.js';
+import { IDAStarAlgorithm } from './IDAStar.js';
+import { BidirectionalDijkstraAlgorithm } from './BidirectionalDijkstra.js';
+import { BidirectionalAStarAlgorithm } from './BidirectionalAStar.js';
+import { JumpPointSearchAlgorithm } from './JumpPointSearch.js';
+import { DStarLiteAlgorithm } from './DStarLite.js';
+
+/**
+ * Registry of the algorithms the app can compare
+ * Each entry is { id, name, shortName, AlgorithmClass, defaultSelected, bidirectional, jumpPoints, incremental, costsToGoal }; the id
+ * is used for DOM ids (`${id}-grid`, `${id}-explored`...) and performance timings
+ */
+export class AlgorithmRegistry {
+    static entries = new Map();
+
+    /**
+     * Register an algorithm
+     * @param {string} id - Unique id, safe to use in DOM ids
+     * @param {Object} options - Entry options
+     * @param {string} options.name - Panel title
+     * @param {string} options.shortName - Label for tabs and summaries
+     * @param {Function} options.AlgorithmClass - AnimatedAlgorithm subclass
+     * @param {boolean} [options.defaultSelected=false] - Compared when the app starts
+     * @param {boolean} [options.bidirectional=false] - Searches from both ends (shows the extra legend entries)
+     * @param {boolean} [options.jumpPoints=false] - Draws scanned cells (shows the scanned legend entry)
+     * @param {boolean} [options.incremental=false] - Repairs its search during an agent walk instead of restarting
+     * @param {boolean} [options.costsToGoal=false] - Measures its costs to the goal (shows the cost-to-end legend entries)
+     */
+    static register(id, { name, shortName, AlgorithmClass, defaultSelected = false, bidirectional = false, jumpPoints = false, incremental = false, costsToGoal = false }) {
+        AlgorithmRegistry.entries.set(id, { id, name, shortName: shortName || name, AlgorithmClass, defaultSelected, bidirectional, jumpPoints, incremental, costsToGoal });
+    }
+
+    /**
+     * Get a registered algorithm
+     * @param {string} id - Algorithm id
+     * @returns {Object|undefined} Registry entry
+     */
+    static get(id) {
+        return AlgorithmRegistry.entries.get(id);
+    }
+
+    /**
+     * Get all registered algorithms in registration order
+     * @returns {Object[]} Registry entries
+     */
+    static getAll() {
+        return [...AlgorithmRegistry.entries.values()];
+    }
+
+    /**
+     * Create an algorithm instance for a grid
+     * @param {string} id - Algorithm id
+     * @param {Grid} grid - Grid the algorithm runs on
+     * @returns {AnimatedAlgorithm} Algorithm instance
+     */
+    static create(id, grid) {
+        const entry = AlgorithmRegistry.get(id);
+        if (!entry) {
+            throw new Error(`Unknown algorithm: ${id}`);
+        }
+        return new entry.AlgorithmClass(grid);
+    }
+}
+
+AlgorithmRegistry.register('dijkstra', { name: "Dijkstra's Algorithm", shortName: 'Dijkstra', AlgorithmClass: DijkstraAlgorithm, defaultSelected: true });
+AlgorithmRegistry.register('astar', { name: 'A* Search Algorithm', shortName: 'A*', AlgorithmClass: AStarAlgorithm, defaultSelected: true });
+AlgorithmRegistry.register('bidijkstra', { name: 'Bidirectional Dijkstra', shortName: 'Bi-Dijkstra', AlgorithmClass: BidirectionalDijkstraAlgorithm, bidirectional: true });
+AlgorithmRegistry.register('biastar', { name: 'Bidirectional A*', shortName: 'Bi-A*', AlgorithmClass: BidirectionalAStarAlgorithm, bidirectional: true });
+AlgorithmRegistry.register('jps', { name: 'Jump Point Search', shortName: 'JPS', AlgorithmClass: JumpPointSearchAlgorithm, jumpPoints: true });
+AlgorithmRegistry.register('bfs', { name: 'Breadth-First Search', shortName: 'BFS', AlgorithmClass: BreadthFirstAlgorithm });
+AlgorithmRegistry.register('dfs', { name: 'Depth-First Search', shortName: 'DFS', AlgorithmClass: DepthFirstAlgorithm });
+AlgorithmRegistry.register('greedy', { name: 'Greedy Best-First Search', shortName: 'Greedy', AlgorithmClass: GreedyBestFirstAlgorithm });
+AlgorithmRegistry.register('idastar', { name: 'IDA* Search', shortName: 'IDA*', AlgorithmClass: IDAStarAlgorithm });
+AlgorithmRegistry.register('dstarlite', { name: 'D* Lite', shortName: 'D* Lite', AlgorithmClass: DStarLiteAlgorithm, incremental: true, costsToGoal: true });
@@ -0,0 +1,632 @@
+import { GridModel } from './engine/GridModel.js';
+import { WaypointPlanner } from './engine/WaypointPlanner.js';
+import { PathVerifier } from './engine/PathVerifier.js';
+
+/**
+ * Base class for the animated algorithms shown on a Grid
+ * The search itself runs headlessly through a solver from algorithms/engine;
+ * this class turns the solver's result into a timeline of frames and replays it
+ */
+export class AnimatedAlgorithm {
+    constructor(grid) {
+        this.grid = grid;
+        this.isRunning = false;
+        this.animationSpeed = 50; // milliseconds
+        this.nodesExplored = 0;
+        // Steps and weighted cost of the path drawn on the grid
+        this.pathLength = 0;
+        this.pathCost = 0;
+        // Open-set size at the current frame
+        this.frontierSize = 0;
+        this.lastResult = null;
+        // Milliseconds the last prepare() spent in the search itself, without drawing or building frames
+        this.solveDuration = 0;
+        this.frames = null;
+        this.cursor = 0;
+        this.optimizeWaypoints = false;
+        // Agent walk state (see startWalk()), null outside a walk
+        this.walk = null;
+    }
+
+    /**
+     * Set animation speed
+     * @param {string} speed - Speed setting ('slow', 'medium', 'fast')
+     */
+    setAnimationSpeed(speed) {
+        const speedMap = {
+            'slow': 100,
+            'medium': 50,
+            'fast': 10
+        };
+        this.animationSpeed = speedMap[speed] || 50;
+    }
+
+    /**
+     * Create the headless solver for this algorithm
+     * @param {GridModel} model - Snapshot of the grid
+     * @returns {Solver} Solver instance
+     */
+    createSolver(model) {
+        throw new Error('createSolver() must be implemented by subclasses');
+    }
+
+    /**
+     * Explain why the algorithm cannot run on the current grid
+     * @returns {string|null} Reason shown in the UI, or null if it can run
+     */
+    getUnavailableReason() {
+        return null;
+    }
+
+    /**
+     * Visit the waypoints in the cheapest order instead of the order they were placed in
+     * @param {boolean} optimize - Whether to reorder the waypoints
+     */
+    setOptimizeWaypoints(optimize) {
+        this.optimizeWaypoints = optimize;
+    }
+
+    /**
+     * Run the solver on the current grid without touching the DOM
+     * With waypoints, each leg of start → W1 → … → goal is solved separately; only the final
+     * leg may stop at any of the goals
+     * @returns {Object} Headless search result (see engine/Solver.js), or a route result
+     *   (see engine/WaypointPlanner.js) when the grid has waypoints
+     */
+    solve() {
+        const model = GridModel.fromGrid(this.grid);
+        if (model.waypoints.length === 0) {
+            return this.createSolver(model).solve();
+        }
+
+        const stops = WaypointPlanner.getStops(model, this.optimizeWaypoints);
+        return WaypointPlanner.solveRoute(model, stops, legModel => this.createSolver(legModel));
+    }
+
+    /**
+     * Solve the current grid and record the replay timeline without animating
+     * Frames are { type: 'explore' | 'scan' | 'meet' | 'path', node, costs, step, leg, direction } and
+     * can be applied or reverted one at a time through seek(); leg is the route leg they belong to
+     * @returns {Object} Headless search result (see engine/Solver.js and engine/WaypointPlanner.js)
+     */
+    prepare() {
+        this.walk = null;
+        this.nodesExplored = 0;
+        this.pathLength = 0;
+        this.pathCost = 0;
+        this.frontierSize = 0;
+        this.solveDuration = 0;
+        this.frames = [];
+        this.cursor = 0;
+
+        // Reset all nodes
+        this.grid.resetAlgorithmStates();
+
+        if (!this.grid.startNode || !this.grid.endNode) {
+            this.lastResult = { success: false, message: 'Start or end node not found', path: [], visitOrder: [], costs: [], nodesExplored: 0, pathLength: 0, pathCost: 0 };
+            return this.lastResult;
+        }
+
+        const unavailableReason = this.getUnavailableReason();
+        if (unavailableReason) {
+            this.lastResult = { success: false, unavailable: true, message: unavailableReason, path: [], visitOrder: [], costs: [], nodesExplored: 0, pathLength: 0, pathCost: 0 };
+            return this.lastResult;
+        }
+
+        const solveStart = performance.now();
+        const searchResult = this.solve();
+        this.solveDuration = performance.now() - solveStart;
+        this.lastResult = searchResult;
+        // A route through waypoints is replayed one leg at a time
+        const legs = searchResult.legs || [searchResult];
+
+        // Scale the heat-map overlay to the most expensive expanded cell
+        let maxCost = 0;
+        for (const leg of legs) {
+            for (const { row, col } of leg.visitOrder) {
+                const costs = leg.costs[row * this.grid.cols + col];
+                const cost = costs.distance !== undefined ? costs.distance : costs.gScore;
+                if (cost > maxCost) maxCost = cost;
+            }
+        }
+        this.grid.setOverlayRange(maxCost);
+
+        // Solvers that expand a cell more than once report the costs of each expansion;
+        // a revisit frame remembers the previous visit so it can be undone
+        const lastVisits = new Map();
+        // Jump point search draws the cells it scanned over once, after the expansion that passed them
+        const scannedCells = new Set();
+        // Path cells shared by several legs remember the leg they were drawn for before
+        const pathLegs = new Map();
+        // Start, end and waypoints keep their own look and are never drawn as explored or path
+        const isStop = node => node.isStart || node.isEnd || node.waypointNumber !== null;
+        const stops = searchResult.stops || [this.grid.startNode, this.grid.endNode];
+
+        legs.forEach((legResult, leg) => {
+            // Every goal is an endpoint of the final leg, since it could have stopped at any of them
+            const finalLeg = leg === stops.length - 2;
+            const isLegEndpoint = node => node === this.grid.getNode(stops[leg].row, stops[leg].col) ||
+                node === this.grid.getNode(stops[leg + 1].row, stops[leg + 1].col) ||
+                (finalLeg && node.isEnd);
+            legResult.visitOrder.forEach(({ row, col }, step) => {
+                const node = this.grid.getNode(row, col);
+                const index = row * this.grid.cols + col;
+                const costs = legResult.visitCosts ? legResult.visitCosts[step] : legResult.costs[index];
+                // Bidirectional searches draw the backward frontier in its own color
+                const direction = legResult.visitSides ? legResult.visitSides[step] : null;
+                const toGoal = AnimatedAlgorithm.measuresToGoal(legResult, step);
+                if (isLegEndpoint(node)) {
+                    // Endpoints are never drawn as explored, so their costs are applied up front
+                    Object.assign(node, costs);
+                } else {
+                    this.frames.push({ type: 'explore', node, costs, step, leg, direction, toGoal, previous: lastVisits.get(index) || null });
+                    lastVisits.set(index, { costs, direction, toGoal });
+                }
+                if (legResult.visitScans) {
+                    const nodes = legResult.visitScans[step]
+                        .map(cell => this.grid.getNode(cell.row, cell.col))
+                        .filter(scanned => !isStop(scanned) && !scannedCells.has(scanned));
+                    nodes.forEach(scanned => scannedCells.add(scanned));
+                    if (nodes.length > 0) this.frames.push({ type: 'scan', nodes, step, leg });
+                }
+            });
+
+            if (legResult.meetingPoint) {
+                const node = this.grid.getNode(legResult.meetingPoint.row, legResult.meetingPoint.col);
+                if (!isStop(node)) {
+                    this.frames.push({ type: 'meet', node, leg });
+                }
+            }
+
+            if (legResult.success) {
+                const path = legResult.path.map(({ row, col }) => this.grid.getNode(row, col));
+                for (let i = 1; i < path.length; i++) {
+                    path[i].previousNode = path[i - 1];
+                }
+                path.filter(node => !isStop(node)).forEach(node => {
+                    const previousLeg = pathLegs.has(node) ? pathLegs.get(node) : null;
+                    this.frames.push({ type: 'path', node, leg, previousLeg });
+                    pathLegs.set(node, leg);
+                });
+            }
+        });
+
+        // Every frame records the open-set size after it; frames between expansions keep the last one
+        const frontierSizes = legs.map(legResult =>
+            legResult.steps ? this.replayFrontier(legResult, legResult.visitOrder.length).history : null
+        );
+        let frontier = 0;
+        this.frames.forEach(frame => {
+            if (frame.type === 'explore' && frontierSizes[frame.leg]) {
+                frontier = frontierSizes[frame.leg][frame.step].open;
+            }
+            frame.frontier = frontier;
+        });
+
+        return searchResult;
+    }
+
+    /**
+     * Number of frames in the prepared timeline
+     * @returns {number} Frame count
+     */
+    get frameCount() {
+        return this.frames ? this.frames.length : 0;
+    }
+
+    /**
+     * Move the grid to the state after the given number of frames
+     * @param {number} position - Frame position (0 = nothing drawn)
+     */
+    seek(position) {
+        if (!this.frames) return;
+        const target = Math.max(0, Math.min(position, this.frames.length));
+        while (this.cursor < target) {
+            this.applyFrame(this.frames[this.cursor++]);
+        }
+        while (this.cursor > target) {
+            this.revertFrame(this.frames[--this.cursor]);
+        }
+        const finished = this.cursor === this.frames.length && this.lastResult.success;
+        this.pathLength = finished ? this.lastResult.pathLength : 0;
+        this.pathCost = finished ? this.lastResult.pathCost : 0;
+        this.frontierSize = this.cursor > 0 ? this.frames[this.cursor - 1].frontier : 0;
+    }
+
+    /**
+     * Check whether an expansion's distance/gScore is the cost to the goal rather than from the start
+     * @param {Object} result - Solver result (one leg of a route)
+     * @param {number} step - Index into result.visitOrder
+     * @returns {boolean} True for D* Lite and the backward half of a bidirectional search
+     */
+    static measuresToGoal(result, step) {
+        return result.costOrigin === 'goal' || Boolean(result.visitSides && result.visitSides[step] === 'backward');
+    }
+
+    /**
+     * Draw a single frame
+     * @param {Object} frame - Timeline frame
+     */
+    applyFrame(frame) {
+        if (frame.type === 'explore') {
+            Object.assign(frame.node, frame.costs);
+            frame.node.searchDirection = frame.direction;
+            frame.node.costsToGoal = frame.toGoal;
+            frame.node.markAsExplored();
+            this.nodesExplored++;
+        } else if (frame.type === 'scan') {
+            frame.nodes.forEach(node => {
+                node.isScanned = true;
+                node.updateVisualState();
+            });
+        } else if (frame.type === 'meet') {
+            frame.node.isMeetingPoint = true;
+            frame.node.updateVisualState();
+        } else if (frame.type === 'path') {
+            frame.node.pathLeg = frame.leg;
+            frame.node.markAsPath();
+        }
+    }
+
+    /**
+     * Undo a single frame
+     * @param {Object} frame - Timeline frame
+     */
+    revertFrame(frame) {
+        if (frame.type === 'explore') {
+            if (frame.previous) {
+                Object.assign(frame.node, frame.previous.costs);
+                frame.node.searchDirection = frame.previous.direction;
+                frame.node.costsToGoal = frame.previous.toGoal;
+            } else {
+                frame.node.isExplored = false;
+                frame.node.searchDirection = null;
+                frame.node.costsToGoal = false;
+            }
+            frame.node.updateVisualState();
+            this.nodesExplored--;
+        } else if (frame.type === 'scan') {
+            frame.nodes.forEach(node => {
+                node.isScanned = false;
+                node.updateVisualState();
+            });
+        } else if (frame.type === 'meet') {
+            frame.node.isMeetingPoint = false;
+            frame.node.updateVisualState();
+        } else if (frame.type === 'path') {
+            if (frame.previousLeg !== null) {
+                frame.node.pathLeg = frame.previousLeg;
+            } else {
+                frame.node.isPath = false;
+                frame.node.pathLeg = null;
+            }
+            frame.node.updateVisualState();
+        }
+    }
+
+    /**
+     * Route leg and number of its expansions (entries of its visitOrder) reached at the current frame
+     * The start is expanded before the first frame and the end after the last
+     * exploration frame, since neither is drawn as explored
+     * @returns {{leg: number, expansions: number}} Search position
+     */
+    getSearchPosition() {
+        const legs = this.lastResult.legs || [this.lastResult];
+        if (this.cursor >= this.frames.length) {
+            const leg = legs.length - 1;
+            return { leg, expansions: legs[leg].visitOrder.length };
+        }
+        if (this.cursor === 0) return { leg: 0, expansions: Math.min(1, legs[0].visitOrder.length) };
+        const frame = this.frames[this.cursor - 1];
+        const leg = frame.leg || 0;
+        return { leg, expansions: frame.step !== undefined ? frame.step + 1 : legs[leg].visitOrder.length };
+    }
+
+    /**
+     * Rebuild the open and closed sets at the current frame (of the current leg, for routes)
+     * @returns {Object|null} { frontier, next, closedCount, history, costFields, priorityField, leg, legCount }
+     *   frontier is sorted in pop order; history holds { closed, open } sizes after each expansion
+     */
+    getSearchState() {
+        if (!this.frames || !this.lastResult) return null;
+        const legs = this.lastResult.legs || [this.lastResult];
+        const { leg, expansions } = this.getSearchPosition();
+        const searchResult = legs[leg];
+        if (!searchResult.steps) return null;
+
+        const { priorityField, frontierOrder } = searchResult;
+        const { open, history } = this.replayFrontier(searchResult, expansions);
+
+        const frontier = frontierOrder === 'lifo'
+            ? [...open.values()].sort((a, b) => b.order - a.order)
+            : [...open.values()].sort((a, b) =>
+                (a.costs[priorityField] - b.costs[priorityField]) || (a.order - b.order)
+            );
+
+        return {
+            frontier,
+            next: expansions < searchResult.visitOrder.length ? searchResult.visitOrder[expansions] : null,
+            closedCount: expansions,
+            history,
+            costFields: searchResult.costFields,
+            priorityField,
+            leg,
+            legCount: legs.length
+        };
+    }
+
+    /**
+     * Replay the open set of a search result up to a number of expansions
+     * @param {Object} searchResult - Search result with steps (a single leg)
+     * @param {number} expansions - Expansions to replay
+     * @returns {Object} { open, history } where open maps each open cell to { row, col, costs, side, order }
+     *   and history holds { closed, open } sizes after each expansion
+     */
+    replayFrontier(searchResult, expansions) {
+        const open = new Map();
+        const history = [];
+        let insertionOrder = 0;
+
+        // Bidirectional searches keep one frontier per side, so a cell can be open twice
+        const keyOf = (row, col, side) => `${side || ''}${row},${col}`;
+        for (let i = 0; i < expansions; i++) {
+            const expanded = searchResult.visitOrder[i];
+            open.delete(keyOf(expanded.row, expanded.col, searchResult.visitSides && searchResult.visitSides[i]));
+            for (const { row, col, costs, side } of searchResult.steps[i].relaxed) {
+                const key = keyOf(row, col, side);
+                const existing = open.get(key);
+                open.set(key, { row, col, costs, side, order: existing ? existing.order : insertionOrder++ });
+            }
+            history.push({ closed: i + 1, open: open.size });
+        }
+        return { open, history };
+    }
+
+    /**
+     * Get the animation delay to use before drawing a frame
+     * @param {number} position - Frame position
+     * @returns {number} Delay in milliseconds
+     */
+    getFrameDelay(position) {
+        const frame = this.frames && this.frames[position];
+        return frame && frame.type === 'path' ? this.animationSpeed * 2 : this.animationSpeed;
+    }
+
+    /**
+     * Get the full result of the prepared run, regardless of the current frame
+     * @returns {Object} Result object with path and statistics
+     */
+    getResult() {
+        const searchResult = this.lastResult;
+        if (!searchResult) return { success: false, message: 'Not run', nodesExplored: 0, pathLength: 0, pathCost: 0 };
+        if (!searchResult.success) {
+            return { success: false, unavailable: Boolean(searchResult.unavailable), message: searchResult.message, nodesExplored: searchResult.nodesExplored, pathLength: 0, pathCost: 0 };
+        }
+        const result = {
+            success: true,
+            path: searchResult.path.map(({ row, col }) => this.grid.getNode(row, col)),
+            nodesExplored: searchResult.nodesExplored,
+            pathLength: searchResult.pathLength,
+            pathCost: searchResult.pathCost,
+            goal: searchResult.goal
+        };
+        if (searchResult.legs) {
+            result.stops = searchResult.stops;
+            result.legs = searchResult.legs.map(({ nodesExplored, pathLength, pathCost }) => ({ nodesExplored, pathLength, pathCost }));
+        }
+        return result;
+    }
+
+    /**
+     * Check the prepared run against a reference search (see engine/PathVerifier.js)
+     * The path must match the reference cost only if the algorithm claims to be optimal
+     * @returns {Object|null} Verification report, null if the run did not search
+     */
+    verifyResult() {
+        const searchResult = this.lastResult;
+        if (!searchResult || searchResult.unavailable || !this.grid.startNode || !this.grid.endNode) return null;
+        return PathVerifier.verify(GridModel.fromGrid(this.grid), searchResult, {
+            expectOptimal: this.getAlgorithmInfo().guaranteesOptimal
+        });
+    }
+
+    /**
+     * Plan the agent's first route for a walk
+     * @param {GridModel} model - Grid model with startIndex at the agent
+     * @returns {Object} Headless search result (see engine/Solver.js)
+     */
+    planWalk(model) {
+        return this.createSolver(model).solve();
+    }
+
+    /**
+     * Plan the agent's route again after cells changed during a walk
+     * Restarts the search from the agent's cell; incremental algorithms override this
+     * to repair their previous search instead
+     * @param {GridModel} model - Grid model with startIndex at the agent and the changes applied
+     * @param {number[]} changed - Flat indices of the changed cells
+     * @returns {Object} Headless search result (see engine/Solver.js)
+     */
+    replanWalk(model, changed) {
+        return this.createSolver(model).solve();
+    }
+
+    /**
+     * Put an agent on the start and plan its route to the nearest goal
+     * The agent then follows the route one stepWalk() at a time, and the route is
+     * replanned whenever changeWalkCells() reports an edit
+     * @returns {boolean} True if the algorithm takes part in the walk
+     */
+    startWalk() {
+        this.walk = null;
+        this.frames = null;
+        this.grid.resetAlgorithmStates();
+        if (!this.grid.startNode || !this.grid.endNode || this.getUnavailableReason()) {
+            this.nodesExplored = 0;
+            this.pathLength = 0;
+            this.pathCost = 0;
+            this.frontierSize = 0;
+            return false;
+        }
+
+        const model = GridModel.fromGrid(this.grid);
+        const result = this.planWalk(model);
+        this.walk = {
+            model,
+            position: model.startIndex,
+            result,
+            path: result.path,
+            firstExplored: result.nodesExplored,
+            replans: 0,
+            reexpanded: 0,
+            steps: 0,
+            walkedCost: 0
+        };
+        this.drawWalk();
+        return true;
+    }
+
+    /**
+     * Move the agent one cell along its route
+     * @returns {boolean} True if the agent moved
+     */
+    stepWalk() {
+        const { walk } = this;
+        if (!walk || walk.path.length < 2) return false;
+        const { model } = walk;
+        const next = model.index(walk.path[1].row, walk.path[1].col);
+        walk.walkedCost += model.getMovementCost(walk.position, next);
+        walk.steps++;
+        walk.position = next;
+        walk.path = walk.path.slice(1);
+        model.startIndex = next;
+        this.drawWalk();
+        return true;
+    }
+
+    /**
+     * Replan after walls or weights changed under a walking agent
+     * @param {Array<{row: number, col: number}>} cells - Cells whose Node state changed
+     */
+    changeWalkCells(cells) {
+        const { walk } = this;
+        if (!walk) return;
+        const { model } = walk;
+        const changed = cells.map(({ row, col }) => {
+            const index = model.index(row, col);
+            const node = this.grid.getNode(row, col);
+            model.walls[index] = node.isWall ? 1 : 0;
+            model.weights[index] = node.weight;
+            return index;
+        });
+        walk.result = this.replanWalk(model, changed);
+        walk.path = walk.result.path;
+        walk.replans++;
+        walk.reexpanded += walk.result.nodesExplored;
+        this.drawWalk();
+    }
+
+    /**
+     * Check whether the agent stands on a cell
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the agent is on the cell
+     */
+    isAgentAt(row, col) {
+        return Boolean(this.walk) && this.walk.position === this.walk.model.index(row, col);
+    }
+
+    /**
+     * Draw the agent, the cells expanded by the latest (re)plan and the rest of the route
+     */
+    drawWalk() {
+        const { walk } = this;
+        const { model, result } = walk;
+        this.grid.resetAlgorithmStates();
+
+        let maxCost = 0;
+        result.visitOrder.forEach(({ row, col }, step) => {
+            const node = this.grid.getNode(row, col);
+            const costs = result.visitCosts ? result.visitCosts[step] : result.costs[model.index(row, col)];
+            const cost = costs.distance !== undefined ? costs.distance : costs.gScore;
+            if (cost !== Infinity && cost > maxCost) maxCost = cost;
+            if (node.isStart || node.isEnd || node.waypointNumber !== null) return;
+            Object.assign(node, costs);
+            node.costsToGoal = AnimatedAlgorithm.measuresToGoal(result, step);
+            node.markAsExplored();
+        });
+        this.grid.setOverlayRange(maxCost);
+
+        walk.path.slice(1)
+            .map(({ row, col }) => this.grid.getNode(row, col))
+            .filter(node => !node.isStart && !node.isEnd)
+            .forEach(node => node.markAsPath());
+
+        const agent = model.toCoords(walk.position);
+        const agentNode = this.grid.getNode(agent.row, agent.col);
+        agentNode.isAgent = true;
+        agentNode.updateVisualState();
+
+        // The agent has already walked part of the planned path, so count only what lies ahead
+        const ahead = walk.path.map(({ row, col }) => model.index(row, col));
+        this.nodesExplored = result.nodesExplored;
+        this.pathLength = Math.max(ahead.length - 1, 0);
+        this.pathCost = ahead.slice(1).reduce((total, index, i) => total + model.getMovementCost(ahead[i], index), 0);
+    }
+
+    /**
+     * Summarize the walk so far
+     * @returns {Object|null} { arrived, goal, firstExplored, replans, reexpanded, steps, walkedCost },
+     *   or null if the algorithm did not take part
+     */
+    getWalkResult() {
+        const { walk } = this;
+        if (!walk) return null;
+        const arrived = walk.model.isGoal(walk.position);
+        return {
+            arrived,
+            goal: arrived ? walk.model.toCoords(walk.position) : null,
+            firstExplored: walk.firstExplored,
+            replans: walk.replans,
+            reexpanded: walk.reexpanded,
+            steps: walk.steps,
+            walkedCost: walk.walkedCost
+        };
+    }
+
+    /**
+     * Stop the algorithm execution
+     */
+    stop() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Check if algorithm is currently running
+     * @returns {boolean} True if algorithm is running
+     */
+    isAlgorithmRunning() {
+        return this.isRunning;
+    }
+
+    /**
+     * Get current statistics
+     * @returns {Object} Current algorithm statistics
+     */
+    getStatistics() {
+        return {
+            nodesExplored: this.nodesExplored,
+            pathLength: this.pathLength,
+            pathCost: this.pathCost,
+            isRunning: this.isRunning
+        };
+    }
+
+    /**
+     * Get algorithm information
+     * @returns {Object} Algorithm information
+     */
+    getAlgorithmInfo() {
+        throw new Error('getAlgorithmInfo() must be implemented by subclasses');
+    }
+}
@@ -0,0 +1,40 @@
+import { HeuristicAlgorithm } from './HeuristicAlgorithm.js';
+import { BidirectionalSolver } from './engine/BidirectionalSolver.js';
+
+/**
+ * Bidirectional A* implementation for pathfinding
+ * Runs A* from the start towards the end and from the end towards the start until they meet
+ */
+export class BidirectionalAStarAlgorithm extends HeuristicAlgorithm {
+    /**
+     * Create the headless bidirectional solver with this algorithm's heuristic
+     * @param {GridModel} model - Snapshot of the grid
+     * @returns {BidirectionalSolver} Solver instance
+     */
+    createSolver(model) {
+        return new BidirectionalSolver(model, {
+            heuristic: (node, goal) => this.calculateHeuristic(node, goal)
+        });
+    }
+
+    /**
+     * Get algorithm information
+     * @returns {Object} Algorithm information
+     */
+    getAlgorithmInfo() {
+        return {
+            name: "Bidirectional A*",
+            description: "Runs A* from both ends at once, each side guided towards the other's origin",
+            timeComplexity: "O(b^(d/2)) per side in the best case",
+            spaceComplexity: "O(b^(d/2))",
+            guaranteesOptimal: this.isAdmissible(),
+            heuristic: this.getHeuristicLabel(),
+            characteristics: [
+                "Two heuristic-guided frontiers",
+                "Guarantees optimal path with admissible heuristic",
+                "Stops once neither frontier can improve the best meeting",
+                "Frontiers may pass each other before meeting in open areas"
+            ]
+        };
+    }
+}
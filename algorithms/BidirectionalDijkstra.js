@@ -0,0 +1,37 @@
+import { AnimatedAlgorithm } from './AnimatedAlgorithm.js';
+import { BidirectionalSolver } from './engine/BidirectionalSolver.js';
+
+/**
+ * Bidirectional Dijkstra implementation for pathfinding
+ * Grows one search from the start and one from the end until they meet
+ */
+export class BidirectionalDijkstraAlgorithm extends AnimatedAlgorithm {
+    /**
+     * Create the headless bidirectional solver without a heuristic
+     * @param {GridModel} model - Snapshot of the grid
+     * @returns {BidirectionalSolver} Solver instance
+     */
+    createSolver(model) {
+        return new BidirectionalSolver(model);
+    }
+
+    /**
+     * Get algorithm information
+     * @returns {Object} Algorithm information
+     */
+    getAlgorithmInfo() {
+        return {
+            name: "Bidirectional Dijkstra",
+            description: "Runs Dijkstra from the start and from the end at the same time and joins the two where they meet",
+            timeComplexity: "O((V + E) log V)",
+            spaceComplexity: "O(V)",
+            guaranteesOptimal: true,
+            characteristics: [
+                "Two frontiers, each roughly half the radius of one",
+                "Guarantees shortest path",
+                "Works with weighted graphs",
+                "No heuristic used"
+            ]
+        };
+    }
+}
@@ -0,0 +1,37 @@
+import { AnimatedAlgorithm } from './AnimatedAlgorithm.js';
+import { BreadthFirstSolver } from './engine/BreadthFirstSolver.js';
+
+/**
+ * Breadth-first search implementation for pathfinding
+ * Explores the grid ring by ring and finds the path with the fewest steps
+ */
+export class BreadthFirstAlgorithm extends AnimatedAlgorithm {
+    /**
+     * Create the headless BFS solver
+     * @param {GridModel} model - Snapshot of the grid
+     * @returns {BreadthFirstSolver} Solver instance
+     */
+    createSolver(model) {
+        return new BreadthFirstSolver(model);
+    }
+
+    /**
+     * Get algorithm information
+     * @returns {Object} Algorithm information
+     */
+    getAlgorithmInfo() {
+        return {
+            name: "Breadth-First Search",
+            description: "Explores nodes in order of their step count from the start, ignoring weights",
+            timeComplexity: "O(V + E)",
+            spaceComplexity: "O(V)",
+            guaranteesOptimal: false, // Only on unweighted grids
+            characteristics: [
+                "Explores uniformly in all directions",
+                "Finds the fewest-steps path",
+                "Ignores weights, so weighted paths may be suboptimal",
+                "No heuristic used"
+            ]
+        };
+    }
+}
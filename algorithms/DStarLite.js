@@ -0,0 +1,69 @@
+import { HeuristicAlgorithm } from './HeuristicAlgorithm.js';
+import { DStarLiteSolver } from './engine/DStarLiteSolver.js';
+
+/**
+ * D* Lite implementation for pathfinding
+ * Searches backward from the goals and keeps its search alive during an agent walk,
+ * repairing it when walls change instead of planning again from scratch
+ */
+export class DStarLiteAlgorithm extends HeuristicAlgorithm {
+    constructor(grid) {
+        super(grid);
+        // Solver kept between replans of an agent walk
+        this.planner = null;
+    }
+
+    /**
+     * Create the headless D* Lite solver
+     * @param {GridModel} model - Snapshot of the grid
+     * @returns {DStarLiteSolver} Solver instance
+     */
+    createSolver(model) {
+        return new DStarLiteSolver(model, {
+            heuristic: (node, goal) => this.calculateHeuristic(node, goal)
+        });
+    }
+
+    /**
+     * Plan the agent's first route and keep the solver for later repairs
+     * @param {GridModel} model - Grid model with startIndex at the agent
+     * @returns {Object} Headless search result
+     */
+    planWalk(model) {
+        this.planner = this.createSolver(model);
+        return this.planner.solve();
+    }
+
+    /**
+     * Repair the previous search around the changed cells
+     * @param {GridModel} model - Grid model with startIndex at the agent and the changes applied
+     * @param {number[]} changed - Flat indices of the changed cells
+     * @returns {Object} Headless search result of the repair only
+     */
+    replanWalk(model, changed) {
+        this.planner.moveStart(model.startIndex);
+        this.planner.updateCells(changed);
+        return this.planner.replan();
+    }
+
+    /**
+     * Get algorithm information
+     * @returns {Object} Algorithm information
+     */
+    getAlgorithmInfo() {
+        return {
+            name: "D* Lite",
+            description: "Searches backward from the goal and repairs that search when the grid changes, so an agent can replan cheaply as it moves",
+            timeComplexity: "O((V + E) log V) for the first plan, usually far less per repair",
+            spaceComplexity: "O(V)",
+            guaranteesOptimal: this.isAdmissible(),
+            heuristic: this.getHeuristicLabel(),
+            characteristics: [
+                "Incremental: reuses its previous search after walls change",
+                "Only re-expands cells whose cost to the goal changed",
+                "Guarantees optimal path with admissible heuristic",
+                "Searches from the goal towards the agent"
+            ]
+        };
+    }
+}
@@ -0,0 +1,37 @@
+import { AnimatedAlgorithm } from './AnimatedAlgorithm.js';
+import { DepthFirstSolver } from './engine/DepthFirstSolver.js';
+
+/**
+ * Depth-first search implementation for pathfinding
+ * Follows one branch as far as it goes before backtracking
+ */
+export class DepthFirstAlgorithm extends AnimatedAlgorithm {
+    /**
+     * Create the headless DFS solver
+     * @param {GridModel} model - Snapshot of the grid
+     * @returns {DepthFirstSolver} Solver instance
+     */
+    createSolver(model) {
+        return new DepthFirstSolver(model);
+    }
+
+    /**
+     * Get algorithm information
+     * @returns {Object} Algorithm information
+     */
+    getAlgorithmInfo() {
+        return {
+            name: "Depth-First Search",
+            description: "Always expands the most recently discovered node, diving deep before backtracking",
+            timeComplexity: "O(V + E)",
+            spaceComplexity: "O(V)",
+            guaranteesOptimal: false,
+            characteristics: [
+                "Uses a stack instead of a priority queue",
+                "Finds a path, not the shortest one",
+                "Ignores weights",
+                "Paths are often long and winding"
+            ]
+        };
+    }
+}
@@ -0,0 +1,40 @@
+import { HeuristicAlgorithm } from './HeuristicAlgorithm.js';
+import { GreedyBestFirstSolver } from './engine/GreedyBestFirstSolver.js';
+
+/**
+ * Greedy best-first search implementation for pathfinding
+ * Heads straight for the goal using only the heuristic
+ */
+export class GreedyBestFirstAlgorithm extends HeuristicAlgorithm {
+    /**
+     * Create the headless greedy best-first solver
+     * @param {GridModel} model - Snapshot of the grid
+     * @returns {GreedyBestFirstSolver} Solver instance
+     */
+    createSolver(model) {
+        return new GreedyBestFirstSolver(model, {
+            heuristic: (node, goal) => this.calculateHeuristic(node, goal)
+        });
+    }
+
+    /**
+     * Get algorithm information
+     * @returns {Object} Algorithm information
+     */
+    getAlgorithmInfo() {
+        return {
+            name: "Greedy Best-First Search",
+            description: "Expands the node that looks closest to the goal, ignoring the cost paid so far",
+            timeComplexity: "O(b^d) where b is branching factor and d is depth",
+            spaceComplexity: "O(b^d)",
+            guaranteesOptimal: false,
+            heuristic: this.getHeuristicLabel(),
+            characteristics: [
+                "Orders the frontier by h only",
+                "Usually explores very few nodes",
+                "Does not guarantee the shortest path",
+                "Easily misled by walls between start and goal"
+            ]
+        };
+    }
+}
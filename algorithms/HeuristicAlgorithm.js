@@ -0,0 +1,67 @@
+import { AnimatedAlgorithm } from './AnimatedAlgorithm.js';
+import { Heuristics, HeuristicDetails, isHeuristicAdmissible } from './engine/Heuristics.js';
+
+/**
+ * Base class for animated algorithms guided by a heuristic (A*, Greedy, IDA*)
+ * Holds the selected heuristic and reports whether it is admissible for the grid's movement rules
+ */
+export class HeuristicAlgorithm extends AnimatedAlgorithm {
+    constructor(grid) {
+        super(grid);
+        this.heuristicName = 'manhattan';
+    }
+
+    /**
+     * Calculate heuristic (Manhattan distance by default) from node to goal
+     * @param {{row: number, col: number}} node - Current position
+     * @param {{row: number, col: number}} goal - Goal position
+     * @returns {number} Heuristic value
+     */
+    calculateHeuristic(node, goal) {
+        return Heuristics.manhattan(node, goal);
+    }
+
+    /**
+     * Check whether the heuristic never overestimates for the grid's movement rules
+     * @returns {boolean} True if the heuristic is admissible
+     */
+    isAdmissible() {
+        return isHeuristicAdmissible(this.heuristicName, this.grid.movement);
+    }
+
+    /**
+     * Describe the current heuristic settings
+     * @returns {string} Heuristic label, e.g. "Manhattan"
+     */
+    getHeuristicLabel() {
+        const details = HeuristicDetails[this.heuristicName];
+        return details ? details.label : 'Custom';
+    }
+
+    /**
+     * Set heuristic function (for advanced users)
+     * @param {Function} heuristicFunction - Custom heuristic function (node, goal) => number
+     */
+    setHeuristic(heuristicFunction) {
+        this.heuristicName = 'custom';
+        this.calculateHeuristic = heuristicFunction;
+    }
+
+    /**
+     * Select one of the built-in heuristics
+     * @param {string} name - Heuristic name (key of getAvailableHeuristics())
+     */
+    setHeuristicByName(name) {
+        if (!Heuristics[name]) return;
+        this.setHeuristic(Heuristics[name]);
+        this.heuristicName = name;
+    }
+
+    /**
+     * Get available heuristic functions
+     * @returns {Object} Available heuristic functions
+     */
+    getAvailableHeuristics() {
+        return { ...Heuristics };
+    }
+}
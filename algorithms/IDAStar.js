@@ -0,0 +1,40 @@
+import { HeuristicAlgorithm } from './HeuristicAlgorithm.js';
+import { IDAStarSolver } from './engine/IDAStarSolver.js';
+
+/**
+ * Iterative deepening A* implementation for pathfinding
+ * Repeats depth-first searches with a growing f-cost limit, using very little memory
+ */
+export class IDAStarAlgorithm extends HeuristicAlgorithm {
+    /**
+     * Create the headless IDA* solver
+     * @param {GridModel} model - Snapshot of the grid
+     * @returns {IDAStarSolver} Solver instance
+     */
+    createSolver(model) {
+        return new IDAStarSolver(model, {
+            heuristic: (node, goal) => this.calculateHeuristic(node, goal)
+        });
+    }
+
+    /**
+     * Get algorithm information
+     * @returns {Object} Algorithm information
+     */
+    getAlgorithmInfo() {
+        return {
+            name: "IDA* (Iterative Deepening A*)",
+            description: "Runs depth-first passes bounded by f = g + h, raising the bound after each pass",
+            timeComplexity: "O(b^d) per pass, repeated for each new bound",
+            spaceComplexity: "O(d)",
+            guaranteesOptimal: this.isAdmissible(),
+            heuristic: this.getHeuristicLabel(),
+            characteristics: [
+                "Memory grows only with path depth",
+                "Re-expands nodes on every pass",
+                "Guarantees optimal path with admissible heuristic",
+                "Slow on weighted grids with many distinct costs"
+            ]
+        };
+    }
+}
@@ -0,0 +1,51 @@
+import { HeuristicAlgorithm } from './HeuristicAlgorithm.js';
+import { JumpPointSolver } from './engine/JumpPointSolver.js';
+
+/**
+ * Jump Point Search implementation for pathfinding
+ * A* that skips over runs of symmetric paths, so only defined on uniform-cost grids
+ */
+export class JumpPointSearchAlgorithm extends HeuristicAlgorithm {
+    /**
+     * Create the headless Jump Point Search solver
+     * @param {GridModel} model - Snapshot of the grid
+     * @returns {JumpPointSolver} Solver instance
+     */
+    createSolver(model) {
+        return new JumpPointSolver(model, {
+            heuristic: (node, goal) => this.calculateHeuristic(node, goal)
+        });
+    }
+
+    /**
+     * Jump Point Search assumes every step costs the same, which weighted cells break
+     * @returns {string|null} Why the algorithm cannot run on the current grid
+     */
+    getUnavailableReason() {
+        const weighted = this.grid.getAllNodes().some(node => !node.isWall && node.weight !== 1);
+        return weighted
+            ? 'Jump Point Search only works when every cell costs 1. Remove the weighted cells to run it.'
+            : null;
+    }
+
+    /**
+     * Get algorithm information
+     * @returns {Object} Algorithm information
+     */
+    getAlgorithmInfo() {
+        return {
+            name: "Jump Point Search",
+            description: "A* that jumps along straight and diagonal lines, only stopping where the path may need to turn",
+            timeComplexity: "O(b^d) where b is branching factor and d is depth",
+            spaceComplexity: "O(b^d), with far fewer nodes in the open set",
+            guaranteesOptimal: this.isAdmissible(),
+            heuristic: this.getHeuristicLabel(),
+            characteristics: [
+                "Prunes symmetric paths that cost the same",
+                "Only expands jump points; scanned cells are drawn separately",
+                "Guarantees optimal path with admissible heuristic",
+                "Requires a grid where every cell costs 1"
+            ]
+        };
+    }
+}
@@ -0,0 +1,84 @@
+import { Solver } from './Solver.js';
+import { Heuristics } from './Heuristics.js';
+import { PriorityQueue } from '../../utils/PriorityQueue.js';
+
+/**
+ * Headless A* search
+ * Records each cell's scores in result.costs as { gScore, hScore, fScore }
+ * Options: heuristic - function (node, goal) => number, defaults to Manhattan distance
+ *          weight - Weighted A* multiplier applied to h (f = g + weight * h), defaults to 1
+ */
+export class AStarSolver extends Solver {
+    constructor(model, options = {}) {
+        super(model, options);
+        this.costFields = ['gScore', 'hScore', 'fScore'];
+        this.priorityField = 'fScore';
+    }
+
+    solve() {
+        const { model } = this;
+        const { startIndex, endIndex } = model;
+        if (startIndex === -1 || endIndex === -1) {
+            return this.createMissingEndpointsResult();
+        }
+
+        const heuristic = this.options.heuristic || Heuristics.manhattan;
+        const weight = this.options.weight || 1;
+        // Estimate the distance to the nearest goal
+        const estimate = this.createEstimate(heuristic);
+
+        const gScore = new Float64Array(model.size).fill(Infinity);
+        const previous = new Int32Array(model.size).fill(-1);
+        const costs = new Array(model.size).fill(null);
+        const visitOrder = [];
+        const steps = [];
+
+        // Open set contains cells to be evaluated, keyed by fScore; ties resolve as
+        // re-sorting an array of cells (appended when discovered) before each pop would
+        const openSet = new PriorityQueue(PriorityQueue.compareNumbers, { stable: true });
+        // Closed set contains cells already evaluated
+        const closedSet = new Uint8Array(model.size);
+
+        gScore[startIndex] = 0;
+        const startH = estimate(startIndex);
+        costs[startIndex] = { gScore: 0, hScore: startH, fScore: weight * startH };
+        openSet.push(startIndex, weight * startH);
+
+        while (!openSet.isEmpty()) {
+            const current = openSet.pop();
+            closedSet[current] = 1;
+            visitOrder.push(current);
+            const relaxed = [];
+            steps.push(relaxed);
+
+            if (model.isGoal(current)) {
+                return this.createResult({ found: true, visitOrder, previous, costs, steps, goal: current });
+            }
+
+            for (const neighbor of model.getNeighbors(current)) {
+                // Skip walls and already evaluated cells
+                if (model.isWall(neighbor) || closedSet[neighbor]) continue;
+
+                const tentativeGScore = gScore[current] + model.getMovementCost(current, neighbor);
+                const neighborInOpenSet = openSet.has(neighbor);
+                if (neighborInOpenSet && tentativeGScore >= gScore[neighbor]) continue;
+
+                // This path is the best until now. Record it!
+                const hScore = estimate(neighbor);
+                const fScore = tentativeGScore + weight * hScore;
+                gScore[neighbor] = tentativeGScore;
+                previous[neighbor] = current;
+                costs[neighbor] = { gScore: tentativeGScore, hScore, fScore };
+                relaxed.push({ index: neighbor, costs: costs[neighbor] });
+
+                if (!neighborInOpenSet) {
+                    openSet.push(neighbor, fScore);
+                } else {
+                    openSet.decreaseKey(neighbor, fScore);
+                }
+            }
+        }
+
+        return this.createResult({ found: false, visitOrder, previous, costs, steps });
+    }
+}
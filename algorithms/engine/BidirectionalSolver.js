@@ -0,0 +1,179 @@
+import { Solver } from './Solver.js';
+import { PriorityQueue } from '../../utils/PriorityQueue.js';
+
+/**
+ * Headless bidirectional search
+ * Runs one search forward from the start and one backward from the goals, always
+ * expanding the side whose best frontier key is lower, and joins them where they meet.
+ * Without a heuristic both sides are Dijkstra searches keyed by { distance }; with one
+ * they are A* searches keyed by { gScore, hScore, fScore }, where g and h are measured
+ * from that side's own origin and target. Each expansion's side is reported in
+ * result.visitSides and the cell where the two trees were joined in result.meetingPoint
+ * Options: heuristic - function (node, goal) => number, omitted for bidirectional Dijkstra
+ */
+export class BidirectionalSolver extends Solver {
+    // Diagonal costs are irrational, so path costs are compared with a small tolerance
+    static EPSILON = 1e-9;
+
+    constructor(model, options = {}) {
+        super(model, options);
+        this.heuristic = options.heuristic || null;
+        this.costFields = this.heuristic ? ['gScore', 'hScore', 'fScore'] : ['distance'];
+        this.priorityField = this.heuristic ? 'fScore' : 'distance';
+    }
+
+    solve() {
+        const { model } = this;
+        const { startIndex, endIndex } = model;
+        if (startIndex === -1 || endIndex === -1) {
+            return this.createMissingEndpointsResult();
+        }
+
+        // With several goals the backward search starts from all of them at once
+        const forward = this.createSide('forward', [startIndex], model.goals);
+        const backward = this.createSide('backward', model.goals, [startIndex]);
+        forward.other = backward;
+        backward.other = forward;
+
+        const costs = new Array(model.size).fill(null);
+        const visitOrder = [];
+        const visitSides = [];
+        const visitCosts = [];
+        const steps = [];
+        // Best known start-to-end cost, through the edge (meetFrom -> meetTo)
+        let bestCost = Infinity;
+        let meetFrom = -1;
+        let meetTo = -1;
+
+        while (!forward.openSet.isEmpty() && !backward.openSet.isEmpty()) {
+            if (this.canStop(forward, backward, bestCost)) break;
+
+            const side = this.topKey(forward) <= this.topKey(backward) ? forward : backward;
+            const current = side.openSet.pop();
+            side.closed[current] = 1;
+            visitOrder.push(current);
+            visitSides.push(side.name);
+            visitCosts.push(side.costs[current]);
+            costs[current] = side.costs[current];
+            const relaxed = [];
+            steps.push(relaxed);
+
+            for (const neighbor of model.getNeighbors(current)) {
+                if (model.isWall(neighbor) || side.closed[neighbor]) continue;
+
+                // The backward side walks edges in reverse, so it pays the cost of entering current
+                const stepCost = side.name === 'forward'
+                    ? model.getMovementCost(current, neighbor)
+                    : model.getMovementCost(neighbor, current);
+                const tentative = side.g[current] + stepCost;
+                if (tentative < side.g[neighbor]) {
+                    side.g[neighbor] = tentative;
+                    side.previous[neighbor] = current;
+                    side.costs[neighbor] = this.createCosts(side, neighbor, tentative);
+                    relaxed.push({ index: neighbor, costs: side.costs[neighbor], side: side.name });
+                    side.openSet.push(neighbor, side.costs[neighbor][this.priorityField]);
+                }
+
+                // Does this edge connect the two search trees more cheaply?
+                const joined = side.g[current] + stepCost + side.other.g[neighbor];
+                if (joined < bestCost - BidirectionalSolver.EPSILON) {
+                    bestCost = joined;
+                    meetFrom = side.name === 'forward' ? current : neighbor;
+                    meetTo = side.name === 'forward' ? neighbor : current;
+                }
+            }
+        }
+
+        const found = bestCost !== Infinity;
+        const path = found ? this.joinPaths(forward, backward, meetFrom, meetTo) : [];
+        const result = this.createResult({ found, visitOrder, costs, steps, visitCosts, path });
+        result.visitSides = visitSides;
+        // Show the meeting on the cell the backward tree begins at (unless it is a goal itself)
+        const meetingIndex = found ? (!model.isGoal(meetTo) ? meetTo : meetFrom) : -1;
+        result.meetingPoint = meetingIndex !== -1 ? model.toCoords(meetingIndex) : null;
+        return result;
+    }
+
+    /**
+     * Create the bookkeeping for one search direction
+     * @param {string} name - 'forward' or 'backward'
+     * @param {number[]} origins - Flat indices the side starts from
+     * @param {number[]} targets - Flat indices the side heads for (h is measured to the nearest)
+     * @returns {Object} Search side
+     */
+    createSide(name, origins, targets) {
+        const { model } = this;
+        const side = {
+            name,
+            targets: targets.map(index => model.toCoords(index)),
+            g: new Float64Array(model.size).fill(Infinity),
+            previous: new Int32Array(model.size).fill(-1),
+            closed: new Uint8Array(model.size),
+            costs: new Array(model.size).fill(null),
+            openSet: new PriorityQueue(),
+            other: null
+        };
+        for (const origin of origins) {
+            side.g[origin] = 0;
+            side.costs[origin] = this.createCosts(side, origin, 0);
+            side.openSet.push(origin, side.costs[origin][this.priorityField]);
+        }
+        return side;
+    }
+
+    /**
+     * Build the cost fields recorded for a cell
+     * @param {Object} side - Search side
+     * @param {number} index - Flat cell index
+     * @param {number} g - Cost from the side's origin
+     * @returns {Object} Cost fields
+     */
+    createCosts(side, index, g) {
+        if (!this.heuristic) return { distance: g };
+        const node = this.model.toCoords(index);
+        const hScore = Math.min(...side.targets.map(target => this.heuristic(node, target)));
+        return { gScore: g, hScore, fScore: g + hScore };
+    }
+
+    /**
+     * Get the smallest frontier key of a side
+     * @param {Object} side - Search side
+     * @returns {number} Priority of the next cell the side would expand
+     */
+    topKey(side) {
+        return side.openSet.getPriority(side.openSet.peek());
+    }
+
+    /**
+     * Check whether no unexpanded route can beat the best path found so far
+     * Dijkstra: the two smallest distances together reach the best cost.
+     * A*: either side's smallest f reaches it (each is a lower bound on any remaining path)
+     * @param {Object} forward - Forward side
+     * @param {Object} backward - Backward side
+     * @param {number} bestCost - Best start-to-end cost found so far
+     * @returns {boolean} True if the search can stop
+     */
+    canStop(forward, backward, bestCost) {
+        if (bestCost === Infinity) return false;
+        const forwardKey = this.topKey(forward);
+        const backwardKey = this.topKey(backward);
+        const bound = this.heuristic ? Math.max(forwardKey, backwardKey) : forwardKey + backwardKey;
+        return bound >= bestCost - BidirectionalSolver.EPSILON;
+    }
+
+    /**
+     * Join the forward path to meetFrom with the backward path from meetTo
+     * @param {Object} forward - Forward side
+     * @param {Object} backward - Backward side
+     * @param {number} meetFrom - Last cell of the forward tree on the path
+     * @param {number} meetTo - First cell of the backward tree on the path
+     * @returns {number[]} Flat indices from start to end
+     */
+    joinPaths(forward, backward, meetFrom, meetTo) {
+        const path = this.reconstructPath(forward.previous, meetFrom);
+        for (let current = meetTo; current !== -1; current = backward.previous[current]) {
+            path.push(current);
+        }
+        return path;
+    }
+}
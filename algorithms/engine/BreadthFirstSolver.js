@@ -0,0 +1,57 @@
+import { Solver } from './Solver.js';
+
+/**
+ * Headless breadth-first search
+ * Ignores weights and expands cells in order of their step count from the start,
+ * recorded in result.costs as { distance }
+ */
+export class BreadthFirstSolver extends Solver {
+    constructor(model, options = {}) {
+        super(model, options);
+        this.costFields = ['distance'];
+        this.priorityField = 'distance';
+    }
+
+    solve() {
+        const { model } = this;
+        const { startIndex, endIndex } = model;
+        if (startIndex === -1 || endIndex === -1) {
+            return this.createMissingEndpointsResult();
+        }
+
+        const previous = new Int32Array(model.size).fill(-1);
+        const discovered = new Uint8Array(model.size);
+        const costs = new Array(model.size).fill(null);
+        const visitOrder = [];
+        const steps = [];
+
+        // FIFO queue; a cell is marked when it is queued so it is never queued twice
+        const queue = [startIndex];
+        let head = 0;
+        discovered[startIndex] = 1;
+        costs[startIndex] = { distance: 0 };
+
+        while (head < queue.length) {
+            const current = queue[head++];
+            visitOrder.push(current);
+            const relaxed = [];
+            steps.push(relaxed);
+
+            if (model.isGoal(current)) {
+                return this.createResult({ found: true, visitOrder, previous, costs, steps, goal: current });
+            }
+
+            for (const neighbor of model.getNeighbors(current)) {
+                if (discovered[neighbor] || model.isWall(neighbor)) continue;
+
+                discovered[neighbor] = 1;
+                previous[neighbor] = current;
+                costs[neighbor] = { distance: costs[current].distance + 1 };
+                relaxed.push({ index: neighbor, costs: costs[neighbor] });
+                queue.push(neighbor);
+            }
+        }
+
+        return this.createResult({ found: false, visitOrder, previous, costs, steps });
+    }
+}
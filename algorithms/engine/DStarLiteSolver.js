@@ -0,0 +1,248 @@
+import { Solver } from './Solver.js';
+import { Heuristics, DefaultHeuristics } from './Heuristics.js';
+import { PriorityQueue } from '../../utils/PriorityQueue.js';
+
+/**
+ * Headless D* Lite (Koenig & Likhachev)
+ * Searches backward from the goals, so gScore is the cost from a cell to the nearest goal and
+ * hScore the estimate from the start to the cell. After solve(), the planner can be kept alive:
+ * move the start with moveStart(), report changed cells with updateCells() and call replan()
+ * to repair the previous search; only cells whose cost to the goal changed are expanded again.
+ * Cells are keyed by [min(g, rhs) + h + km, min(g, rhs)], compared lexicographically.
+ * Records { gScore, rhs, hScore, key } per cell in result.costs
+ * Options: heuristic - function (node, goal) => number, defaults to the movement's default heuristic
+ */
+export class DStarLiteSolver extends Solver {
+    constructor(model, options = {}) {
+        super(model, options);
+        this.costFields = ['gScore', 'rhs', 'hScore', 'key'];
+        this.priorityField = 'key';
+        // g is the cost from a cell to the goal
+        this.costOrigin = 'goal';
+        this.heuristic = options.heuristic || Heuristics[DefaultHeuristics[model.movement]];
+    }
+
+    /**
+     * Plan from scratch
+     * @returns {Object} Search result (see Solver.js)
+     */
+    solve() {
+        const { model } = this;
+        if (model.startIndex === -1 || model.endIndex === -1) {
+            return this.createMissingEndpointsResult();
+        }
+
+        this.gScore = new Float64Array(model.size).fill(Infinity);
+        this.rhs = new Float64Array(model.size).fill(Infinity);
+        this.costs = new Array(model.size).fill(null);
+        this.openSet = new PriorityQueue(DStarLiteSolver.compareKeys);
+        // Heuristic offset that keeps queued keys valid after the start moves
+        this.km = 0;
+        this.start = model.startIndex;
+
+        for (const goal of model.goals) {
+            this.rhs[goal] = 0;
+            this.queue(goal, []);
+        }
+        return this.replan();
+    }
+
+    /**
+     * Compare two [primary, secondary] keys, treating values within rounding error as equal
+     * @param {number[]} a - First key
+     * @param {number[]} b - Second key
+     * @returns {number} Negative if a comes first, positive if b does, 0 on a tie
+     */
+    static compareKeys(a, b) {
+        // Diagonal costs are irrational, so sums reached in a different order may differ by rounding
+        if (Math.abs(a[0] - b[0]) > 1e-9) return a[0] < b[0] ? -1 : 1;
+        if (Math.abs(a[1] - b[1]) > 1e-9) return a[1] < b[1] ? -1 : 1;
+        return 0;
+    }
+
+    /**
+     * Estimate the cost from the start to a cell
+     * @param {number} index - Flat cell index
+     * @returns {number} Heuristic value
+     */
+    estimate(index) {
+        return this.heuristic(this.model.toCoords(this.start), this.model.toCoords(index));
+    }
+
+    /**
+     * Compute a cell's queue key
+     * @param {number} index - Flat cell index
+     * @returns {number[]} [min(g, rhs) + h + km, min(g, rhs)]
+     */
+    calculateKey(index) {
+        const best = Math.min(this.gScore[index], this.rhs[index]);
+        return [best + this.estimate(index) + this.km, best];
+    }
+
+    /**
+     * Cost of stepping between two neighboring cells, Infinity if either is a wall
+     * @param {number} from - Flat index of the current cell
+     * @param {number} to - Flat index of the neighbor
+     * @returns {number} Movement cost
+     */
+    getEdgeCost(from, to) {
+        const { model } = this;
+        if (model.isWall(from) || model.isWall(to)) return Infinity;
+        return model.getMovementCost(from, to);
+    }
+
+    /**
+     * Record a cell's costs and queue it with its current key
+     * @param {number} index - Flat cell index
+     * @param {Array<{index: number, costs: Object}>} relaxed - Frontier changes of the current expansion
+     */
+    queue(index, relaxed) {
+        const key = this.calculateKey(index);
+        this.costs[index] = { gScore: this.gScore[index], rhs: this.rhs[index], hScore: this.estimate(index), key: key[0] };
+        if (this.openSet.has(index)) {
+            this.openSet.update(index, key);
+        } else {
+            this.openSet.push(index, key);
+        }
+        relaxed.push({ index, costs: this.costs[index] });
+    }
+
+    /**
+     * Recompute a cell's one-step lookahead cost and requeue it if it became inconsistent
+     * @param {number} index - Flat cell index
+     * @param {Array<{index: number, costs: Object}>} relaxed - Frontier changes of the current expansion
+     */
+    updateVertex(index, relaxed) {
+        const { model } = this;
+        if (!model.isGoal(index)) {
+            let rhs = Infinity;
+            if (!model.isWall(index)) {
+                for (const neighbor of model.getNeighbors(index)) {
+                    rhs = Math.min(rhs, this.getEdgeCost(index, neighbor) + this.gScore[neighbor]);
+                }
+            }
+            this.rhs[index] = rhs;
+        }
+        if (this.gScore[index] !== this.rhs[index]) {
+            this.queue(index, relaxed);
+        } else {
+            this.openSet.remove(index);
+        }
+    }
+
+    /**
+     * Move the start, e.g. after the agent following the path took a step
+     * @param {number} index - Flat index of the new start
+     */
+    moveStart(index) {
+        // Keys already queued were computed from the old start
+        this.km += this.heuristic(this.model.toCoords(this.start), this.model.toCoords(index));
+        this.start = index;
+        this.model.startIndex = index;
+    }
+
+    /**
+     * Tell the planner that cells of its model became walls, stopped being walls or changed weight
+     * The model must already hold the new values; call replan() afterwards
+     * @param {number[]} indices - Flat indices of the changed cells
+     */
+    updateCells(indices) {
+        const { model } = this;
+        // A change affects the edges into and out of the cell, and in '8-way-no-corners'
+        // the diagonals between its neighbors, so every cell around it is updated
+        const affected = new Set();
+        for (const index of indices) {
+            const { row, col } = model.toCoords(index);
+            for (let dRow = -1; dRow <= 1; dRow++) {
+                for (let dCol = -1; dCol <= 1; dCol++) {
+                    if (model.isValidPosition(row + dRow, col + dCol)) {
+                        affected.add(model.index(row + dRow, col + dCol));
+                    }
+                }
+            }
+        }
+        affected.forEach(index => this.updateVertex(index, []));
+    }
+
+    /**
+     * Expand cells until the start is consistent, repairing the last search
+     * @returns {Object} Search result; visitOrder and nodesExplored only cover this call
+     */
+    replan() {
+        const { model, gScore, rhs, openSet } = this;
+        const visitOrder = [];
+        const steps = [];
+
+        while (!openSet.isEmpty() &&
+            (DStarLiteSolver.compareKeys(openSet.getPriority(openSet.peek()), this.calculateKey(this.start)) < 0 ||
+                rhs[this.start] !== gScore[this.start])) {
+            const current = openSet.peek();
+            const oldKey = openSet.getPriority(current);
+            const newKey = this.calculateKey(current);
+            if (DStarLiteSolver.compareKeys(oldKey, newKey) < 0) {
+                // Queued before the start moved
+                openSet.update(current, newKey);
+                continue;
+            }
+
+            openSet.pop();
+            visitOrder.push(current);
+            const relaxed = [];
+            steps.push(relaxed);
+            if (gScore[current] > rhs[current]) {
+                // Cheaper than before: settle it and pass the improvement on
+                gScore[current] = rhs[current];
+                this.costs[current] = { ...this.costs[current], gScore: gScore[current] };
+                for (const neighbor of model.getNeighbors(current)) {
+                    this.updateVertex(neighbor, relaxed);
+                }
+            } else {
+                // More expensive than before: forget it and let it and its neighbors recompute
+                gScore[current] = Infinity;
+                this.costs[current] = { ...this.costs[current], gScore: Infinity };
+                this.updateVertex(current, relaxed);
+                for (const neighbor of model.getNeighbors(current)) {
+                    this.updateVertex(neighbor, relaxed);
+                }
+            }
+        }
+
+        const path = this.getPath();
+        const found = path.length > 0;
+        return this.createResult({
+            found,
+            visitOrder,
+            costs: this.costs,
+            steps,
+            path,
+            goal: found ? path[path.length - 1] : model.endIndex
+        });
+    }
+
+    /**
+     * Follow the cheapest neighbors from the start down to a goal
+     * @returns {number[]} Flat indices from start to goal, empty if no goal is reachable
+     */
+    getPath() {
+        const { model, gScore } = this;
+        if (gScore[this.start] === Infinity) return [];
+        const path = [this.start];
+        let current = this.start;
+        while (!model.isGoal(current)) {
+            let next = -1;
+            let best = Infinity;
+            for (const neighbor of model.getNeighbors(current)) {
+                const cost = this.getEdgeCost(current, neighbor) + gScore[neighbor];
+                if (cost < best) {
+                    best = cost;
+                    next = neighbor;
+                }
+            }
+            // Guard against loops while costs are still being repaired
+            if (next === -1 || path.length > model.size) return [];
+            path.push(next);
+            current = next;
+        }
+        return path;
+    }
+}
@@ -0,0 +1,60 @@
+import { Solver } from './Solver.js';
+
+/**
+ * Headless depth-first search
+ * Ignores weights and always expands the most recently discovered cell; the
+ * depth of each cell in the search tree is recorded in result.costs as { distance }
+ */
+export class DepthFirstSolver extends Solver {
+    constructor(model, options = {}) {
+        super(model, options);
+        this.costFields = ['distance'];
+        this.priorityField = null;
+        this.frontierOrder = 'lifo';
+    }
+
+    solve() {
+        const { model } = this;
+        const { startIndex, endIndex } = model;
+        if (startIndex === -1 || endIndex === -1) {
+            return this.createMissingEndpointsResult();
+        }
+
+        const previous = new Int32Array(model.size).fill(-1);
+        const discovered = new Uint8Array(model.size);
+        const costs = new Array(model.size).fill(null);
+        const visitOrder = [];
+        const steps = [];
+
+        // LIFO stack; a cell is marked when it is pushed so it is never pushed twice
+        const stack = [startIndex];
+        discovered[startIndex] = 1;
+        costs[startIndex] = { distance: 0 };
+
+        while (stack.length > 0) {
+            const current = stack.pop();
+            visitOrder.push(current);
+            const relaxed = [];
+            steps.push(relaxed);
+
+            if (model.isGoal(current)) {
+                return this.createResult({ found: true, visitOrder, previous, costs, steps, goal: current });
+            }
+
+            // Push in reverse so the first neighbor (up) is explored first
+            const neighbors = model.getNeighbors(current);
+            for (let i = neighbors.length - 1; i >= 0; i--) {
+                const neighbor = neighbors[i];
+                if (discovered[neighbor] || model.isWall(neighbor)) continue;
+
+                discovered[neighbor] = 1;
+                previous[neighbor] = current;
+                costs[neighbor] = { distance: costs[current].distance + 1 };
+                relaxed.push({ index: neighbor, costs: costs[neighbor] });
+                stack.push(neighbor);
+            }
+        }
+
+        return this.createResult({ found: false, visitOrder, previous, costs, steps });
+    }
+}
@@ -0,0 +1,63 @@
+import { Solver } from './Solver.js';
+import { PriorityQueue } from '../../utils/PriorityQueue.js';
+
+/**
+ * Headless Dijkstra's algorithm
+ * Records each cell's final distance in result.costs as { distance }
+ */
+export class DijkstraSolver extends Solver {
+    constructor(model, options = {}) {
+        super(model, options);
+        this.costFields = ['distance'];
+        this.priorityField = 'distance';
+    }
+
+    solve() {
+        const { model } = this;
+        const { startIndex, endIndex } = model;
+        if (startIndex === -1 || endIndex === -1) {
+            return this.createMissingEndpointsResult();
+        }
+
+        const distance = new Float64Array(model.size).fill(Infinity);
+        const previous = new Int32Array(model.size).fill(-1);
+        const visited = new Uint8Array(model.size);
+        const costs = new Array(model.size).fill(null);
+        const visitOrder = [];
+        const steps = [];
+
+        // Priority queue keyed by distance; cells are added as they are discovered.
+        // Ties fall back to row-major order, as when every cell started in one sorted array
+        const frontier = new PriorityQueue(PriorityQueue.compareNumbers, { stable: true });
+        distance[startIndex] = 0;
+        costs[startIndex] = { distance: 0 };
+        frontier.push(startIndex, 0, startIndex);
+
+        while (!frontier.isEmpty()) {
+            const current = frontier.pop();
+            visited[current] = 1;
+            visitOrder.push(current);
+            const relaxed = [];
+            steps.push(relaxed);
+
+            if (model.isGoal(current)) {
+                return this.createResult({ found: true, visitOrder, previous, costs, steps, goal: current });
+            }
+
+            for (const neighbor of model.getNeighbors(current)) {
+                if (visited[neighbor] || model.isWall(neighbor)) continue;
+
+                const tentativeDistance = distance[current] + model.getMovementCost(current, neighbor);
+                if (tentativeDistance < distance[neighbor]) {
+                    distance[neighbor] = tentativeDistance;
+                    previous[neighbor] = current;
+                    costs[neighbor] = { distance: tentativeDistance };
+                    relaxed.push({ index: neighbor, costs: costs[neighbor] });
+                    frontier.push(neighbor, tentativeDistance, neighbor);
+                }
+            }
+        }
+
+        return this.createResult({ found: false, visitOrder, previous, costs, steps });
+    }
+}
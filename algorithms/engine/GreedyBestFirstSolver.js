@@ -0,0 +1,68 @@
+import { Solver } from './Solver.js';
+import { Heuristics, DefaultHeuristics } from './Heuristics.js';
+import { PriorityQueue } from '../../utils/PriorityQueue.js';
+
+/**
+ * Headless greedy best-first search
+ * Always expands the cell that looks closest to the goal (lowest h), ignoring
+ * the cost paid so far. Records { gScore, hScore } in result.costs
+ * Options: heuristic - function (node, goal) => number, defaults to the best
+ *          heuristic for the model's movement mode
+ */
+export class GreedyBestFirstSolver extends Solver {
+    constructor(model, options = {}) {
+        super(model, options);
+        this.costFields = ['gScore', 'hScore'];
+        this.priorityField = 'hScore';
+    }
+
+    solve() {
+        const { model } = this;
+        const { startIndex, endIndex } = model;
+        if (startIndex === -1 || endIndex === -1) {
+            return this.createMissingEndpointsResult();
+        }
+
+        const heuristic = this.options.heuristic || Heuristics[DefaultHeuristics[model.movement]];
+        // Estimate the distance to the nearest goal
+        const estimate = this.createEstimate(heuristic);
+
+        const previous = new Int32Array(model.size).fill(-1);
+        const discovered = new Uint8Array(model.size);
+        const costs = new Array(model.size).fill(null);
+        const visitOrder = [];
+        const steps = [];
+
+        const openSet = new PriorityQueue();
+        discovered[startIndex] = 1;
+        costs[startIndex] = { gScore: 0, hScore: estimate(startIndex) };
+        openSet.push(startIndex, costs[startIndex].hScore);
+
+        while (!openSet.isEmpty()) {
+            const current = openSet.pop();
+            visitOrder.push(current);
+            const relaxed = [];
+            steps.push(relaxed);
+
+            if (model.isGoal(current)) {
+                return this.createResult({ found: true, visitOrder, previous, costs, steps, goal: current });
+            }
+
+            for (const neighbor of model.getNeighbors(current)) {
+                // The first route to a cell is kept; greedy search never revisits
+                if (discovered[neighbor] || model.isWall(neighbor)) continue;
+
+                discovered[neighbor] = 1;
+                previous[neighbor] = current;
+                costs[neighbor] = {
+                    gScore: costs[current].gScore + model.getMovementCost(current, neighbor),
+                    hScore: estimate(neighbor)
+                };
+                relaxed.push({ index: neighbor, costs: costs[neighbor] });
+                openSet.push(neighbor, costs[neighbor].hScore);
+            }
+        }
+
+        return this.createResult({ found: false, visitOrder, previous, costs, steps });
+    }
+}
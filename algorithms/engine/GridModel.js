@@ -0,0 +1,166 @@
+/**
+ * DOM-free grid model used by the headless pathfinding engine
+ * Cells are addressed by a flat index (row * cols + col)
+ */
+export class GridModel {
+    constructor(rows, cols) {
+        this.rows = rows;
+        this.cols = cols;
+        this.walls = new Uint8Array(rows * cols);
+        this.weights = new Float64Array(rows * cols).fill(1);
+        this.startIndex = -1;
+        this.endIndex = -1;
+        // Flat indices of the numbered waypoints, in the order they were placed
+        this.waypoints = [];
+        // Flat indices of every end cell; the search may stop at whichever it reaches first.
+        // The main end (endIndex) comes first
+        this.goals = [];
+        // '4-way', '8-way' or '8-way-no-corners'
+        this.movement = '4-way';
+    }
+
+    /**
+     * Build a model from serialized grid data (see Grid.serialize())
+     * @param {Object} data - Serialized grid data
+     * @returns {GridModel} New grid model
+     */
+    static fromSerialized(data) {
+        const model = new GridModel(data.rows, data.cols);
+        model.movement = data.movement || '4-way';
+        const extraGoals = (data.goals || []).map(({ row, col }) => model.index(row, col));
+        for (let row = 0; row < data.rows; row++) {
+            for (let col = 0; col < data.cols; col++) {
+                const cell = data.nodes[row] && data.nodes[row][col];
+                if (!cell) continue;
+                const index = model.index(row, col);
+                model.walls[index] = cell.isWall ? 1 : 0;
+                model.weights[index] = cell.weight || 1;
+                if (cell.isStart) model.startIndex = index;
+                if (cell.isEnd && !extraGoals.includes(index)) model.endIndex = index;
+            }
+        }
+        model.waypoints = (data.waypoints || []).map(({ row, col }) => model.index(row, col));
+        model.goals = model.endIndex !== -1 ? [model.endIndex, ...extraGoals] : [];
+        return model;
+    }
+
+    /**
+     * Build a model from a live Grid instance
+     * @param {Grid} grid - Grid to snapshot
+     * @returns {GridModel} New grid model
+     */
+    static fromGrid(grid) {
+        return GridModel.fromSerialized(grid.serialize());
+    }
+
+    /**
+     * Get the number of cells in the model
+     * @returns {number} Cell count
+     */
+    get size() {
+        return this.rows * this.cols;
+    }
+
+    /**
+     * Convert a position to a flat index
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {number} Flat cell index
+     */
+    index(row, col) {
+        return row * this.cols + col;
+    }
+
+    /**
+     * Convert a flat index to a position
+     * @param {number} index - Flat cell index
+     * @returns {{row: number, col: number}} Position
+     */
+    toCoords(index) {
+        return { row: Math.floor(index / this.cols), col: index % this.cols };
+    }
+
+    /**
+     * Check if position is inside the grid
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if position is valid
+     */
+    isValidPosition(row, col) {
+        return row >= 0 && row < this.rows && col >= 0 && col < this.cols;
+    }
+
+    /**
+     * Check if a cell is a wall
+     * @param {number} index - Flat cell index
+     * @returns {boolean} True if the cell is a wall
+     */
+    isWall(index) {
+        return this.walls[index] === 1;
+    }
+
+    /**
+     * Check if a cell is one of the goals
+     * @param {number} index - Flat cell index
+     * @returns {boolean} True if reaching the cell ends the search
+     */
+    isGoal(index) {
+        return this.goals.includes(index);
+    }
+
+    /**
+     * Get the weight of a cell
+     * @param {number} index - Flat cell index
+     * @returns {number} Cell weight
+     */
+    getWeight(index) {
+        return this.weights[index];
+    }
+
+    /**
+     * Check if two neighboring cells are diagonal to each other
+     * @param {number} from - Flat index of one cell
+     * @param {number} to - Flat index of the other cell
+     * @returns {boolean} True for a diagonal step
+     */
+    isDiagonalStep(from, to) {
+        return from % this.cols !== to % this.cols && Math.floor(from / this.cols) !== Math.floor(to / this.cols);
+    }
+
+    /**
+     * Get the cost of stepping from one cell onto a neighboring cell
+     * Diagonal steps cost √2 times the weight of the cell entered
+     * @param {number} from - Flat index of the current cell
+     * @param {number} to - Flat index of the neighbor
+     * @returns {number} Movement cost
+     */
+    getMovementCost(from, to) {
+        return this.isDiagonalStep(from, to) ? this.weights[to] * Math.SQRT2 : this.weights[to];
+    }
+
+    /**
+     * Get the in-bounds neighbors of a cell (walls included)
+     * Order matches Grid.getNeighbors: up, down, left, right, then the diagonals
+     * for 8-way movement (skipping corners cut past walls for '8-way-no-corners')
+     * @param {number} index - Flat cell index
+     * @returns {number[]} Flat indices of neighboring cells
+     */
+    getNeighbors(index) {
+        const row = Math.floor(index / this.cols);
+        const col = index % this.cols;
+        const neighbors = [];
+        if (row > 0) neighbors.push(index - this.cols);
+        if (row < this.rows - 1) neighbors.push(index + this.cols);
+        if (col > 0) neighbors.push(index - 1);
+        if (col < this.cols - 1) neighbors.push(index + 1);
+        if (this.movement === '4-way') return neighbors;
+
+        for (const [dRow, dCol] of [[-1, -1], [-1, 1], [1, -1], [1, 1]]) {
+            if (!this.isValidPosition(row + dRow, col + dCol)) continue;
+            if (this.movement === '8-way-no-corners' &&
+                (this.isWall(index + dRow * this.cols) || this.isWall(index + dCol))) continue;
+            neighbors.push(index + dRow * this.cols + dCol);
+        }
+        return neighbors;
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Heuristic functions for A*
+ * Each takes two positions ({row, col}) and estimates the remaining cost
+ */
+export const Heuristics = {
+    manhattan: (node, goal) => Math.abs(node.row - goal.row) + Math.abs(node.col - goal.col),
+    euclidean: (node, goal) => {
+        const dx = node.row - goal.row;
+        const dy = node.col - goal.col;
+        return Math.sqrt(dx * dx + dy * dy);
+    },
+    chebyshev: (node, goal) => Math.max(
+        Math.abs(node.row - goal.row),
+        Math.abs(node.col - goal.col)
+    ),
+    // Exact unobstructed distance when diagonal steps cost √2
+    octile: (node, goal) => {
+        const dx = Math.abs(node.row - goal.row);
+        const dy = Math.abs(node.col - goal.col);
+        return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    },
+    // Zero heuristic turns A* into Dijkstra
+    zero: (node, goal) => 0
+};
+
+/**
+ * Display names and the movement modes each heuristic never overestimates in
+ * (every cell costs at least 1 to enter, so unit-step estimates are safe)
+ */
+export const HeuristicDetails = {
+    manhattan: { label: 'Manhattan', admissibleFor: ['4-way'] },
+    euclidean: { label: 'Euclidean', admissibleFor: ['4-way', '8-way', '8-way-no-corners'] },
+    chebyshev: { label: 'Chebyshev', admissibleFor: ['4-way', '8-way', '8-way-no-corners'] },
+    octile: { label: 'Octile', admissibleFor: ['4-way', '8-way', '8-way-no-corners'] },
+    zero: { label: 'Zero (Dijkstra)', admissibleFor: ['4-way', '8-way', '8-way-no-corners'] }
+};
+
+/**
+ * Preferred heuristic for each movement mode (the tightest admissible one)
+ */
+export const DefaultHeuristics = {
+    '4-way': 'manhattan',
+    '8-way': 'octile',
+    '8-way-no-corners': 'octile'
+};
+
+/**
+ * Check whether a heuristic is admissible for a movement mode
+ * @param {string} name - Heuristic name (key of Heuristics)
+ * @param {string} movement - Movement mode
+ * @returns {boolean} True if the heuristic never overestimates
+ */
+export function isHeuristicAdmissible(name, movement = '4-way') {
+    const details = HeuristicDetails[name];
+    return Boolean(details && details.admissibleFor.includes(movement));
+}
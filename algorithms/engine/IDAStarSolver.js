@@ -0,0 +1,105 @@
+import { Solver } from './Solver.js';
+import { Heuristics } from './Heuristics.js';
+
+/**
+ * Headless iterative deepening A* (IDA*)
+ * Runs repeated depth-first searches bounded by an f = g + h threshold, raising the
+ * threshold to the smallest f that exceeded it after each pass. Cells are expanded
+ * again on every pass, so visitOrder can repeat cells and result.visitCosts holds
+ * the { gScore, hScore, fScore } seen at each expansion
+ * Options: heuristic - function (node, goal) => number, defaults to Manhattan distance
+ *          maxExpansions - give up after this many expansions, defaults to 50000
+ */
+export class IDAStarSolver extends Solver {
+    static DEFAULT_MAX_EXPANSIONS = 50000;
+    // Diagonal costs are irrational, so thresholds are compared with a small tolerance
+    static EPSILON = 1e-9;
+
+    constructor(model, options = {}) {
+        super(model, options);
+        this.costFields = ['gScore', 'hScore', 'fScore'];
+        this.priorityField = 'fScore';
+    }
+
+    solve() {
+        const { model } = this;
+        const { startIndex, endIndex } = model;
+        if (startIndex === -1 || endIndex === -1) {
+            return this.createMissingEndpointsResult();
+        }
+
+        const heuristic = this.options.heuristic || Heuristics.manhattan;
+        const maxExpansions = this.options.maxExpansions || IDAStarSolver.DEFAULT_MAX_EXPANSIONS;
+        // Estimate the distance to the nearest goal
+        const estimate = this.createEstimate(heuristic);
+
+        const previous = new Int32Array(model.size).fill(-1);
+        const onPath = new Uint8Array(model.size);
+        const costs = new Array(model.size).fill(null);
+        const visitOrder = [];
+        const visitCosts = [];
+        const steps = [];
+        let bestG = null;
+        let found = false;
+        let goal = -1;
+        let exhausted = false;
+
+        // Depth-first pass; returns the smallest f that exceeded the threshold
+        const search = (current, g, threshold) => {
+            const h = estimate(current);
+            const f = g + h;
+            if (f > threshold + IDAStarSolver.EPSILON) return f;
+
+            costs[current] = { gScore: g, hScore: h, fScore: f };
+            visitOrder.push(current);
+            visitCosts.push(costs[current]);
+            steps.push([]);
+
+            if (model.isGoal(current)) {
+                found = true;
+                goal = current;
+                return f;
+            }
+            if (visitOrder.length >= maxExpansions) {
+                exhausted = true;
+                return Infinity;
+            }
+
+            let nextThreshold = Infinity;
+            for (const neighbor of model.getNeighbors(current)) {
+                if (model.isWall(neighbor) || onPath[neighbor]) continue;
+
+                // Skip cells already reached this pass at no greater cost
+                const tentativeG = g + model.getMovementCost(current, neighbor);
+                if (tentativeG >= bestG[neighbor] - IDAStarSolver.EPSILON) continue;
+                bestG[neighbor] = tentativeG;
+                previous[neighbor] = current;
+
+                onPath[neighbor] = 1;
+                const exceeded = search(neighbor, tentativeG, threshold);
+                onPath[neighbor] = 0;
+                if (found || exhausted) return exceeded;
+                nextThreshold = Math.min(nextThreshold, exceeded);
+            }
+            return nextThreshold;
+        };
+
+        let threshold = estimate(startIndex);
+        let iterations = 0;
+        while (!found && !exhausted && threshold !== Infinity) {
+            iterations++;
+            bestG = new Float64Array(model.size).fill(Infinity);
+            bestG[startIndex] = 0;
+            onPath[startIndex] = 1;
+            threshold = search(startIndex, 0, threshold);
+            onPath[startIndex] = 0;
+        }
+
+        const result = this.createResult({ found, visitOrder, previous, costs, steps, visitCosts, goal });
+        result.iterations = iterations;
+        if (exhausted) {
+            result.message = `Gave up after ${maxExpansions} expansions`;
+        }
+        return result;
+    }
+}
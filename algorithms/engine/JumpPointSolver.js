@@ -0,0 +1,276 @@
+import { Solver } from './Solver.js';
+import { Heuristics, DefaultHeuristics } from './Heuristics.js';
+import { PriorityQueue } from '../../utils/PriorityQueue.js';
+
+/**
+ * Headless Jump Point Search
+ * A* over jump points: from each expanded cell the solver scans in straight and diagonal
+ * lines, skipping cells that a symmetric path would reach just as cheaply, and only adds the
+ * cells where the path may have to turn (goals always count as jump points).
+ * Assumes every open cell costs 1 (see GridModel.weights).
+ * Records { gScore, hScore, fScore } for jump points in result.costs and the cells each
+ * expansion scanned over in result.visitScans
+ * Options: heuristic - function (node, goal) => number, defaults to the movement's default heuristic
+ */
+export class JumpPointSolver extends Solver {
+    constructor(model, options = {}) {
+        super(model, options);
+        this.costFields = ['gScore', 'hScore', 'fScore'];
+        this.priorityField = 'fScore';
+    }
+
+    solve() {
+        const { model } = this;
+        const { startIndex, endIndex } = model;
+        if (startIndex === -1 || endIndex === -1) {
+            return this.createMissingEndpointsResult();
+        }
+
+        const heuristic = this.options.heuristic || Heuristics[DefaultHeuristics[model.movement]];
+        // Estimate the distance to the nearest goal
+        const estimate = this.createEstimate(heuristic);
+
+        const gScore = new Float64Array(model.size).fill(Infinity);
+        const previous = new Int32Array(model.size).fill(-1);
+        const costs = new Array(model.size).fill(null);
+        const visitOrder = [];
+        const visitScans = [];
+        const steps = [];
+        const openSet = new PriorityQueue();
+        const closedSet = new Uint8Array(model.size);
+
+        gScore[startIndex] = 0;
+        const startH = estimate(startIndex);
+        costs[startIndex] = { gScore: 0, hScore: startH, fScore: startH };
+        openSet.push(startIndex, startH);
+
+        while (!openSet.isEmpty()) {
+            const current = openSet.pop();
+            closedSet[current] = 1;
+            visitOrder.push(current);
+            const relaxed = [];
+            const scanned = [];
+            steps.push(relaxed);
+            visitScans.push(scanned);
+
+            if (model.isGoal(current)) {
+                const path = this.expandPath(this.reconstructPath(previous, current));
+                return this.createResult({ found: true, visitOrder, previous, costs, steps, visitScans, path });
+            }
+
+            for (const [dRow, dCol] of this.getPrunedDirections(current, previous[current])) {
+                const { row, col } = model.toCoords(current);
+                const jumpPoint = this.jump(row + dRow, col + dCol, dRow, dCol, scanned);
+                if (jumpPoint === -1 || closedSet[jumpPoint]) continue;
+
+                const tentativeGScore = gScore[current] + this.getSegmentCost(current, jumpPoint);
+                const inOpenSet = openSet.has(jumpPoint);
+                if (inOpenSet && tentativeGScore >= gScore[jumpPoint]) continue;
+
+                const hScore = estimate(jumpPoint);
+                const fScore = tentativeGScore + hScore;
+                gScore[jumpPoint] = tentativeGScore;
+                previous[jumpPoint] = current;
+                costs[jumpPoint] = { gScore: tentativeGScore, hScore, fScore };
+                relaxed.push({ index: jumpPoint, costs: costs[jumpPoint] });
+
+                if (!inOpenSet) {
+                    openSet.push(jumpPoint, fScore);
+                } else {
+                    openSet.decreaseKey(jumpPoint, fScore);
+                }
+            }
+        }
+
+        return this.createResult({ found: false, visitOrder, previous, costs, steps, visitScans });
+    }
+
+    /**
+     * Check if a position is inside the grid and not a wall
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the cell can be entered
+     */
+    isOpen(row, col) {
+        return this.model.isValidPosition(row, col) && !this.model.isWall(this.model.index(row, col));
+    }
+
+    /**
+     * Get the directions worth scanning from a cell, given the jump point it was reached from
+     * The start scans every direction; other cells only scan their natural and forced neighbors
+     * @param {number} index - Flat index of the expanded cell
+     * @param {number} parent - Flat index of its parent jump point, -1 for the start
+     * @returns {Array<[number, number]>} [dRow, dCol] directions
+     */
+    getPrunedDirections(index, parent) {
+        const { model } = this;
+        const { row, col } = model.toCoords(index);
+        if (parent === -1) {
+            return model.getNeighbors(index)
+                .filter(neighbor => !model.isWall(neighbor))
+                .map(neighbor => {
+                    const next = model.toCoords(neighbor);
+                    return [next.row - row, next.col - col];
+                });
+        }
+
+        const from = model.toCoords(parent);
+        const dRow = Math.sign(row - from.row);
+        const dCol = Math.sign(col - from.col);
+        const open = (r, c) => this.isOpen(r, c);
+        const candidates = [];
+
+        if (model.movement === '4-way') {
+            if (dCol !== 0) {
+                candidates.push([-1, 0], [1, 0], [0, dCol]);
+            } else {
+                candidates.push([0, -1], [0, 1], [dRow, 0]);
+            }
+        } else if (model.movement === '8-way-no-corners') {
+            if (dRow !== 0 && dCol !== 0) {
+                candidates.push([dRow, 0], [0, dCol]);
+                if (open(row + dRow, col) && open(row, col + dCol)) candidates.push([dRow, dCol]);
+            } else if (dCol !== 0) {
+                const up = open(row - 1, col);
+                const down = open(row + 1, col);
+                if (open(row, col + dCol)) {
+                    candidates.push([0, dCol]);
+                    if (up) candidates.push([-1, dCol]);
+                    if (down) candidates.push([1, dCol]);
+                }
+                candidates.push([-1, 0], [1, 0]);
+            } else {
+                const left = open(row, col - 1);
+                const right = open(row, col + 1);
+                if (open(row + dRow, col)) {
+                    candidates.push([dRow, 0]);
+                    if (left) candidates.push([dRow, -1]);
+                    if (right) candidates.push([dRow, 1]);
+                }
+                candidates.push([0, -1], [0, 1]);
+            }
+        } else if (dRow !== 0 && dCol !== 0) {
+            candidates.push([dRow, 0], [0, dCol], [dRow, dCol]);
+            if (!open(row, col - dCol)) candidates.push([dRow, -dCol]);
+            if (!open(row - dRow, col)) candidates.push([-dRow, dCol]);
+        } else if (dCol !== 0) {
+            candidates.push([0, dCol]);
+            if (!open(row - 1, col)) candidates.push([-1, dCol]);
+            if (!open(row + 1, col)) candidates.push([1, dCol]);
+        } else {
+            candidates.push([dRow, 0]);
+            if (!open(row, col - 1)) candidates.push([dRow, -1]);
+            if (!open(row, col + 1)) candidates.push([dRow, 1]);
+        }
+
+        return candidates.filter(([r, c]) => open(row + r, col + c));
+    }
+
+    /**
+     * Scan from a cell in one direction until reaching a goal, a cell with a forced
+     * neighbor (a jump point) or a dead end
+     * @param {number} row - Row of the first cell to scan
+     * @param {number} col - Column of the first cell to scan
+     * @param {number} dRow - Row direction (-1, 0 or 1)
+     * @param {number} dCol - Column direction (-1, 0 or 1)
+     * @param {number[]} scanned - Receives the flat index of every cell passed over
+     * @returns {number} Flat index of the jump point, -1 if the scan found none
+     */
+    jump(row, col, dRow, dCol, scanned) {
+        const { model } = this;
+        const open = (r, c) => this.isOpen(r, c);
+        const diagonal = dRow !== 0 && dCol !== 0;
+
+        while (open(row, col)) {
+            const index = model.index(row, col);
+            if (model.isGoal(index)) return index;
+            scanned.push(index);
+
+            if (model.movement === '4-way') {
+                if (dCol !== 0) {
+                    if ((open(row - 1, col) && !open(row - 1, col - dCol)) ||
+                        (open(row + 1, col) && !open(row + 1, col - dCol))) return index;
+                } else {
+                    if ((open(row, col - 1) && !open(row - dRow, col - 1)) ||
+                        (open(row, col + 1) && !open(row - dRow, col + 1))) return index;
+                    // Vertical scans stop wherever a horizontal scan would find something
+                    if (this.jump(row, col - 1, 0, -1, scanned) !== -1 ||
+                        this.jump(row, col + 1, 0, 1, scanned) !== -1) return index;
+                }
+            } else if (model.movement === '8-way-no-corners') {
+                if (diagonal) {
+                    if (this.jump(row, col + dCol, 0, dCol, scanned) !== -1 ||
+                        this.jump(row + dRow, col, dRow, 0, scanned) !== -1) return index;
+                } else if (dCol !== 0) {
+                    if ((open(row - 1, col) && !open(row - 1, col - dCol)) ||
+                        (open(row + 1, col) && !open(row + 1, col - dCol))) return index;
+                } else {
+                    if ((open(row, col - 1) && !open(row - dRow, col - 1)) ||
+                        (open(row, col + 1) && !open(row - dRow, col + 1))) return index;
+                }
+                // Diagonal steps may not cut past a wall
+                if (diagonal && !(open(row + dRow, col) && open(row, col + dCol))) return -1;
+            } else if (diagonal) {
+                if ((open(row + dRow, col - dCol) && !open(row, col - dCol)) ||
+                    (open(row - dRow, col + dCol) && !open(row - dRow, col))) return index;
+                if (this.jump(row, col + dCol, 0, dCol, scanned) !== -1 ||
+                    this.jump(row + dRow, col, dRow, 0, scanned) !== -1) return index;
+            } else if (dCol !== 0) {
+                if ((open(row + 1, col + dCol) && !open(row + 1, col)) ||
+                    (open(row - 1, col + dCol) && !open(row - 1, col))) return index;
+            } else {
+                if ((open(row + dRow, col + 1) && !open(row, col + 1)) ||
+                    (open(row + dRow, col - 1) && !open(row, col - 1))) return index;
+            }
+
+            row += dRow;
+            col += dCol;
+        }
+        return -1;
+    }
+
+    /**
+     * Get the cells on the straight or diagonal line between two jump points
+     * @param {number} from - Flat index of the first jump point
+     * @param {number} to - Flat index of the second jump point
+     * @returns {number[]} Flat indices after from, up to and including to
+     */
+    getSegment(from, to) {
+        const { model } = this;
+        const start = model.toCoords(from);
+        const end = model.toCoords(to);
+        const dRow = Math.sign(end.row - start.row);
+        const dCol = Math.sign(end.col - start.col);
+        const cells = [];
+        let { row, col } = start;
+        while (row !== end.row || col !== end.col) {
+            row += dRow;
+            col += dCol;
+            cells.push(model.index(row, col));
+        }
+        return cells;
+    }
+
+    /**
+     * Sum the movement costs between two jump points
+     * @param {number} from - Flat index of the first jump point
+     * @param {number} to - Flat index of the second jump point
+     * @returns {number} Segment cost
+     */
+    getSegmentCost(from, to) {
+        return this.getPathCost([from, ...this.getSegment(from, to)]);
+    }
+
+    /**
+     * Fill in the cells skipped between consecutive jump points
+     * @param {number[]} jumpPoints - Flat indices of the jump points from start to end
+     * @returns {number[]} Every cell of the path from start to end
+     */
+    expandPath(jumpPoints) {
+        const path = [jumpPoints[0]];
+        for (let i = 1; i < jumpPoints.length; i++) {
+            path.push(...this.getSegment(jumpPoints[i - 1], jumpPoints[i]));
+        }
+        return path;
+    }
+}
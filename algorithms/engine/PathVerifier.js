@@ -0,0 +1,125 @@
+import { DijkstraSolver } from './DijkstraSolver.js';
+import { WaypointPlanner } from './WaypointPlanner.js';
+
+/**
+ * Checks a reported search result against the grid and a reference Dijkstra search over the same route
+ * A found path must start at the start, end at a goal, step only between neighbors, avoid walls,
+ * pass every waypoint and add up to the cost and steps it reports; an algorithm that claims to be
+ * optimal must also match the reference cost. verify() returns a report:
+ * {
+ *   valid,                                    // true if no issue was found
+ *   referenceCost,                            // cost of the reference path, Infinity if there is none
+ *   issues: [{ message, cells: [{row, col}] }] // what failed and the cells to highlight
+ * }
+ */
+export class PathVerifier {
+    // Diagonal costs are irrational, so sums reached in a different order may differ by rounding
+    static EPSILON = 1e-9;
+
+    /**
+     * Solve the model with the reference solver, routing through the same stops as the result
+     * @param {GridModel} model - Grid model
+     * @param {Object} result - Search result being verified
+     * @returns {Object} Reference search result
+     */
+    static solveReference(model, result) {
+        if (!result.stops) return new DijkstraSolver(model).solve();
+        // The final leg may stop at any goal, not only the one the verified result reached
+        const stops = result.stops.map(({ row, col }) => model.index(row, col));
+        stops[stops.length - 1] = model.endIndex;
+        return WaypointPlanner.solveRoute(model, stops, legModel => new DijkstraSolver(legModel));
+    }
+
+    /**
+     * Verify a search result
+     * @param {GridModel} model - Grid model the result was computed on
+     * @param {Object} result - Search result (see Solver.js and WaypointPlanner.js)
+     * @param {Object} [options]
+     * @param {boolean} [options.expectOptimal=false] - Whether the path must match the reference cost
+     * @returns {Object} Verification report
+     */
+    static verify(model, result, { expectOptimal = false } = {}) {
+        const reference = PathVerifier.solveReference(model, result);
+        const referenceCost = reference.success ? reference.pathCost : Infinity;
+        const issues = [];
+
+        if (!result.success) {
+            if (reference.success) {
+                issues.push({
+                    message: `No path was reported${result.message ? ` (${result.message})` : ''}, but the reference search found one costing ${PathVerifier.formatCost(referenceCost)}.`,
+                    cells: reference.path
+                });
+            }
+            return { valid: issues.length === 0, referenceCost, issues };
+        }
+
+        const path = result.path.map(({ row, col }) => model.index(row, col));
+        const cells = indices => indices.map(index => model.toCoords(index));
+        if (path.length === 0) {
+            issues.push({ message: 'A path was reported, but it is empty.', cells: [] });
+            return { valid: false, referenceCost, issues };
+        }
+
+        if (path[0] !== model.startIndex) {
+            issues.push({ message: 'The path does not begin at the start.', cells: cells([path[0]]) });
+        }
+        const last = path[path.length - 1];
+        if (!model.isGoal(last)) {
+            issues.push({ message: 'The path does not end at a goal.', cells: cells([last]) });
+        }
+
+        const walls = path.filter(index => model.isWall(index));
+        if (walls.length > 0) {
+            issues.push({ message: `The path crosses ${walls.length} wall${walls.length === 1 ? '' : 's'}.`, cells: cells(walls) });
+        }
+
+        // Cost is only summed over legal steps, so a gap is reported once instead of skewing the total
+        const gaps = [];
+        let cost = 0;
+        for (let i = 1; i < path.length; i++) {
+            if (model.getNeighbors(path[i - 1]).includes(path[i])) {
+                cost += model.getMovementCost(path[i - 1], path[i]);
+            } else {
+                gaps.push(path[i - 1], path[i]);
+            }
+        }
+        if (gaps.length > 0) {
+            issues.push({ message: `The path jumps ${gaps.length / 2} time${gaps.length === 2 ? '' : 's'} between cells that are not neighbors under ${model.movement} movement.`, cells: cells(gaps) });
+        }
+
+        const skipped = model.waypoints.filter(waypoint => !path.includes(waypoint));
+        if (skipped.length > 0) {
+            const labels = skipped.map(waypoint => model.waypoints.indexOf(waypoint) + 1);
+            issues.push({ message: `The path skips waypoint${skipped.length === 1 ? '' : 's'} ${labels.join(', ')}.`, cells: cells(skipped) });
+        }
+
+        if (gaps.length === 0 && Math.abs(cost - result.pathCost) > PathVerifier.EPSILON) {
+            issues.push({ message: `The reported cost ${PathVerifier.formatCost(result.pathCost)} does not match the path, which costs ${PathVerifier.formatCost(cost)}.`, cells: [] });
+        }
+        if (result.pathLength !== path.length - 1) {
+            issues.push({ message: `The reported ${result.pathLength} steps do not match the path, which takes ${path.length - 1}.`, cells: [] });
+        }
+
+        if (!reference.success) {
+            issues.push({ message: 'A path was reported, but the reference search found none.', cells: [] });
+        } else if (expectOptimal && cost - referenceCost > PathVerifier.EPSILON) {
+            // Highlight where the path leaves the optimal one
+            const optimal = new Set(reference.path.map(({ row, col }) => model.index(row, col)));
+            issues.push({
+                message: `The path costs ${PathVerifier.formatCost(cost)}, but the reference search found one costing ${PathVerifier.formatCost(referenceCost)}.`,
+                cells: cells(path.filter(index => !optimal.has(index)))
+            });
+        }
+
+        return { valid: issues.length === 0, referenceCost, issues };
+    }
+
+    /**
+     * Format a path cost for messages
+     * @param {number} cost - Path cost
+     * @returns {string} Whole numbers as is, others with two decimals
+     */
+    static formatCost(cost) {
+        return Number.isInteger(cost) ? cost.toString() : cost.toFixed(2);
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * Base class for headless solvers
+ * A solver runs synchronously on a GridModel and returns a plain result object:
+ * {
+ *   success, message,
+ *   path: [{row, col}],          // start to end inclusive, empty if no path
+ *   goal: {row, col} | null,     // the goal the path ends at (see GridModel.goals)
+ *   visitOrder: [{row, col}],    // nodes in the order they were expanded
+ *   costs: Array<Object|null>,   // per-cell Node fields (distance, gScore...), indexed by model.index()
+ *   steps: [{ relaxed: [{row, col, costs, side}] }], // frontier changes made by each expansion, aligned with visitOrder
+ *                                // (side is set by bidirectional solvers: 'forward' or 'backward')
+ *   costFields, priorityField,   // which cost fields the solver fills and which one orders its frontier
+ *   frontierOrder,               // 'priority' (lowest priorityField first) or 'lifo' (stack)
+ *   costOrigin,                  // 'start', or 'goal' when distance/gScore measure the cost to the goal
+ *   visitCosts,                  // optional per-expansion costs, aligned with visitOrder, for solvers that revisit cells
+ *   visitSides, meetingPoint,    // optional, bidirectional solvers: side of each expansion and where the searches met
+ *   visitScans: [[{row, col}]],  // optional, jump point search: cells each expansion scanned over without adding them
+ *   nodesExplored,
+ *   pathLength,                  // number of steps along the path (its nodes minus the start)
+ *   pathCost                     // sum of movement costs along the path, what the solvers minimize
+ * }
+ */
+export class Solver {
+    constructor(model, options = {}) {
+        this.model = model;
+        this.options = options;
+        this.costFields = [];
+        this.priorityField = null;
+        this.frontierOrder = 'priority';
+        this.costOrigin = 'start';
+    }
+
+    /**
+     * Run the search
+     * @returns {Object} Search result
+     */
+    solve() {
+        throw new Error('solve() must be implemented by subclasses');
+    }
+
+    /**
+     * Wrap a heuristic so it estimates the distance to the nearest goal
+     * The minimum of admissible estimates is still admissible
+     * @param {Function} heuristic - Function (node, goal) => number
+     * @returns {Function} Function (index) => estimate for a flat cell index
+     */
+    createEstimate(heuristic) {
+        const { model } = this;
+        const goals = model.goals.map(index => model.toCoords(index));
+        return index => {
+            const node = model.toCoords(index);
+            let estimate = Infinity;
+            for (const goal of goals) {
+                estimate = Math.min(estimate, heuristic(node, goal));
+            }
+            return estimate;
+        };
+    }
+
+    /**
+     * Walk the predecessor table back from the end cell
+     * @param {Int32Array} previous - Predecessor index per cell (-1 for none)
+     * @param {number} endIndex - Flat index of the destination
+     * @returns {number[]} Flat indices from start to end
+     */
+    reconstructPath(previous, endIndex) {
+        const path = [];
+        let current = endIndex;
+        while (current !== -1) {
+            path.push(current);
+            current = previous[current];
+        }
+        return path.reverse();
+    }
+
+    /**
+     * Sum the movement costs along a path
+     * @param {number[]} path - Flat indices from start to end
+     * @returns {number} Total path cost
+     */
+    getPathCost(path) {
+        let cost = 0;
+        for (let i = 1; i < path.length; i++) {
+            cost += this.model.getMovementCost(path[i - 1], path[i]);
+        }
+        return cost;
+    }
+
+    /**
+     * Build the result object shared by all solvers
+     * @param {Object} state - Search state
+     * @param {boolean} state.found - Whether the end was reached
+     * @param {number[]} state.visitOrder - Expanded flat indices in order
+     * @param {Int32Array} state.previous - Predecessor table
+     * @param {Array<Object|null>} state.costs - Per-cell cost fields
+     * @param {Array<Array<{index: number, costs: Object}>>} state.steps - Cells added to or improved in the frontier by each expansion
+     * @param {Array<Object>} [state.visitCosts] - Costs at each expansion, when a cell can be expanded more than once
+     * @param {number[][]} [state.visitScans] - Cells scanned over by each expansion, aligned with visitOrder
+     * @param {number[]} [state.path] - Path to report instead of walking previous back from the goal
+     * @param {number} [state.goal] - Flat index of the goal that was reached, defaults to the main end
+     * @returns {Object} Search result
+     */
+    createResult({ found, visitOrder, previous, costs, steps = [], visitCosts, visitScans, path: foundPath, goal = this.model.endIndex }) {
+        const { model } = this;
+        const path = found ? (foundPath || this.reconstructPath(previous, goal)) : [];
+        const nodesExplored = visitOrder.filter(index =>
+            index !== model.startIndex && !model.isGoal(index)
+        ).length;
+
+        const result = {
+            success: found,
+            path: path.map(index => model.toCoords(index)),
+            goal: found ? model.toCoords(path[path.length - 1]) : null,
+            visitOrder: visitOrder.map(index => model.toCoords(index)),
+            costs,
+            steps: steps.map(relaxed => ({
+                relaxed: relaxed.map(({ index, costs, side }) => ({ ...model.toCoords(index), costs, side }))
+            })),
+            costFields: this.costFields,
+            priorityField: this.priorityField,
+            frontierOrder: this.frontierOrder,
+            costOrigin: this.costOrigin,
+            nodesExplored,
+            pathLength: Math.max(path.length - 1, 0),
+            pathCost: this.getPathCost(path)
+        };
+        if (visitCosts) result.visitCosts = visitCosts;
+        if (visitScans) result.visitScans = visitScans.map(scanned => scanned.map(index => model.toCoords(index)));
+        if (!found) result.message = 'No path found';
+        return result;
+    }
+
+    /**
+     * Result for a model that is missing its start or end cell
+     * @returns {Object} Failed search result
+     */
+    createMissingEndpointsResult() {
+        return {
+            success: false,
+            message: 'Start or end node not found',
+            path: [],
+            goal: null,
+            visitOrder: [],
+            costs: [],
+            steps: [],
+            costFields: this.costFields,
+            priorityField: this.priorityField,
+            frontierOrder: this.frontierOrder,
+            costOrigin: this.costOrigin,
+            nodesExplored: 0,
+            pathLength: 0,
+            pathCost: 0
+        };
+    }
+}
@@ -0,0 +1,196 @@
+import { PriorityQueue } from '../../utils/PriorityQueue.js';
+
+/**
+ * Routing through the numbered waypoints of a GridModel (start → W1 → W2 → … → nearest goal)
+ * Each leg is solved separately by the algorithm's own solver; the planner picks the
+ * stop order and merges the per-leg results into one route result:
+ * {
+ *   success, message, path, visitOrder, nodesExplored, pathLength, pathCost,  // as in Solver.js, summed over legs
+ *   goal: {row, col} | null,      // goal the final leg reached
+ *   stops: [{row, col, label}],   // start, waypoints in visit order, goal ('S', '1', '2'..., 'E', 'E2'...)
+ *   legs: [Object]                // solver result of each leg that ran (stops after the first failure)
+ * }
+ */
+export class WaypointPlanner {
+    /**
+     * Get the stops of a route in visit order
+     * @param {GridModel} model - Grid model with waypoints
+     * @param {boolean} [optimize=false] - Reorder the waypoints to minimize the total cost
+     * @returns {number[]} Flat indices: start, waypoints, end (the final leg may stop at any goal)
+     */
+    static getStops(model, optimize = false) {
+        const waypoints = optimize && model.waypoints.length > 1
+            ? WaypointPlanner.optimizeOrder(model)
+            : model.waypoints;
+        return [model.startIndex, ...waypoints, model.endIndex];
+    }
+
+    /**
+     * Label a stop the way the grid draws it
+     * @param {GridModel} model - Grid model with waypoints
+     * @param {number} index - Flat index of the stop
+     * @returns {string} 'S', 'E', 'E2'... for extra goals or the waypoint number
+     */
+    static getStopLabel(model, index) {
+        if (index === model.startIndex) return 'S';
+        const goal = model.goals.indexOf(index);
+        if (goal !== -1) return goal === 0 ? 'E' : `E${goal + 1}`;
+        return String(model.waypoints.indexOf(index) + 1);
+    }
+
+    /**
+     * Compute the cheapest cost from one cell to every other cell (plain Dijkstra)
+     * @param {GridModel} model - Grid model
+     * @param {number} source - Flat index to measure from
+     * @returns {Float64Array} Cost per cell, Infinity where unreachable
+     */
+    static getDistances(model, source) {
+        const distances = new Float64Array(model.size).fill(Infinity);
+        const openSet = new PriorityQueue();
+        distances[source] = 0;
+        openSet.push(source, 0);
+
+        while (!openSet.isEmpty()) {
+            const current = openSet.pop();
+            for (const neighbor of model.getNeighbors(current)) {
+                if (model.isWall(neighbor)) continue;
+                const distance = distances[current] + model.getMovementCost(current, neighbor);
+                if (distance >= distances[neighbor]) continue;
+                if (openSet.has(neighbor)) {
+                    openSet.decreaseKey(neighbor, distance);
+                } else {
+                    openSet.push(neighbor, distance);
+                }
+                distances[neighbor] = distance;
+            }
+        }
+        return distances;
+    }
+
+    /**
+     * Find the waypoint order with the cheapest total route (a small travelling salesman
+     * problem with fixed ends, solved exactly with Held-Karp dynamic programming)
+     * @param {GridModel} model - Grid model with waypoints
+     * @returns {number[]} Flat indices of the waypoints in the best visit order
+     */
+    static optimizeOrder(model) {
+        const { waypoints } = model;
+        const count = waypoints.length;
+        // Cost between stops: rows are start and waypoints, columns are waypoints and goals
+        const fromStart = WaypointPlanner.getDistances(model, model.startIndex);
+        const fromWaypoint = waypoints.map(waypoint => WaypointPlanner.getDistances(model, waypoint));
+        const toGoal = fromWaypoint.map(distances => Math.min(...model.goals.map(goal => distances[goal])));
+
+        // best[mask][last]: cheapest cost from the start through the waypoints in mask, ending at last
+        const best = Array.from({ length: 1 << count }, () => new Float64Array(count).fill(Infinity));
+        const parent = Array.from({ length: 1 << count }, () => new Int8Array(count).fill(-1));
+        waypoints.forEach((waypoint, i) => {
+            best[1 << i][i] = fromStart[waypoint];
+        });
+
+        for (let mask = 1; mask < 1 << count; mask++) {
+            for (let last = 0; last < count; last++) {
+                if (!(mask & (1 << last)) || best[mask][last] === Infinity) continue;
+                for (let next = 0; next < count; next++) {
+                    if (mask & (1 << next)) continue;
+                    const nextMask = mask | (1 << next);
+                    const cost = best[mask][last] + fromWaypoint[last][waypoints[next]];
+                    if (cost < best[nextMask][next]) {
+                        best[nextMask][next] = cost;
+                        parent[nextMask][next] = last;
+                    }
+                }
+            }
+        }
+
+        const full = (1 << count) - 1;
+        let last = -1;
+        let bestCost = Infinity;
+        for (let i = 0; i < count; i++) {
+            const cost = best[full][i] + toGoal[i];
+            if (cost < bestCost) {
+                bestCost = cost;
+                last = i;
+            }
+        }
+        // Some stop is unreachable, so no order helps: keep the order the user placed them in
+        if (last === -1) return waypoints;
+
+        const order = [];
+        let mask = full;
+        while (last !== -1) {
+            order.push(waypoints[last]);
+            const previous = parent[mask][last];
+            mask &= ~(1 << last);
+            last = previous;
+        }
+        return order.reverse();
+    }
+
+    /**
+     * Solve a route one leg at a time, stopping at the first leg without a path
+     * @param {GridModel} model - Grid model with waypoints
+     * @param {number[]} stops - Flat indices of the stops in visit order (see getStops())
+     * @param {Function} createSolver - Function (model) => Solver for each leg
+     * @returns {Object} Route result
+     */
+    static solveRoute(model, stops, createSolver) {
+        const { startIndex, endIndex, goals } = model;
+        const legs = [];
+        for (let i = 1; i < stops.length; i++) {
+            const finalLeg = i === stops.length - 1;
+            model.startIndex = stops[i - 1];
+            model.endIndex = stops[i];
+            model.goals = finalLeg ? goals : [stops[i]];
+            const leg = createSolver(model).solve();
+            legs.push(leg);
+            if (!leg.success) break;
+        }
+        model.startIndex = startIndex;
+        model.endIndex = endIndex;
+        model.goals = goals;
+        return WaypointPlanner.combineLegs(model, stops, legs);
+    }
+
+    /**
+     * Merge the results of each leg into one route result
+     * @param {GridModel} model - Grid model with waypoints
+     * @param {number[]} stops - Flat indices of the stops in visit order
+     * @param {Object[]} legs - Solver result of each leg that ran
+     * @returns {Object} Route result
+     */
+    static combineLegs(model, stops, legs) {
+        const found = legs.length === stops.length - 1 && legs.every(leg => leg.success);
+        const path = [];
+        if (found) {
+            legs.forEach((leg, i) => path.push(...(i === 0 ? leg.path : leg.path.slice(1))));
+            // The final leg stops at whichever goal it reached first
+            const { goal } = legs[legs.length - 1];
+            stops = [...stops.slice(0, -1), model.index(goal.row, goal.col)];
+        }
+
+        const result = {
+            success: found,
+            path,
+            visitOrder: legs.flatMap(leg => leg.visitOrder),
+            nodesExplored: legs.reduce((total, leg) => total + leg.nodesExplored, 0),
+            pathLength: Math.max(path.length - 1, 0),
+            pathCost: found ? legs.reduce((total, leg) => total + leg.pathCost, 0) : 0,
+            goal: found ? legs[legs.length - 1].goal : null,
+            stops: stops.map(index => ({ ...model.toCoords(index), label: WaypointPlanner.getStopLabel(model, index) })),
+            legs
+        };
+        if (!found) {
+            const failed = legs.length - 1;
+            const from = WaypointPlanner.getStopLabel(model, stops[failed]);
+            const finalLeg = failed === stops.length - 2;
+            const to = finalLeg && model.goals.length > 1
+                ? 'any goal'
+                : WaypointPlanner.getStopLabel(model, stops[failed + 1]);
+            result.message = legs[failed].message === 'No path found'
+                ? `No path from ${from} to ${to}`
+                : legs[failed].message;
+        }
+        return result;
+    }
+}
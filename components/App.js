@@ -1,10 +1,22 @@
 import { Grid } from './Grid.js';
-import { DijkstraAlgorithm } from '../algorithms/Dijkstra.js';
+import { SearchInspector } from './SearchInspector.js';
+import { PathSprite } from './PathSprite.js';
+import { BenchmarkRunner } from './BenchmarkRunner.js';
+import { ChartRenderer } from './ChartRenderer.js';
+import { RunComparison } from './RunComparison.js';
+import { AlgorithmRegistry } from '../algorithms/AlgorithmRegistry.js';
+import { HeuristicAlgorithm } from '../algorithms/HeuristicAlgorithm.js';
 import { AStarAlgorithm } from '../algorithms/AStar.js';
+import { DefaultHeuristics, HeuristicDetails, isHeuristicAdmissible } from '../algorithms/engine/Heuristics.js';
 import { 
     StorageManager, 
     ToolManager, 
     PerformanceMonitor, 
+    AnimationController,
+    ExportManager,
+    SeededRandom,
+    EditHistory,
+    KeyboardManager,
 } from '../utils/EventHandlers.js';
 
 /**
@@ -13,21 +25,50 @@ import {
  */
 class PathfinderApp {
     constructor() {
-        // Initialize grids
-        this.dijkstraGrid = null;
-        this.astarGrid = null;
-        
-        // Initialize algorithms
-        this.dijkstraAlgorithm = null;
-        this.astarAlgorithm = null;
+        // One panel ({ id, name, shortName, grid, algorithm }) per compared algorithm
+        this.panels = [];
+        this.selectedAlgorithms = AlgorithmRegistry.getAll()
+            .filter(entry => entry.defaultSelected)
+            .map(entry => entry.id);
+        // Grid the user last pressed on; its start/end are mirrored after a drag
+        this.activeGrid = null;
         
         // Initialize utilities
         this.performanceMonitor = new PerformanceMonitor();
+        this.animationController = new AnimationController();
+        this.editHistory = new EditHistory();
         
         // Application state
         this.isRunning = false;
         this.currentGridSize = 10;
         this.currentSpeed = 'medium';
+        this.overlayMode = 'none';
+        this.heuristicSettings = { name: 'manhattan', weight: 1 };
+        this.optimizeWaypoints = false;
+        // Agent walk: an agent follows each panel's path while the user drops walls in its way
+        this.isWalking = false;
+        this.walkTimer = null;
+        this.walkBlocked = false;
+        // Walk a sprite along each found path once playback finishes
+        this.showPathSprites = false;
+        // Check every result against a reference search once playback finishes
+        this.verifyResults = false;
+        // Cells highlighted by the last verification
+        this.mismatchNodes = [];
+        // Benchmark in progress (see BenchmarkRunner), null otherwise
+        this.benchmark = null;
+        // Data behind the latest analysis, for export: { name, json, rows }
+        this.exportData = null;
+        // Seed the randomizer draws from next; keepSeed reuses it instead of drawing a new one each time
+        this.seed = SeededRandom.createSeed();
+        this.keepSeed = false;
+        // Whether a mouse stroke on a grid is being recorded as one edit
+        this.editStroke = false;
+        // Maze generation being replayed: { maze, position, timer }, null otherwise
+        this.mazeAnimation = null;
+        // Explored and frontier counts recorded as playback moves forward, for the analysis charts:
+        // { position, samples: Map of panel id → [{ position, explored, frontier }] }
+        this.progressLog = null;
         
         this.initialize();
     }
@@ -48,11 +89,12 @@ class PathfinderApp {
      * Setup the application after DOM is ready
      */
     setup() {
-        // Initialize grids
-        this.initializeGrids();
+        // Initialize the open/closed set inspector
+        this.inspector = new SearchInspector('inspector-panel');
         
-        // Initialize algorithms
-        this.initializeAlgorithms();
+        // Build the algorithm picker and one grid panel per selected algorithm
+        this.renderAlgorithmOptions();
+        this.buildPanels();
         
         // Setup event listeners
         this.setupEventListeners();
@@ -68,27 +110,148 @@ class PathfinderApp {
     }
     
     /**
-     * Initialize both grids
+     * Get the grid that edits are saved from; every other grid mirrors it
+     * @returns {Grid} Primary grid
+     */
+    get primaryGrid() {
+        return this.panels[0].grid;
+    }
+    
+    /**
+     * Get the grids of all panels
+     * @returns {Grid[]} Grids in panel order
+     */
+    get grids() {
+        return this.panels.map(panel => panel.grid);
+    }
+    
+    /**
+     * Render a checkbox for each registered algorithm
+     */
+    renderAlgorithmOptions() {
+        const container = document.getElementById('algorithm-options');
+        container.innerHTML = AlgorithmRegistry.getAll().map(entry => `
+            <label class="algorithm-option">
+                <input type="checkbox" value="${entry.id}" ${this.selectedAlgorithms.includes(entry.id) ? 'checked' : ''} />
+                <span>${entry.name}</span>
+            </label>
+        `).join('');
+        container.querySelectorAll('input').forEach(input => {
+            input.addEventListener('change', () => this.toggleAlgorithm(input.value, input.checked));
+        });
+    }
+    
+    /**
+     * Add or remove an algorithm from the comparison
+     * @param {string} id - Algorithm id
+     * @param {boolean} selected - Whether it should be compared
+     */
+    toggleAlgorithm(id, selected) {
+        const selection = selected
+            ? [...this.selectedAlgorithms, id]
+            : this.selectedAlgorithms.filter(selectedId => selectedId !== id);
+        if (selection.length === 0) {
+            document.querySelector(`#algorithm-options input[value="${id}"]`).checked = true;
+            StorageManager.showNotification('Select at least one algorithm to compare.', 'warning');
+            return;
+        }
+        // Keep registry order so panels don't jump around as they are toggled
+        this.selectedAlgorithms = AlgorithmRegistry.getAll()
+            .map(entry => entry.id)
+            .filter(entryId => selection.includes(entryId));
+        this.buildPanels();
+    }
+    
+    /**
+     * Create a grid panel for each selected algorithm, keeping the current layout
      */
-    initializeGrids() {
-        this.dijkstraGrid = new Grid(this.currentGridSize, this.currentGridSize, 'dijkstra-grid');
-        this.astarGrid = new Grid(this.currentGridSize, this.currentGridSize, 'astar-grid');
-        this.dijkstraGrid.enableDragAndDrop();
-        this.astarGrid.enableDragAndDrop();
+    buildPanels() {
+        const layout = this.panels.length ? this.primaryGrid.serialize() : null;
+        this.resetPlayback();
+        
+        const container = document.getElementById('grids-container');
+        container.innerHTML = this.selectedAlgorithms.map(id => `
+            <div class="grid-wrapper">
+                <h2>${AlgorithmRegistry.get(id).name}</h2>
+                <div id="${id}-notice" class="panel-notice" style="display:none;"></div>
+                <div id="${id}-grid" class="grid"></div>
+                <div class="stats">
+                    <div class="stat">
+                        <span class="stat-label">Nodes Explored:</span>
+                        <span id="${id}-explored" class="stat-value">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Steps:</span>
+                        <span id="${id}-path-length" class="stat-value">0</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Path Cost:</span>
+                        <span id="${id}-path-cost" class="stat-value">0</span>
+                    </div>
+                    <div class="stat walk-stat" style="display:none;">
+                        <span class="stat-label">Re-expanded:</span>
+                        <span id="${id}-reexpanded" class="stat-value">0</span>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+        
+        this.panels = this.selectedAlgorithms.map(id => {
+            const entry = AlgorithmRegistry.get(id);
+            const grid = new Grid(this.currentGridSize, this.currentGridSize, `${id}-grid`);
+            grid.enableDragAndDrop();
+            grid.enableDrawing();
+            grid.setOverlayMode(this.overlayMode);
+            const algorithm = AlgorithmRegistry.create(id, grid);
+            this.applyAlgorithmSettings(algorithm);
+            const sprite = new PathSprite(grid);
+            return { id, name: entry.name, shortName: entry.shortName, grid, algorithm, sprite };
+        });
         
         // Sync grids so they have the same layout
+        if (layout) this.primaryGrid.deserialize(layout);
         this.syncGrids();
+        this.setupGridSynchronization();
+        
+        this.inspector.setSources(this.panels.map(panel => ({ label: panel.shortName, algorithm: panel.algorithm })));
+        
+        // Backward-frontier and meeting-point legend entries only matter for bidirectional searches
+        const showBidirectional = this.selectedAlgorithms.some(id => AlgorithmRegistry.get(id).bidirectional);
+        document.querySelectorAll('.legend-bidirectional').forEach(item => {
+            item.style.display = showBidirectional ? '' : 'none';
+        });
+        const showJumpPoints = this.selectedAlgorithms.some(id => AlgorithmRegistry.get(id).jumpPoints);
+        document.querySelectorAll('.legend-jump-points').forEach(item => {
+            item.style.display = showJumpPoints ? '' : 'none';
+        });
+        this.updateCostLegend();
     }
     
     /**
-     * Initialize algorithm instances
+     * Show a notice above each grid whose algorithm cannot run on the current layout
      */
-    initializeAlgorithms() {
-        this.dijkstraAlgorithm = new DijkstraAlgorithm(this.dijkstraGrid);
-        this.astarAlgorithm = new AStarAlgorithm(this.astarGrid);
-        
-        // Set initial speed
-        this.setAnimationSpeed(this.currentSpeed);
+    updatePanelNotices() {
+        this.panels.forEach(({ id, algorithm }) => {
+            const notice = document.getElementById(`${id}-notice`);
+            const reason = algorithm.getUnavailableReason();
+            notice.textContent = reason || '';
+            notice.style.display = reason ? '' : 'none';
+        });
+    }
+    
+    /**
+     * Apply the sidebar settings (speed, waypoint order, heuristic) to an algorithm
+     * @param {AnimatedAlgorithm} algorithm - Algorithm instance
+     */
+    applyAlgorithmSettings(algorithm) {
+        algorithm.setAnimationSpeed(this.currentSpeed);
+        algorithm.setOptimizeWaypoints(this.optimizeWaypoints);
+        if (algorithm instanceof HeuristicAlgorithm) {
+            algorithm.setHeuristicByName(this.heuristicSettings.name);
+        }
+        if (algorithm instanceof AStarAlgorithm) {
+            algorithm.setHeuristicWeight(this.heuristicSettings.weight);
+        }
     }
     
     /**
@@ -97,6 +260,22 @@ class PathfinderApp {
     setupEventListeners() {
         // Header buttons
         document.getElementById('find-path').addEventListener('click', () => this.findPaths());
+        document.getElementById('walk-agent').addEventListener('click', () => {
+            if (this.isWalking) {
+                this.finishWalk();
+            } else {
+                this.startWalk();
+            }
+        });
+        document.getElementById('run-benchmark').addEventListener('click', () => {
+            if (this.benchmark) {
+                this.benchmark.cancel();
+            } else {
+                this.runBenchmark();
+            }
+        });
+        document.getElementById('export-csv').addEventListener('click', () => this.exportResults('csv'));
+        document.getElementById('export-json').addEventListener('click', () => this.exportResults('json'));
         document.getElementById('clear-grid').addEventListener('click', () => {
             if (this.isRunning) this.stopAlgorithms();
             this.clearGrids();
@@ -106,6 +285,13 @@ class PathfinderApp {
         document.getElementById('close-save-modal').addEventListener('click', () => this.closeSaveGridModal());
         document.getElementById('close-load-modal').addEventListener('click', () => this.closeLoadGridModal());
         document.getElementById('confirm-save-grid').addEventListener('click', () => this.confirmSaveGrid());
+        document.getElementById('run-history').addEventListener('click', () => this.openHistoryModal());
+        document.getElementById('close-history-modal').addEventListener('click', () => this.closeHistoryModal());
+        document.getElementById('compare-runs').addEventListener('click', () => this.compareSelectedRuns());
+        document.getElementById('clear-history').addEventListener('click', () => {
+            StorageManager.clearRunHistory();
+            this.renderRunHistoryList();
+        });
         
         // Control inputs
         const gridSizeSelect = document.getElementById('grid-size');
@@ -138,11 +324,68 @@ class PathfinderApp {
             this.setAnimationSpeed(e.target.value);
         });
         
+        document.getElementById('movement-selector').addEventListener('change', (e) => {
+            this.setMovement(e.target.value);
+            this.resetStats();
+        });
+        
+        document.getElementById('overlay-selector').addEventListener('change', (e) => {
+            this.setOverlayMode(e.target.value);
+        });
+        
+        document.getElementById('heuristic-selector').addEventListener('change', (e) => {
+            this.setHeuristic(e.target.value);
+        });
+        document.getElementById('heuristic-weight').addEventListener('change', (e) => {
+            this.setHeuristicWeight(parseFloat(e.target.value));
+            e.target.value = this.heuristicSettings.weight;
+        });
+        
+        document.getElementById('optimize-waypoints').addEventListener('change', (e) => {
+            this.setOptimizeWaypoints(e.target.checked);
+        });
+        
+        document.getElementById('path-sprite-toggle').addEventListener('change', (e) => {
+            this.showPathSprites = e.target.checked;
+            if (!this.showPathSprites) this.stopPathSprites();
+        });
+        
+        document.getElementById('verify-results').addEventListener('change', (e) => {
+            this.verifyResults = e.target.checked;
+            document.getElementById('legend-mismatch').style.display = this.verifyResults ? '' : 'none';
+            if (!this.verifyResults) this.clearVerificationMarks();
+        });
+        
         // Randomizer buttons
         document.getElementById('random-maze').addEventListener('click', () => {
+            if (this.mazeAnimation) {
+                this.finishMazeAnimation();
+                return;
+            }
             if (this.isRunning) this.stopAlgorithms();
             this.generateRandomMaze();
         });
+        const seedInput = document.getElementById('seed-input');
+        seedInput.value = this.seed;
+        seedInput.addEventListener('change', (e) => {
+            const seed = SeededRandom.parseSeed(e.target.value);
+            if (seed === null) {
+                StorageManager.showNotification(`A seed is a whole number from 0 to ${SeededRandom.MAX_SEED}.`, 'warning');
+                e.target.value = this.seed;
+                return;
+            }
+            // A typed seed is meant to be reused
+            this.showSeed(seed);
+            this.keepSeed = true;
+            document.getElementById('keep-seed').checked = true;
+        });
+        document.getElementById('new-seed').addEventListener('click', () => this.showSeed(SeededRandom.createSeed()));
+        document.getElementById('keep-seed').addEventListener('change', (e) => {
+            this.keepSeed = e.target.checked;
+        });
+        document.getElementById('maze-loopiness').addEventListener('input', (e) => {
+            document.getElementById('maze-loopiness-value').textContent = `${e.target.value}%`;
+        });
         document.getElementById('random-points').addEventListener('click', () => {
             if (this.isRunning) this.stopAlgorithms();
             this.setRandomStartEnd();
@@ -156,69 +399,286 @@ class PathfinderApp {
             this.generateRandomEnvironment();
         });
         
+        // Playback transport (play, pause, step, scrub)
+        this.setupTransportControls();
+        
         // Analysis section toggle
         document.getElementById('analysis-toggle').addEventListener('click', () => this.toggleAnalysisSection());
         
-        // Grid synchronization (when one grid is modified, update the other)
-        this.setupGridSynchronization();
-        
-        // Grid click listeners for stopping algorithms
-        const dijkstraGridEl = document.getElementById('dijkstra-grid');
-        const astarGridEl = document.getElementById('astar-grid');
-        dijkstraGridEl.addEventListener('mousedown', () => { if (this.isRunning) this.stopAlgorithms(); });
-        astarGridEl.addEventListener('mousedown', () => { if (this.isRunning) this.stopAlgorithms(); });
+        // Drag-and-drop sync: after a drag, mirror the final start/end position, then record the stroke
+        document.addEventListener('mouseup', () => {
+            this.syncDragEnd();
+            if (this.editStroke) {
+                this.editStroke = false;
+                this.commitEdit();
+            }
+        });
+        document.getElementById('undo-edit').addEventListener('click', () => this.undoEdit());
+        document.getElementById('redo-edit').addEventListener('click', () => this.redoEdit());
+        document.getElementById('show-shortcuts').addEventListener('click', () => this.openShortcutsModal());
+        document.getElementById('close-shortcuts-modal').addEventListener('click', () => this.closeShortcutsModal());
+        document.getElementById('reset-shortcuts').addEventListener('click', () => this.resetShortcuts());
     }
     
-    
     /**
-     * Setup grid synchronization
+     * Setup keyboard shortcuts, applying the keys the user remapped them to
      */
-    setupGridSynchronization() {
-        const originalDijkstraClick = this.dijkstraGrid.handleNodeClick.bind(this.dijkstraGrid);
-        const originalAstarClick = this.astarGrid.handleNodeClick.bind(this.astarGrid);
-
-        // Sync on click (tool use)
-        this.dijkstraGrid.handleNodeClick = (node) => {
-            if (this.isRunning) this.stopAlgorithms();
-            this.dijkstraGrid.resetAlgorithmStates();
-            this.astarGrid.resetAlgorithmStates();
-            originalDijkstraClick(node);
-            this.syncNodeToOtherGrid(node, this.astarGrid);
+    setupKeyboardShortcuts() {
+        this.keyboardManager = new KeyboardManager();
+        // Shortcuts press the matching control, so they do nothing while it is disabled
+        const press = id => () => {
+            const button = document.getElementById(id);
+            if (!button.disabled) button.click();
         };
-        this.astarGrid.handleNodeClick = (node) => {
-            if (this.isRunning) this.stopAlgorithms();
-            this.dijkstraGrid.resetAlgorithmStates();
-            this.astarGrid.resetAlgorithmStates();
-            originalAstarClick(node);
-            this.syncNodeToOtherGrid(node, this.dijkstraGrid);
+        const choose = (id, value) => () => {
+            const select = document.getElementById(id);
+            if (select.disabled) return;
+            select.value = value;
+            select.dispatchEvent(new Event('change'));
         };
-
-        // --- Drag-and-drop sync fix ---
-        // Listen for drag end (mouseup) and sync only the final start/end position
-        const syncDragEnd = (sourceGrid, targetGrid) => {
-            document.addEventListener('mouseup', () => {
-                // Sync start
-                if (sourceGrid.startNode) {
-                    const targetNode = targetGrid.getNode(sourceGrid.startNode.row, sourceGrid.startNode.col);
-                    if (targetNode) {
-                        targetGrid.setStartNode(targetNode.row, targetNode.col);
-                    }
+        this.defaultShortcuts = [
+            { id: 'tool-start', key: 's', description: 'Set Start tool', handler: press('tool-start') },
+            { id: 'tool-end', key: 'e', description: 'Set End tool', handler: press('tool-end') },
+            { id: 'tool-wall', key: 'w', description: 'Wall tool', handler: press('tool-wall') },
+            { id: 'tool-weight', key: 'h', description: 'Weight tool', handler: press('tool-weight') },
+            { id: 'tool-eraser', key: 'x', description: 'Eraser tool', handler: press('tool-eraser') },
+            { id: 'tool-waypoint', key: 'k', description: 'Waypoint tool', handler: press('tool-waypoint') },
+            { id: 'tool-goal', key: 'g', description: 'Add Goal tool', handler: press('tool-goal') },
+            { id: 'draw-freehand', key: 'b', description: 'Draw freehand', handler: choose('draw-mode', 'freehand') },
+            { id: 'draw-line', key: 'l', description: 'Draw lines', handler: choose('draw-mode', 'line') },
+            { id: 'draw-rectangle', key: 'r', description: 'Draw rectangles', handler: choose('draw-mode', 'rectangle') },
+            { id: 'draw-filled-rectangle', key: 'shift+r', description: 'Draw filled rectangles', handler: choose('draw-mode', 'filled-rectangle') },
+            { id: 'draw-fill', key: 'f', description: 'Flood fill', handler: choose('draw-mode', 'fill') },
+            { id: 'brush-1', key: '1', description: 'Brush size 1×1', handler: choose('brush-size', '1') },
+            { id: 'brush-3', key: '3', description: 'Brush size 3×3', handler: choose('brush-size', '3') },
+            { id: 'brush-5', key: '5', description: 'Brush size 5×5', handler: choose('brush-size', '5') },
+            { id: 'run', key: 'space', description: 'Find path, or stop the running search', handler: () => {
+                if (this.isRunning) this.stopAlgorithms();
+                else press('find-path')();
+            } },
+            { id: 'clear', key: 'c', description: 'Clear the grid', handler: press('clear-grid') },
+            { id: 'random-maze', key: 'm', description: 'Random maze (skips the animation while one is drawn)', handler: press('random-maze') },
+            { id: 'random-points', key: 'p', description: 'Random start and end', handler: press('random-points') },
+            { id: 'random-weights', key: 't', description: 'Random weights', handler: press('random-weights') },
+            { id: 'random-environment', key: 'n', description: 'Random environment', handler: press('random-environment') },
+            { id: 'speed-up', key: ']', description: 'Faster animation', handler: () => this.changeAnimationSpeed(1) },
+            { id: 'speed-down', key: '[', description: 'Slower animation', handler: () => this.changeAnimationSpeed(-1) },
+            { id: 'save', key: 'ctrl+s', description: 'Save the grid', handler: press('save-grid') },
+            { id: 'load', key: 'ctrl+o', description: 'Load a saved grid', handler: press('load-grid') },
+            { id: 'undo', key: 'ctrl+z', description: 'Undo the last grid edit', handler: () => this.undoEdit() },
+            { id: 'redo', key: 'ctrl+shift+z', description: 'Redo the last undone grid edit', handler: () => this.redoEdit() },
+            { id: 'help', key: 'shift+?', description: 'Show or hide this list', handler: () => this.toggleShortcutsModal() }
+        ];
+        this.registerShortcuts(StorageManager.getShortcutKeys());
+    }
+    
+    /**
+     * Register every default shortcut, on its remapped key where it has one
+     * @param {Object} keys - Shortcut id → remapped key combination
+     */
+    registerShortcuts(keys) {
+        this.keyboardManager.getShortcuts().forEach(({ key }) => this.keyboardManager.unregisterShortcut(key));
+        this.defaultShortcuts.forEach(({ id, key, description, handler }) => {
+            this.keyboardManager.registerShortcut(keys[id] || key, handler, description, id);
+        });
+    }
+    
+    /**
+     * Step the animation speed up or down, as the speed selector would
+     * @param {number} step - 1 for faster, -1 for slower
+     */
+    changeAnimationSpeed(step) {
+        const select = document.getElementById('speed-selector');
+        if (select.disabled) return;
+        // The options run from fastest to slowest
+        const index = Math.min(Math.max(select.selectedIndex - step, 0), select.options.length - 1);
+        if (index === select.selectedIndex) return;
+        select.selectedIndex = index;
+        this.setAnimationSpeed(select.value);
+        StorageManager.showNotification(`Animation speed: ${select.options[index].text}`, 'info');
+    }
+    
+    /**
+     * List the keyboard shortcuts and let the user remap them
+     */
+    toggleShortcutsModal() {
+        if (document.getElementById('shortcuts-modal').style.display === 'none') {
+            this.openShortcutsModal();
+        } else {
+            this.closeShortcutsModal();
+        }
+    }
+    openShortcutsModal() {
+        document.getElementById('shortcuts-modal').style.display = 'flex';
+        this.renderShortcutsList();
+    }
+    closeShortcutsModal() {
+        this.keyboardManager.captureNextKey(null);
+        document.getElementById('shortcuts-modal').style.display = 'none';
+    }
+    renderShortcutsList() {
+        const list = document.getElementById('shortcuts-list');
+        list.innerHTML = this.keyboardManager.getShortcuts().map(({ id, key, description }) => `
+            <div class="shortcut-item">
+                <span class="shortcut-description">${description}</span>
+                <span>
+                    <kbd class="shortcut-key">${KeyboardManager.formatKey(key)}</kbd>
+                    <button class="shortcut-change" data-id="${id}">Change</button>
+                </span>
+            </div>
+        `).join('');
+        list.querySelectorAll('.shortcut-change').forEach(btn => {
+            btn.onclick = () => {
+                this.renderShortcutsList();
+                const button = list.querySelector(`.shortcut-change[data-id="${btn.dataset.id}"]`);
+                button.textContent = 'Press a key…';
+                button.classList.add('waiting');
+                this.keyboardManager.captureNextKey(key => {
+                    if (key !== null) this.remapShortcut(btn.dataset.id, key);
+                    this.renderShortcutsList();
+                });
+            };
+        });
+    }
+    
+    /**
+     * Move a shortcut to a new key and remember it
+     * @param {string} id - Shortcut id
+     * @param {string} key - New key combination
+     */
+    remapShortcut(id, key) {
+        if (!this.keyboardManager.remapShortcut(id, key)) {
+            const taken = this.keyboardManager.getShortcuts().find(shortcut => shortcut.key === key);
+            StorageManager.showNotification(`${KeyboardManager.formatKey(key)} is already used for "${taken.description}".`, 'warning');
+            return;
+        }
+        this.saveShortcutKeys();
+    }
+    
+    /**
+     * Put every shortcut back on its default key
+     */
+    resetShortcuts() {
+        this.keyboardManager.captureNextKey(null);
+        this.registerShortcuts({});
+        this.saveShortcutKeys();
+        this.renderShortcutsList();
+        StorageManager.showNotification('Shortcuts reset to their defaults', 'info');
+    }
+    
+    /**
+     * Save the keys of the shortcuts that are not on their default key
+     */
+    saveShortcutKeys() {
+        const keys = {};
+        this.defaultShortcuts.forEach(({ id, key }) => {
+            const current = this.keyboardManager.getKey(id);
+            if (current !== key) keys[id] = current;
+        });
+        StorageManager.saveShortcutKeys(keys);
+    }
+    
+    
+    /**
+     * Setup grid synchronization (when one grid is modified, update the others)
+     */
+    setupGridSynchronization() {
+        this.panels.forEach(({ grid }) => {
+            const originalClick = grid.handleNodeClick.bind(grid);
+            const originalPaint = grid.paintCells.bind(grid);
+            
+            // Sync painted cells (brush strokes, lines, rectangles and fills)
+            grid.paintCells = (nodes, tool, weight) => {
+                // While the agent walks, clicks drop walls through handleNodeClick instead
+                if (this.isWalking) return false;
+                if (this.isRunning) this.stopAlgorithms();
+                this.resetPlayback();
+                this.grids.forEach(other => other.resetAlgorithmStates());
+                originalPaint(nodes, tool, weight);
+                this.grids
+                    .filter(other => other !== grid)
+                    .forEach(other => {
+                        nodes.forEach(node => this.syncNodeToOtherGrid(node, other));
+                        other.setWaypoints(grid.waypoints);
+                        other.setGoals(grid.goalNodes);
+                    });
+                this.updatePanelNotices();
+                return true;
+            };
+            
+            // Sync on click (tool use)
+            grid.handleNodeClick = (node) => {
+                // While the agent walks, clicks only drop or remove walls and trigger a replan
+                if (this.isWalking) {
+                    this.toggleWalkWall(node);
+                    return;
                 }
-                // Sync end
-                if (sourceGrid.endNode) {
-                    const targetNode = targetGrid.getNode(sourceGrid.endNode.row, sourceGrid.endNode.col);
-                    if (targetNode) {
-                        targetGrid.setEndNode(targetNode.row, targetNode.col);
-                    }
+                if (this.isRunning) this.stopAlgorithms();
+                this.resetPlayback();
+                this.grids.forEach(other => other.resetAlgorithmStates());
+                if (ToolManager.getCurrentTool() === 'waypoint' && node.waypointNumber === null &&
+                    !node.isStart && !node.isEnd && grid.waypoints.length >= Grid.MAX_WAYPOINTS) {
+                    StorageManager.showNotification(`A route can have at most ${Grid.MAX_WAYPOINTS} waypoints.`, 'warning');
                 }
-            });
-        };
-        syncDragEnd(this.dijkstraGrid, this.astarGrid);
-        syncDragEnd(this.astarGrid, this.dijkstraGrid);
+                if (ToolManager.getCurrentTool() === 'goal' && !node.isStart && !node.isEnd &&
+                    grid.goalNodes.length + 1 >= Grid.MAX_GOALS) {
+                    StorageManager.showNotification(`A grid can have at most ${Grid.MAX_GOALS} goals.`, 'warning');
+                }
+                // Cells painted during a stroke join its edit; a click (fired after mouseup) is an edit of its own
+                const inStroke = this.editStroke;
+                if (!inStroke) this.beginEdit();
+                originalClick(node);
+                this.grids
+                    .filter(other => other !== grid)
+                    .forEach(other => {
+                        this.syncNodeToOtherGrid(node, other);
+                        other.setWaypoints(grid.waypoints);
+                        other.setGoals(grid.goalNodes);
+                    });
+                if (!inStroke) this.commitEdit();
+                this.updatePanelNotices();
+            };
+            
+            // Grid click listener for stopping algorithms and starting a stroke
+            // (capture phase, so the edit starts before the grid paints the first cell)
+            grid.container.addEventListener('mousedown', () => {
+                this.activeGrid = grid;
+                if (this.isRunning) this.stopAlgorithms();
+                if (!this.isWalking) {
+                    this.beginEdit();
+                    this.editStroke = true;
+                }
+            }, true);
+        });
+    }
+    
+    /**
+     * Copy the start and end position of the last pressed grid to the others
+     */
+    syncDragEnd() {
+        const sourceGrid = this.activeGrid;
+        if (!sourceGrid) return;
+        this.grids.filter(grid => grid !== sourceGrid).forEach(targetGrid => {
+            // Sync start
+            if (sourceGrid.startNode) {
+                const targetNode = targetGrid.getNode(sourceGrid.startNode.row, sourceGrid.startNode.col);
+                if (targetNode) {
+                    targetGrid.setStartNode(targetNode.row, targetNode.col);
+                }
+            }
+            // Sync end
+            if (sourceGrid.endNode) {
+                const targetNode = targetGrid.getNode(sourceGrid.endNode.row, sourceGrid.endNode.col);
+                if (targetNode) {
+                    targetGrid.setEndNode(targetNode.row, targetNode.col);
+                }
+            }
+        });
+        this.activeGrid = null;
     }
     
     /**
-     * Sync a node change to the other grid
+     * Sync a node change to another grid
      * @param {Node} sourceNode - Node that was changed
      * @param {Grid} targetGrid - Grid to sync to
      */
@@ -234,8 +694,10 @@ class PathfinderApp {
                 }
             }
         }
-        // If syncing an end node, clear all previous end nodes in the target grid
-        if (sourceNode.isEnd) {
+        // If syncing the end node, clear all previous end nodes in the target grid
+        // (extra goals are synced separately through setGoals)
+        const isEndNode = sourceNode.isEnd && sourceNode.goalNumber === null;
+        if (isEndNode) {
             for (let r = 0; r < targetGrid.rows; r++) {
                 for (let c = 0; c < targetGrid.cols; c++) {
                     if (targetGrid.nodes[r][c].isEnd) {
@@ -255,91 +717,207 @@ class PathfinderApp {
             if (sourceNode.isStart) {
                 targetGrid.startNode = targetNode;
             }
-            if (sourceNode.isEnd) {
+            if (isEndNode) {
                 targetGrid.endNode = targetNode;
             }
         }
     }
     
     /**
-     * Sync both grids to have the same layout
+     * Sync every grid to the primary grid's layout
      */
     syncGrids() {
-        // Clear all start/end states in astar grid before copying
-        for (let row = 0; row < this.currentGridSize; row++) {
-            for (let col = 0; col < this.currentGridSize; col++) {
-                this.astarGrid.nodes[row][col].isStart = false;
-                this.astarGrid.nodes[row][col].isEnd = false;
-                this.astarGrid.nodes[row][col].updateVisualState();
+        const source = this.primaryGrid;
+        this.grids.filter(grid => grid !== source).forEach(target => {
+            // Clear all start/end states before copying
+            for (let row = 0; row < target.rows; row++) {
+                for (let col = 0; col < target.cols; col++) {
+                    target.nodes[row][col].isStart = false;
+                    target.nodes[row][col].isEnd = false;
+                    target.nodes[row][col].updateVisualState();
+                }
             }
-        }
-        // Copy dijkstra grid state to astar grid
-        for (let row = 0; row < this.currentGridSize; row++) {
-            for (let col = 0; col < this.currentGridSize; col++) {
-                const dijkstraNode = this.dijkstraGrid.getNode(row, col);
-                const astarNode = this.astarGrid.getNode(row, col);
-                if (dijkstraNode && astarNode) {
-                    astarNode.isStart = dijkstraNode.isStart;
-                    astarNode.isEnd = dijkstraNode.isEnd;
-                    astarNode.isWall = dijkstraNode.isWall;
-                    astarNode.weight = dijkstraNode.weight;
-                    astarNode.updateVisualState();
+            // Copy source grid state to the target grid
+            for (let row = 0; row < target.rows; row++) {
+                for (let col = 0; col < target.cols; col++) {
+                    const sourceNode = source.getNode(row, col);
+                    const targetNode = target.getNode(row, col);
+                    if (sourceNode && targetNode) {
+                        targetNode.isStart = sourceNode.isStart;
+                        targetNode.isEnd = sourceNode.isEnd;
+                        targetNode.isWall = sourceNode.isWall;
+                        targetNode.weight = sourceNode.weight;
+                        targetNode.updateVisualState();
+                    }
                 }
             }
-        }
-        this.astarGrid.startNode = this.astarGrid.getNode(
-            this.dijkstraGrid.startNode.row, 
-            this.dijkstraGrid.startNode.col
-        );
-        this.astarGrid.endNode = this.astarGrid.getNode(
-            this.dijkstraGrid.endNode.row, 
-            this.dijkstraGrid.endNode.col
-        );
+            target.startNode = target.getNode(source.startNode.row, source.startNode.col);
+            target.endNode = target.getNode(source.endNode.row, source.endNode.col);
+            target.setMovement(source.movement);
+            target.setWaypoints(source.waypoints);
+            target.setGoals(source.goalNodes);
+            target.seed = source.seed;
+        });
+        this.updatePanelNotices();
+    }
+    
+    /**
+     * Setup the playback transport bar
+     */
+    setupTransportControls() {
+        document.getElementById('transport-play').addEventListener('click', () => {
+            const controller = this.animationController;
+            if (!controller.isLoaded() || (controller.isFinished() && !this.isRunning)) {
+                this.startPlayback(true);
+            } else {
+                controller.resume();
+            }
+        });
+        document.getElementById('transport-pause').addEventListener('click', () => {
+            this.animationController.pause();
+        });
+        document.getElementById('transport-step-forward').addEventListener('click', () => {
+            if (!this.animationController.isLoaded()) {
+                this.startPlayback(false);
+            }
+            this.animationController.stepForward();
+        });
+        document.getElementById('transport-step-back').addEventListener('click', () => {
+            this.animationController.stepBack();
+        });
+        document.getElementById('transport-scrubber').addEventListener('input', (e) => {
+            const position = parseInt(e.target.value);
+            this.animationController.pause();
+            this.animationController.seek(position);
+        });
+        this.updateTransportControls();
     }
     
     /**
-     * Run both pathfinding algorithms simultaneously
+     * Run all selected pathfinding algorithms simultaneously
      */
-    async findPaths() {
+    findPaths() {
         if (this.isRunning) {
             StorageManager.showNotification('Algorithms are already running!', 'warning');
             return;
         }
+        this.startPlayback(true);
+    }
+    
+    /**
+     * Solve every grid and load their replay timelines into the transport
+     * All grids share one timeline, so every step advances them together
+     * @param {boolean} autoplay - Start playing immediately instead of waiting on the first frame
+     */
+    startPlayback(autoplay) {
+        if (this.isWalking) this.endWalk();
+        this.showWalkStats(false);
         this.isRunning = true;
         this.setSidebarEnabled(false);
         this.performanceMonitor.clearMetrics();
         const findButton = document.getElementById('find-path');
         findButton.textContent = 'Running...';
         findButton.disabled = true;
-        this.performanceMonitor.startTiming('dijkstra');
-        this.performanceMonitor.startTiming('astar');
         try {
-            const [dijkstraResult, astarResult] = await Promise.all([
-                this.dijkstraAlgorithm.findPath(
-                    (explored, pathLength) => this.updateStats('dijkstra', explored, pathLength),
-                    (result) => {
-                        this.performanceMonitor.endTiming('dijkstra');
-                        this.updateStats('dijkstra', result.nodesExplored, result.pathLength);
-                    }
-                ),
-                this.astarAlgorithm.findPath(
-                    (explored, pathLength) => this.updateStats('astar', explored, pathLength),
-                    (result) => {
-                        this.performanceMonitor.endTiming('astar');
-                        this.updateStats('astar', result.nodesExplored, result.pathLength);
-                    }
-                )
-            ]);
-            this.showAlgorithmResults(dijkstraResult, astarResult);
+            // Only the search is timed; resetting the grid and building frames are not
+            this.panels.forEach(({ id, algorithm }) => {
+                algorithm.prepare();
+                this.performanceMonitor.recordTiming(id, algorithm.solveDuration);
+            });
         } catch (error) {
             console.error('Error running algorithms:', error);
             StorageManager.showNotification('Error running algorithms', 'error');
-        } finally {
-            this.isRunning = false;
-            findButton.textContent = 'Find Path';
-            findButton.disabled = false;
-            this.setSidebarEnabled(true);
+            this.finishRun();
+            return;
         }
+        
+        const length = Math.max(...this.panels.map(panel => panel.algorithm.frameCount));
+        this.animationController.load(length, {
+            onFrame: (position) => this.renderPlaybackFrame(position),
+            onComplete: () => this.finishPlayback(),
+            onStateChange: () => this.updateTransportControls(),
+            getFrameDelay: (position) => Math.max(
+                ...this.panels.map(panel => panel.algorithm.getFrameDelay(position))
+            )
+        });
+        this.progressLog = {
+            position: -1,
+            samples: new Map(this.panels.map(panel => [panel.id, []]))
+        };
+        this.renderPlaybackFrame(0);
+        if (autoplay) this.animationController.start();
+    }
+    
+    /**
+     * Bring every grid to the given timeline position
+     * @param {number} position - Frame position
+     */
+    renderPlaybackFrame(position) {
+        this.stopPathSprites();
+        this.clearVerificationMarks();
+        this.panels.forEach(({ id, algorithm }) => {
+            algorithm.seek(position);
+            this.updateStats(id, algorithm.nodesExplored, algorithm.pathLength, algorithm.pathCost);
+        });
+        this.recordProgress(position);
+        this.inspector.update();
+    }
+    
+    /**
+     * Record each panel's progress the first time playback reaches a position
+     * Samples are keyed by timeline step, so pauses do not stretch the charts.
+     * Scrubbing back keeps the samples already taken; jumping ahead records only where it lands
+     * @param {number} position - Frame position
+     */
+    recordProgress(position) {
+        const log = this.progressLog;
+        if (!log || position <= log.position) return;
+        log.position = position;
+        this.panels.forEach(({ id, algorithm }) => {
+            log.samples.get(id).push({ position, explored: algorithm.nodesExplored, frontier: algorithm.frontierSize });
+        });
+    }
+    
+    /**
+     * Called when playback reaches the end of the timeline for the first time
+     */
+    finishPlayback() {
+        if (!this.isRunning) return;
+        this.finishRun();
+        this.showAlgorithmResults();
+        if (this.showPathSprites) this.startPathSprites();
+    }
+    
+    /**
+     * Send a sprite along every found path; each step takes longer the heavier the cell it enters,
+     * so the time a sprite needs to arrive shows its path cost
+     */
+    startPathSprites() {
+        const durations = { slow: 320, medium: 160, fast: 80 };
+        const stepDuration = durations[this.currentSpeed] || 160;
+        this.panels.forEach(({ algorithm, sprite }) => {
+            const result = algorithm.getResult();
+            if (result.success) sprite.walk(result.path, stepDuration);
+        });
+    }
+    
+    /**
+     * Remove the path sprites from every grid
+     */
+    stopPathSprites() {
+        this.panels.forEach(({ sprite }) => sprite.stop());
+    }
+    
+    /**
+     * Restore the header and sidebar after a run ends
+     */
+    finishRun() {
+        this.isRunning = false;
+        const findButton = document.getElementById('find-path');
+        findButton.textContent = 'Find Path';
+        findButton.disabled = false;
+        this.setSidebarEnabled(true);
+        this.updateTransportControls();
     }
     
     /**
@@ -347,191 +925,945 @@ class PathfinderApp {
      */
     stopAlgorithms() {
         if (this.isRunning) {
-            this.dijkstraAlgorithm.stop();
-            this.astarAlgorithm.stop();
-            this.isRunning = false;
-            const findButton = document.getElementById('find-path');
-            findButton.textContent = 'Find Path';
-            findButton.disabled = false;
-            this.setSidebarEnabled(true);
+            this.animationController.pause();
+            this.panels.forEach(panel => panel.algorithm.stop());
+            this.finishRun();
             StorageManager.showNotification('Algorithms stopped', 'info');
         }
     }
     
     /**
-     * Update algorithm statistics display
-     * @param {string} algorithm - Algorithm name ('dijkstra' or 'astar')
-     * @param {number} explored - Number of nodes explored
-     * @param {number} pathLength - Path length
+     * Unload the recorded timeline (the grid changed, so it no longer applies)
      */
-    updateStats(algorithm, explored, pathLength) {
-        document.getElementById(`${algorithm}-explored`).textContent = explored;
-        document.getElementById(`${algorithm}-path-length`).textContent = pathLength;
+    resetPlayback() {
+        this.stopPathSprites();
+        this.clearVerificationMarks();
+        this.progressLog = null;
+        this.animationController.stop();
+        this.updateTransportControls();
+        if (this.inspector) this.inspector.clear();
     }
     
     /**
-     * Show algorithm comparison results in the analysis section
-     * @param {Object} dijkstraResult - Dijkstra algorithm result
-     * @param {Object} astarResult - A* algorithm result
+     * Sync the transport bar with the animation controller state
      */
-    showAlgorithmResults(dijkstraResult, astarResult) {
-        const performance = this.performanceMonitor.getPerformanceSummary();
-        const analysisResults = document.getElementById('analysis-results');
-        
-        // Create detailed analysis HTML
-        let analysisHTML = '';
-        
-        if (dijkstraResult.success || astarResult.success) {
-            analysisHTML = `
-                <div class="analysis-grid">
-                    <div class="algorithm-result ${dijkstraResult.success ? 'success' : 'failure'}">
-                        <h4>Dijkstra's Algorithm</h4>
-                        ${dijkstraResult.success ? `
-                            <div class="result-item">
-                                <span class="result-label">Status:</span>
-                                <span class="result-value">Path Found ✓</span>
-                            </div>
-                            <div class="result-item">
-                                <span class="result-label">Nodes Explored:</span>
-                                <span class="result-value">${dijkstraResult.nodesExplored}</span>
-                            </div>
-                            <div class="result-item">
-                                <span class="result-label">Path Length:</span>
-                                <span class="result-value">${dijkstraResult.pathLength}</span>
-                            </div>
-                            ${performance.dijkstra ? `
-                                <div class="result-item">
-                                    <span class="result-label">Execution Time:</span>
-                                    <span class="result-value">${performance.dijkstra.durationFormatted}</span>
-                                </div>
-                            ` : ''}
-                        ` : `
-                            <div class="result-item">
-                                <span class="result-label">Status:</span>
-                                <span class="result-value">No Path Found ✗</span>
-                            </div>
-                            <div class="result-item">
-                                <span class="result-label">Nodes Explored:</span>
-                                <span class="result-value">${dijkstraResult.nodesExplored}</span>
-                            </div>
-                        `}
-                    </div>
-                    
-                    <div class="algorithm-result ${astarResult.success ? 'success' : 'failure'}">
-                        <h4>A* Search Algorithm</h4>
-                        ${astarResult.success ? `
-                            <div class="result-item">
-                                <span class="result-label">Status:</span>
-                                <span class="result-value">Path Found ✓</span>
-                            </div>
-                            <div class="result-item">
-                                <span class="result-label">Nodes Explored:</span>
-                                <span class="result-value">${astarResult.nodesExplored}</span>
-                            </div>
-                            <div class="result-item">
-                                <span class="result-label">Path Length:</span>
-                                <span class="result-value">${astarResult.pathLength}</span>
-                            </div>
-                            ${performance.astar ? `
-                                <div class="result-item">
-                                    <span class="result-label">Execution Time:</span>
-                                    <span class="result-value">${performance.astar.durationFormatted}</span>
-                                </div>
-                            ` : ''}
-                        ` : `
-                            <div class="result-item">
-                                <span class="result-label">Status:</span>
-                                <span class="result-value">No Path Found ✗</span>
-                            </div>
-                            <div class="result-item">
-                                <span class="result-label">Nodes Explored:</span>
-                                <span class="result-value">${astarResult.nodesExplored}</span>
-                            </div>
-                        `}
-                    </div>
-                </div>
-                
-                <div class="comparison-summary">
-                    <h4>Algorithm Comparison Summary</h4>
-                    ${this.generateComparisonSummary(dijkstraResult, astarResult, performance)}
-                </div>
-            `;
-        } else {
-            analysisHTML = `
-                <div class="comparison-summary">
-                    <h4>Analysis Results</h4>
-                    <p>Both algorithms were unable to find a path. This typically happens when:</p>
-                    <ul style="margin: 10px 0; padding-left: 20px;">
-                        <li>The start and end points are completely blocked by walls</li>
-                        <li>There's no possible route between the start and end positions</li>
-                    </ul>
-                    <p>Try removing some walls or generating a new maze with more open paths.</p>
-                </div>
-            `;
-        }
-        
-        analysisResults.innerHTML = analysisHTML;
-        
-        // Show the analysis section if it's collapsed
-        const analysisContent = document.getElementById('analysis-content');
-        const analysisHeader = document.getElementById('analysis-toggle');
-        if (analysisContent.classList.contains('collapsed')) {
-            this.toggleAnalysisSection();
-        }
-        
-        StorageManager.showNotification('Pathfinding complete! Check analysis section for detailed comparison.', 'success');
+    updateTransportControls() {
+        const controller = this.animationController;
+        const loaded = controller.isLoaded();
+        const scrubber = document.getElementById('transport-scrubber');
+        scrubber.max = controller.length;
+        scrubber.value = controller.position;
+        scrubber.disabled = !loaded;
+        document.getElementById('transport-position').textContent = `Step ${controller.position} / ${controller.length}`;
+        document.getElementById('transport-play').disabled = controller.isRunning();
+        document.getElementById('transport-pause').disabled = !controller.isRunning();
+        document.getElementById('transport-step-back').disabled = !loaded || controller.position === 0;
+        document.getElementById('transport-step-forward').disabled = loaded && controller.isFinished();
     }
     
     /**
-     * Generate comparison summary text
-     * @param {Object} dijkstraResult - Dijkstra algorithm result
-     * @param {Object} astarResult - A* algorithm result
-     * @param {Object} performance - Performance metrics
-     * @returns {string} HTML summary
+     * Put an agent on the start of every grid and walk it along each algorithm's path
+     * Clicking a cell during the walk drops or removes a wall, and every algorithm replans
+     * from its agent's cell: most restart their search, incremental ones repair it
      */
-    generateComparisonSummary(dijkstraResult, astarResult, performance) {
-        if (!dijkstraResult.success && !astarResult.success) {
-            return '<p>Neither algorithm could find a path in this configuration.</p>';
+    startWalk() {
+        if (this.isRunning) {
+            StorageManager.showNotification('Wait for the algorithms to finish before walking the agent.', 'warning');
+            return;
         }
-        
-        if (!dijkstraResult.success || !astarResult.success) {
-            const successful = dijkstraResult.success ? 'Dijkstra' : 'A*';
-            return `<p>Only ${successful} found a path in this configuration. This is unusual and may indicate an implementation issue.</p>`;
+        if (this.primaryGrid.waypoints.length > 0) {
+            StorageManager.showNotification('Remove the waypoints to walk the agent; it heads straight for the nearest goal.', 'warning');
+            return;
+        }
+        
+        this.resetPlayback();
+        const walking = this.panels.filter(({ algorithm }) => algorithm.startWalk());
+        if (walking.length === 0) {
+            StorageManager.showNotification('None of the selected algorithms can run on this grid.', 'warning');
+            return;
+        }
+        
+        this.isWalking = true;
+        this.walkBlocked = false;
+        this.setSidebarEnabled(false);
+        document.getElementById('find-path').disabled = true;
+        document.getElementById('walk-agent').textContent = 'Stop Walk';
+        this.showWalkStats(true);
+        this.updateWalkStats();
+        StorageManager.showNotification('Click cells in front of the agent to drop walls; each algorithm replans around them.', 'info');
+        this.scheduleWalkStep();
+    }
+    
+    /**
+     * Queue the next agent step at the current animation speed
+     */
+    scheduleWalkStep() {
+        const delays = { slow: 600, medium: 300, fast: 120 };
+        this.walkTimer = setTimeout(() => this.stepWalk(), delays[this.currentSpeed] || 300);
+    }
+    
+    /**
+     * Move every agent one cell; the walk ends once every agent has reached a goal
+     * Agents cut off by walls wait, since removing a wall can open a way again
+     */
+    stepWalk() {
+        const moved = this.panels.filter(({ algorithm }) => algorithm.stepWalk());
+        this.updateWalkStats();
+        const walks = this.panels.map(({ algorithm }) => algorithm.getWalkResult()).filter(Boolean);
+        if (walks.every(walk => walk.arrived)) {
+            this.finishWalk();
+            return;
+        }
+        if (moved.length === 0 && !this.walkBlocked) {
+            StorageManager.showNotification('The agents are walled in. Click a wall to remove it, or stop the walk.', 'warning');
+        }
+        this.walkBlocked = moved.length === 0;
+        this.scheduleWalkStep();
+    }
+    
+    /**
+     * Drop a wall on a cell during the walk, or remove the wall already there, then replan
+     * @param {Node} node - Clicked node
+     */
+    toggleWalkWall(node) {
+        if (node.isStart || node.isEnd || node.waypointNumber !== null) return;
+        if (this.panels.some(({ algorithm }) => algorithm.isAgentAt(node.row, node.col))) {
+            StorageManager.showNotification("Walls can't be dropped on the agent.", 'warning');
+            return;
+        }
+        const addWall = !node.isWall;
+        this.grids.forEach(grid => {
+            const target = grid.getNode(node.row, node.col);
+            if (addWall) {
+                target.setAsWall();
+            } else {
+                target.clear();
+            }
+        });
+        this.panels.forEach(({ algorithm }) => algorithm.changeWalkCells([{ row: node.row, col: node.col }]));
+        this.updateWalkStats();
+        this.updatePanelNotices();
+    }
+    
+    /**
+     * Stop the walk and show how much replanning each algorithm needed
+     */
+    finishWalk() {
+        this.endWalk();
+        this.showWalkResults();
+    }
+    
+    /**
+     * Stop the walk and restore the header and sidebar
+     */
+    endWalk() {
+        clearTimeout(this.walkTimer);
+        this.walkTimer = null;
+        this.isWalking = false;
+        this.setSidebarEnabled(true);
+        document.getElementById('find-path').disabled = false;
+        document.getElementById('walk-agent').textContent = 'Walk Agent';
+    }
+    
+    /**
+     * Show or hide the re-expanded counter under each grid
+     * @param {boolean} visible - Whether the counters are shown
+     */
+    showWalkStats(visible) {
+        document.querySelectorAll('.walk-stat').forEach(stat => {
+            stat.style.display = visible ? '' : 'none';
+        });
+    }
+    
+    /**
+     * Update the stats under each grid during a walk
+     */
+    updateWalkStats() {
+        this.panels.forEach(({ id, algorithm }) => {
+            this.updateStats(id, algorithm.nodesExplored, algorithm.pathLength, algorithm.pathCost);
+            const walk = algorithm.getWalkResult();
+            document.getElementById(`${id}-reexpanded`).textContent = walk ? walk.reexpanded : '–';
+        });
+    }
+    
+    /**
+     * Show how many nodes each algorithm expanded to keep its agent on course
+     */
+    showWalkResults() {
+        const runs = this.panels.map(panel => ({ panel, walk: panel.algorithm.getWalkResult() }));
+        const walked = runs.filter(run => run.walk);
+        const cards = runs.map(({ panel, walk }) => `
+            <div class="algorithm-result ${walk && walk.arrived ? 'success' : 'failure'}">
+                <h4>${panel.name}</h4>
+                ${walk ? `
+                    <div class="result-item">
+                        <span class="result-label">Status:</span>
+                        <span class="result-value">${walk.arrived ? `Reached ${this.getGoalLabel(walk.goal)} ✓` : 'Stopped before a goal ✗'}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">First Plan Explored:</span>
+                        <span class="result-value">${walk.firstExplored}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">Replans:</span>
+                        <span class="result-value">${walk.replans}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">Re-expanded:</span>
+                        <span class="result-value">${walk.reexpanded}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">Walked:</span>
+                        <span class="result-value">${walk.steps} steps, cost ${this.formatPathCost(walk.walkedCost)}</span>
+                    </div>
+                ` : `
+                    <div class="result-item">
+                        <span class="result-label">Status:</span>
+                        <span class="result-value">Skipped (grid not supported)</span>
+                    </div>
+                `}
+            </div>
+        `).join('');
+        
+        document.getElementById('analysis-results').innerHTML = `
+            <div class="analysis-grid">${cards}</div>
+            <div class="comparison-summary">
+                <h4>Replanning Summary</h4>
+                ${this.generateWalkSummary(walked)}
+            </div>
+        `;
+        const analysisContent = document.getElementById('analysis-content');
+        if (analysisContent.classList.contains('collapsed')) {
+            this.toggleAnalysisSection();
+        }
+    }
+    
+    /**
+     * Compare the replanning effort of the algorithms that walked
+     * @param {Array<{panel: Object, walk: Object}>} walked - Walk summary of each algorithm
+     * @returns {string} HTML summary
+     */
+    generateWalkSummary(walked) {
+        const replans = walked.length > 0 ? walked[0].walk.replans : 0;
+        if (replans === 0) {
+            return '<p>No walls changed during the walk, so nothing had to be replanned. Click cells in front of the agent while it walks to drop walls in its way.</p>';
+        }
+        
+        let summary = `<p>The grid changed ${replans} time${replans === 1 ? '' : 's'} during the walk.</p>`;
+        if (walked.length > 1) {
+            const byReexpanded = [...walked].sort((a, b) => a.walk.reexpanded - b.walk.reexpanded);
+            const fewest = byReexpanded[0];
+            const most = byReexpanded[byReexpanded.length - 1];
+            if (fewest.walk.reexpanded === most.walk.reexpanded) {
+                summary += `<p>All algorithms re-expanded the same number of nodes (${fewest.walk.reexpanded}).</p>`;
+            } else {
+                summary += `<p><strong>🏆 ${fewest.panel.shortName} replanned with the least work:</strong> ${fewest.walk.reexpanded} nodes re-expanded against ${most.walk.reexpanded} for ${most.panel.shortName}.</p>`;
+            }
+        }
+        walked.filter(({ panel }) => AlgorithmRegistry.get(panel.id).incremental).forEach(({ panel }) => {
+            summary += `<p>ℹ️ ${panel.shortName} repairs its previous search, so after each change it only expands the cells whose cost to the goal changed. The other algorithms search again from the agent's cell every time.</p>`;
+        });
+        return summary;
+    }
+    
+    /**
+     * Read the benchmark settings from the sidebar
+     * @returns {Object} { count, sizes, densities, maze }
+     */
+    getBenchmarkSettings() {
+        const checked = name => [...document.querySelectorAll(`input[name="${name}"]:checked`)].map(input => parseFloat(input.value));
+        const count = parseInt(document.getElementById('benchmark-count').value, 10);
+        return {
+            count: Number.isFinite(count) ? Math.min(Math.max(count, 1), 50) : 5,
+            sizes: checked('benchmark-size'),
+            densities: checked('benchmark-density'),
+            maze: document.getElementById('benchmark-maze').checked
+        };
+    }
+    
+    /**
+     * Run the selected algorithms without animation on many random grids and show their averages
+     * The grids on screen are left untouched
+     */
+    async runBenchmark() {
+        if (this.isRunning || this.isWalking) {
+            StorageManager.showNotification('Wait for the current run to finish before benchmarking.', 'warning');
+            return;
+        }
+        const settings = this.getBenchmarkSettings();
+        if (settings.sizes.length === 0 || settings.densities.length === 0) {
+            StorageManager.showNotification('Pick at least one grid size and one weighted-cell share to benchmark.', 'warning');
+            return;
+        }
+        
+        this.resetPlayback();
+        settings.seed = this.nextSeed();
+        this.benchmark = new BenchmarkRunner({
+            ...settings,
+            algorithms: this.selectedAlgorithms,
+            movement: this.primaryGrid.movement,
+            configure: algorithm => this.applyAlgorithmSettings(algorithm)
+        });
+        const button = document.getElementById('run-benchmark');
+        this.setSidebarEnabled(false);
+        button.disabled = false;
+        document.getElementById('find-path').disabled = true;
+        document.getElementById('walk-agent').disabled = true;
+        button.textContent = `Stop Benchmark (0/${this.benchmark.total})`;
+        
+        try {
+            const samples = await this.benchmark.run((done, total) => {
+                button.textContent = `Stop Benchmark (${done}/${total})`;
+            });
+            if (samples.length > 0) {
+                this.showBenchmarkResults(samples, settings, this.benchmark.cancelled);
+            }
+            StorageManager.showNotification(this.benchmark.cancelled
+                ? `Benchmark stopped after ${samples.length} grids.`
+                : `Benchmark complete: ${samples.length} grids.`, 'success');
+        } catch (error) {
+            console.error('Error running benchmark:', error);
+            StorageManager.showNotification('Error running benchmark', 'error');
+        } finally {
+            this.benchmark = null;
+            button.textContent = 'Run Benchmark';
+            this.setSidebarEnabled(true);
+            document.getElementById('find-path').disabled = false;
+            document.getElementById('walk-agent').disabled = false;
+        }
+    }
+    
+    /**
+     * Show the benchmark averages in the analysis section
+     * @param {Object[]} samples - Samples from BenchmarkRunner.run()
+     * @param {Object} settings - Benchmark settings (see getBenchmarkSettings())
+     * @param {boolean} stopped - Whether the benchmark was stopped early
+     */
+    showBenchmarkResults(samples, settings, stopped) {
+        const algorithms = this.selectedAlgorithms;
+        const summary = BenchmarkRunner.summarize(samples, algorithms);
+        const { overall, bySize } = summary;
+        const name = id => AlgorithmRegistry.get(id).shortName;
+        const format = (value, digits = 1) => value === null ? '–' : value.toFixed(digits);
+        const formatTime = value => value === null ? '–' : this.performanceMonitor.formatDuration(value);
+        const percent = value => `${Math.round(value * 100)}%`;
+        
+        const description = `${samples.length} random ${settings.maze ? 'maze' : 'open'} grid${samples.length === 1 ? '' : 's'}` +
+            ` (sizes ${settings.sizes.join(', ')}; weighted cells ${settings.densities.map(percent).join(', ')}; ${this.primaryGrid.movement} movement; seeds from ${settings.seed})` +
+            `${stopped ? ', stopped early' : ''}.`;
+        
+        const ran = overall.filter(row => row.runs > 0);
+        // Averages over different sets of grids are not comparable, so only algorithms that ran on every grid are ranked
+        const ranked = ran.filter(row => row.skipped === 0);
+        let highlights = '';
+        if (ranked.length > 1) {
+            const fewest = [...ranked].sort((a, b) => a.avgExplored - b.avgExplored)[0];
+            const fastest = [...ranked].sort((a, b) => a.avgTime - b.avgTime)[0];
+            highlights += `<p><strong>🏆 ${name(fewest.id)} explored the fewest nodes on average</strong> (${format(fewest.avgExplored)}).</p>`;
+            highlights += `<p>⚡ ${name(fastest.id)} was the fastest on average (${formatTime(fastest.avgTime)} per grid).</p>`;
+        }
+        if (ran.length > 1) {
+            const suboptimal = ran.filter(row => row.avgExtraCost !== null && row.avgExtraCost > 1e-9);
+            if (suboptimal.length > 0) {
+                highlights += `<p>⚠️ Paths costing more than the cheapest one found: ${suboptimal.map(row => `${name(row.id)} +${format(row.avgExtraCost)}% on average`).join(', ')}.</p>`;
+            }
+        }
+        overall.filter(row => row.skipped > 0).forEach(row => {
+            highlights += `<p>ℹ️ ${name(row.id)} skipped ${row.skipped} grid${row.skipped === 1 ? '' : 's'} it does not support; its averages only cover the grids it ran on, so it is left out of the fewest-nodes and fastest rankings.</p>`;
+        });
+        
+        document.getElementById('analysis-results').innerHTML = `
+            <div class="comparison-summary">
+                <h4>Benchmark Results</h4>
+                <p>${description}</p>
+                ${highlights}
+            </div>
+            <table class="benchmark-table">
+                <thead>
+                    <tr>
+                        <th>Algorithm</th>
+                        <th>Solved</th>
+                        <th>Avg. Explored</th>
+                        <th>Avg. Cost</th>
+                        <th>Extra Cost</th>
+                        <th>Avg. Time</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${overall.map(row => `
+                        <tr>
+                            <td>${name(row.id)}</td>
+                            <td>${row.solved} / ${row.runs}</td>
+                            <td>${format(row.avgExplored)}</td>
+                            <td>${row.avgCost === null ? '–' : this.formatPathCost(Math.round(row.avgCost * 100) / 100)}</td>
+                            <td>${row.avgExtraCost === null ? '–' : `+${format(row.avgExtraCost)}%`}</td>
+                            <td>${formatTime(row.avgTime)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="benchmark-charts">
+                ${ChartRenderer.renderBarChart('Average nodes explored', ran.map(row => ({ label: name(row.id), value: row.avgExplored, text: format(row.avgExplored) })))}
+                ${ChartRenderer.renderBarChart('Average time per grid', ran.map(row => ({ label: name(row.id), value: row.avgTime, text: formatTime(row.avgTime) })))}
+            </div>
+            <table class="benchmark-table">
+                <thead>
+                    <tr>
+                        <th>Avg. explored by size</th>
+                        ${algorithms.map(id => `<th>${name(id)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${bySize.map(({ size, results }) => `
+                        <tr>
+                            <td>${size}x${size}</td>
+                            ${algorithms.map(id => `<td>${format(results[id].avgExplored)}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        this.setExportData(this.buildBenchmarkExport(samples, settings, summary));
+        
+        const analysisContent = document.getElementById('analysis-content');
+        if (analysisContent.classList.contains('collapsed')) {
+            this.toggleAnalysisSection();
+        }
+    }
+    
+    /**
+     * Keep the data behind the latest analysis and enable the export buttons
+     * @param {Object} data - { name, json, rows } (see exportResults())
+     */
+    setExportData(data) {
+        this.exportData = data;
+        document.getElementById('export-csv').disabled = false;
+        document.getElementById('export-json').disabled = false;
+    }
+    
+    /**
+     * Settings that shape a run's results, as exported and kept in the run history
+     * @returns {Object} { movement, heuristic, heuristicWeight, optimizeWaypoints }
+     */
+    getRunSettings() {
+        return {
+            movement: this.primaryGrid.movement,
+            heuristic: this.heuristicSettings.name,
+            heuristicWeight: this.heuristicSettings.weight,
+            optimizeWaypoints: this.optimizeWaypoints
+        };
+    }
+    
+    /**
+     * Collect the data behind a run's analysis: settings, layout and every algorithm's result
+     * @param {Array<{panel: Object, result: Object, verification: Object|null}>} runs - Result of each algorithm
+     * @param {Object} performance - Performance metrics keyed by algorithm id
+     * @returns {Object} Export data (see exportResults())
+     */
+    buildRunExport(runs, performance) {
+        const cell = ({ row, col }) => ({ row, col });
+        const algorithms = runs.map(({ panel, result, verification }) => {
+            const search = panel.algorithm.lastResult;
+            const timing = performance[panel.id];
+            const entry = {
+                id: panel.id,
+                name: panel.name,
+                success: result.success,
+                skipped: Boolean(result.unavailable),
+                message: result.message || null,
+                nodesExplored: result.nodesExplored,
+                steps: result.pathLength,
+                pathCost: result.pathCost,
+                goal: result.success ? this.getGoalLabel(result.goal) : null,
+                timeMs: timing ? timing.duration : null,
+                path: search.path.map(cell),
+                visitOrder: search.visitOrder.map(cell)
+            };
+            if (result.legs) {
+                entry.route = result.stops.map(stop => stop.label);
+                entry.legs = result.legs;
+            }
+            if (verification) {
+                entry.verification = {
+                    valid: verification.valid,
+                    referenceCost: verification.referenceCost === Infinity ? null : verification.referenceCost,
+                    issues: verification.issues.map(issue => issue.message)
+                };
+            }
+            return entry;
+        });
+        const cells = list => list.map(({ row, col }) => `(${row},${col})`).join(' ');
+        return {
+            name: 'zenpaths-run',
+            json: {
+                type: 'run',
+                exportedAt: new Date().toISOString(),
+                settings: this.getRunSettings(),
+                grid: this.primaryGrid.serialize(),
+                statistics: this.getAppStatistics(),
+                algorithms
+            },
+            rows: algorithms.map(entry => ({
+                algorithm: entry.name,
+                id: entry.id,
+                success: entry.success,
+                skipped: entry.skipped,
+                nodes_explored: entry.nodesExplored,
+                steps: entry.steps,
+                path_cost: entry.pathCost,
+                goal: entry.goal,
+                time_ms: entry.timeMs === null ? null : Number(entry.timeMs.toFixed(3)),
+                path: cells(entry.path),
+                visit_order: cells(entry.visitOrder)
+            }))
+        };
+    }
+    
+    /**
+     * Collect the data behind a benchmark: settings, averages and every grid's raw results
+     * @param {Object[]} samples - Samples from BenchmarkRunner.run()
+     * @param {Object} settings - Benchmark settings (see getBenchmarkSettings())
+     * @param {Object} summary - Averages from BenchmarkRunner.summarize()
+     * @returns {Object} Export data (see exportResults())
+     */
+    buildBenchmarkExport(samples, settings, summary) {
+        const rows = [];
+        samples.forEach(({ size, density, seed, results }, index) => {
+            Object.entries(results).forEach(([id, result]) => {
+                rows.push({
+                    grid: index + 1,
+                    seed,
+                    size,
+                    weighted_share: density,
+                    algorithm: AlgorithmRegistry.get(id).name,
+                    id,
+                    skipped: result.unavailable,
+                    success: result.success,
+                    nodes_explored: result.nodesExplored,
+                    path_cost: result.pathCost,
+                    time_ms: Number(result.duration.toFixed(3))
+                });
+            });
+        });
+        return {
+            name: 'zenpaths-benchmark',
+            json: {
+                type: 'benchmark',
+                exportedAt: new Date().toISOString(),
+                settings: {
+                    ...settings,
+                    movement: this.primaryGrid.movement,
+                    heuristic: this.heuristicSettings.name,
+                    heuristicWeight: this.heuristicSettings.weight,
+                    algorithms: this.selectedAlgorithms
+                },
+                summary,
+                samples
+            },
+            rows
+        };
+    }
+    
+    /**
+     * Download the data behind the latest analysis
+     * CSV holds one row per algorithm (or per algorithm and grid for a benchmark);
+     * JSON holds everything, including paths, visit orders and settings
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportResults(format) {
+        if (!this.exportData) {
+            StorageManager.showNotification('Run the algorithms or a benchmark first to have something to export.', 'warning');
+            return;
+        }
+        const { name, json, rows } = this.exportData;
+        if (format === 'csv') {
+            ExportManager.download(ExportManager.getFileName(name, 'csv'), ExportManager.toCSV(rows), 'text/csv');
+        } else {
+            ExportManager.download(ExportManager.getFileName(name, 'json'), JSON.stringify(json, null, 2), 'application/json');
+        }
+    }
+    
+    /**
+     * Update algorithm statistics display
+     * @param {string} algorithm - Algorithm id (see AlgorithmRegistry)
+     * @param {number} explored - Number of nodes explored
+     * @param {number} pathLength - Number of steps along the path
+     * @param {number} pathCost - Weighted cost of the path
+     */
+    updateStats(algorithm, explored, pathLength, pathCost) {
+        document.getElementById(`${algorithm}-explored`).textContent = explored;
+        document.getElementById(`${algorithm}-path-length`).textContent = pathLength;
+        document.getElementById(`${algorithm}-path-cost`).textContent = this.formatPathCost(pathCost);
+    }
+    
+    /**
+     * Show algorithm comparison results in the analysis section
+     */
+    showAlgorithmResults() {
+        const performance = this.performanceMonitor.getPerformanceSummary();
+        const runs = this.panels.map(panel => ({
+            panel,
+            result: panel.algorithm.getResult(),
+            info: panel.algorithm.getAlgorithmInfo(),
+            verification: this.verifyResults ? panel.algorithm.verifyResult() : null
+        }));
+        if (this.verifyResults) this.markVerificationIssues(runs);
+        const analysisResults = document.getElementById('analysis-results');
+        
+        // Create detailed analysis HTML
+        let analysisHTML = '';
+        
+        const skipped = runs.filter(run => run.result.unavailable);
+        if (runs.some(run => run.result.success)) {
+            analysisHTML = `
+                <div class="analysis-grid">
+                    ${runs.map(run => this.renderResultCard(run, performance[run.panel.id])).join('')}
+                </div>
+                
+                <div class="comparison-summary">
+                    <h4>Algorithm Comparison Summary</h4>
+                    ${this.generateComparisonSummary(runs, performance)}
+                </div>
+            `;
+        } else if (skipped.length === runs.length) {
+            analysisHTML = `
+                <div class="comparison-summary">
+                    <h4>Analysis Results</h4>
+                    ${skipped.map(run => `<p>${run.panel.shortName} did not run: ${run.result.message}</p>`).join('')}
+                </div>
+            `;
+        } else {
+            analysisHTML = `
+                <div class="comparison-summary">
+                    <h4>Analysis Results</h4>
+                    <p>${runs.length > 1 ? 'None of the algorithms were' : 'The algorithm was'} able to find a path. This typically happens when:</p>
+                    <ul style="margin: 10px 0; padding-left: 20px;">
+                        <li>The start and end points are completely blocked by walls</li>
+                        <li>There's no possible route between the start and end positions</li>
+                        ${this.primaryGrid.goalNodes.length > 0 ? '<li>Every goal is walled off from the start</li>' : ''}
+                        ${this.primaryGrid.waypoints.length > 0 ? `<li>A waypoint is cut off from the route (${runs[0].result.message})</li>` : ''}
+                    </ul>
+                    <p>Try removing some walls or generating a new maze with more open paths.</p>
+                </div>
+            `;
+        }
+        
+        if (runs.some(run => !run.result.unavailable)) {
+            analysisHTML += `
+                <div class="comparison-summary">
+                    <h4>Charts</h4>
+                    ${this.renderAnalysisCharts(runs, performance)}
+                </div>
+            `;
+        }
+        
+        if (this.verifyResults) {
+            analysisHTML += `
+                <div class="comparison-summary">
+                    <h4>Verification</h4>
+                    ${this.generateVerificationSummary(runs)}
+                </div>
+            `;
+        }
+        
+        analysisResults.innerHTML = analysisHTML;
+        const exportData = this.buildRunExport(runs, performance);
+        this.setExportData(exportData);
+        this.recordRunHistory(exportData.json);
+        
+        // Show the analysis section if it's collapsed
+        const analysisContent = document.getElementById('analysis-content');
+        if (analysisContent.classList.contains('collapsed')) {
+            this.toggleAnalysisSection();
+        }
+        
+        StorageManager.showNotification('Pathfinding complete! Check analysis section for detailed comparison.', 'success');
+    }
+    
+    /**
+     * Render the progress curves recorded during playback and bars comparing the final results
+     * Each algorithm keeps its color across charts; algorithms that did not run are left out
+     * @param {Object[]} runs - { panel, result, info } per algorithm
+     * @param {Object} performance - Performance metrics per algorithm id
+     * @returns {string} HTML charts
+     */
+    renderAnalysisCharts(runs, performance) {
+        const ran = runs
+            .map((run, index) => ({ ...run, color: ChartRenderer.colorAt(index) }))
+            .filter(run => !run.result.unavailable);
+        const samples = id => (this.progressLog && this.progressLog.samples.get(id)) || [];
+        const progressSeries = key => ran.map(({ panel, color }) => ({
+            label: panel.shortName,
+            color,
+            points: samples(panel.id).map(sample => ({ x: sample.position, y: sample[key] }))
+        }));
+        const formatSteps = steps => `${steps} step${steps === 1 ? '' : 's'}`;
+        const timed = ran.filter(run => performance[run.panel.id]);
+        const solved = ran.filter(run => run.result.success);
+        const lineCharts = ChartRenderer.renderLineChart('Nodes explored per playback step', progressSeries('explored'), { formatX: formatSteps }) +
+            ChartRenderer.renderLineChart('Frontier size per playback step', progressSeries('frontier'), { formatX: formatSteps });
+
+        return `
+            ${lineCharts ? `<div class="analysis-charts">${lineCharts}</div>` : ''}
+            <div class="analysis-charts">
+                ${solved.length > 0 ? ChartRenderer.renderBarChart('Path cost', solved.map(({ panel, result, color }) => ({ label: panel.shortName, value: result.pathCost, text: this.formatPathCost(result.pathCost), color }))) : ''}
+                ${ChartRenderer.renderBarChart('Nodes explored', ran.map(({ panel, result, color }) => ({ label: panel.shortName, value: result.nodesExplored, text: result.nodesExplored.toString(), color })))}
+                ${timed.length > 0 ? ChartRenderer.renderBarChart('Execution time', timed.map(({ panel, color }) => ({ label: panel.shortName, value: performance[panel.id].duration, text: performance[panel.id].durationFormatted, color }))) : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render the result card for one algorithm
+     * @param {Object} run - { panel, result, info }
+     * @param {Object} [timing] - Performance metrics for the algorithm
+     * @returns {string} HTML card
+     */
+    renderResultCard({ result, info, verification }, timing) {
+        return `
+            <div class="algorithm-result ${result.success ? 'success' : 'failure'}">
+                <h4>${info.name}</h4>
+                ${info.heuristic ? `
+                    <div class="result-item">
+                        <span class="result-label">Heuristic:</span>
+                        <span class="result-value">${info.heuristic}</span>
+                    </div>
+                ` : ''}
+                ${result.success ? `
+                    <div class="result-item">
+                        <span class="result-label">Status:</span>
+                        <span class="result-value">Path Found ✓</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">Nodes Explored:</span>
+                        <span class="result-value">${result.nodesExplored}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">Path Cost:</span>
+                        <span class="result-value">${this.formatPathCost(result.pathCost)}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">Steps:</span>
+                        <span class="result-value">${result.pathLength}</span>
+                    </div>
+                    ${this.primaryGrid.goalNodes.length > 0 ? `
+                        <div class="result-item">
+                            <span class="result-label">Goal Reached:</span>
+                            <span class="result-value">${this.getGoalLabel(result.goal)}</span>
+                        </div>
+                    ` : ''}
+                    ${result.legs ? this.renderRouteDetails(result) : ''}
+                    ${timing ? `
+                        <div class="result-item">
+                            <span class="result-label">Execution Time:</span>
+                            <span class="result-value">${timing.durationFormatted}</span>
+                        </div>
+                    ` : ''}
+                ` : `
+                    <div class="result-item">
+                        <span class="result-label">Status:</span>
+                        <span class="result-value">${result.unavailable ? 'Skipped (grid not supported)' : `${result.message && result.message !== 'No path found' ? result.message : 'No Path Found'} ✗`}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">Nodes Explored:</span>
+                        <span class="result-value">${result.nodesExplored}</span>
+                    </div>
+                `}
+                ${verification ? `
+                    <div class="result-item">
+                        <span class="result-label">Verification:</span>
+                        <span class="result-value">${verification.valid ? 'Passed ✓' : `Failed ✗ (${verification.issues.length} issue${verification.issues.length === 1 ? '' : 's'})`}</span>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Highlight the cells each failed verification points at on that algorithm's grid
+     * @param {Array<{panel: Object, verification: Object|null}>} runs - Result of each algorithm
+     */
+    markVerificationIssues(runs) {
+        this.clearVerificationMarks();
+        runs.filter(run => run.verification).forEach(({ panel, verification }) => {
+            verification.issues.forEach(issue => issue.cells.forEach(({ row, col }) => {
+                const node = panel.grid.getNode(row, col);
+                node.isMismatch = true;
+                node.updateVisualState();
+                this.mismatchNodes.push(node);
+            }));
+        });
+    }
+    
+    /**
+     * Remove the verification highlights from every grid
+     */
+    clearVerificationMarks() {
+        this.mismatchNodes.forEach(node => {
+            node.isMismatch = false;
+            node.updateVisualState();
+        });
+        this.mismatchNodes = [];
+    }
+    
+    /**
+     * Generate the verification section of the analysis
+     * @param {Array<{panel: Object, result: Object, verification: Object|null}>} runs - Result of each algorithm
+     * @returns {string} HTML summary
+     */
+    generateVerificationSummary(runs) {
+        const verified = runs.filter(run => run.verification);
+        if (verified.length === 0) {
+            return '<p>Nothing to verify: none of the algorithms ran on this grid.</p>';
+        }
+        const failed = verified.filter(run => !run.verification.valid);
+        const { referenceCost } = verified[0].verification;
+        const reference = referenceCost === Infinity
+            ? 'The reference Dijkstra search found no path.'
+            : `The reference Dijkstra search found a path costing ${this.formatPathCost(referenceCost)}.`;
+        
+        if (failed.length === 0) {
+            return `<p>✅ All ${verified.length} result${verified.length === 1 ? '' : 's'} passed. ${reference} Every path is contiguous, avoids walls and reports its true cost, and every algorithm that guarantees an optimal path matched the reference.</p>`;
+        }
+        
+        let summary = `<p>${reference}</p>`;
+        failed.forEach(({ panel, verification }) => {
+            summary += `<p>❌ <strong>${panel.shortName} failed verification</strong> (flagged cells are outlined on its grid):</p>`;
+            summary += `<ul style="margin: 6px 0; padding-left: 20px;">${verification.issues.map(issue => `<li>${issue.message}</li>`).join('')}</ul>`;
+        });
+        const passed = verified.filter(run => run.verification.valid);
+        if (passed.length > 0) {
+            summary += `<p>✅ ${passed.map(run => run.panel.shortName).join(', ')} passed.</p>`;
+        }
+        return summary;
+    }
+    
+    /**
+     * Label a goal the way the grid draws it
+     * @param {{row: number, col: number}} goal - Goal position
+     * @returns {string} 'E' for the end node, 'E2', 'E3'... for extra goals
+     */
+    getGoalLabel(goal) {
+        const node = this.primaryGrid.getNode(goal.row, goal.col);
+        return node.goalNumber !== null ? `E${node.goalNumber}` : 'E';
+    }
+    
+    /**
+     * Render the stop order and per-leg totals of a route through waypoints
+     * @param {Object} result - Algorithm result with stops and legs
+     * @returns {string} HTML rows
+     */
+    renderRouteDetails({ stops, legs }) {
+        return `
+            <div class="result-item">
+                <span class="result-label">Route:</span>
+                <span class="result-value">${stops.map(stop => stop.label).join(' → ')}</span>
+            </div>
+            ${legs.map((leg, index) => `
+                <div class="result-item">
+                    <span class="result-label">Leg ${stops[index].label} → ${stops[index + 1].label}:</span>
+                    <span class="result-value">${leg.nodesExplored} explored, cost ${this.formatPathCost(leg.pathCost)}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+    
+    /**
+     * Generate comparison summary text
+     * @param {Array<{panel: Object, result: Object, info: Object}>} runs - Result of each algorithm
+     * @param {Object} performance - Performance metrics keyed by algorithm id
+     * @returns {string} HTML summary
+     */
+    generateComparisonSummary(runs, performance) {
+        const successful = runs.filter(run => run.result.success);
+        const skipped = runs.filter(run => run.result.unavailable);
+        const failed = runs.filter(run => !run.result.success && !run.result.unavailable);
+        const names = list => list.map(run => run.panel.shortName).join(', ');
+        
+        if (successful.length === 0) {
+            return '<p>No algorithm could find a path in this configuration.</p>';
         }
         
         let summary = '<div>';
         
+        skipped.forEach(({ panel, result }) => {
+            summary += `<p>ℹ️ ${panel.shortName} did not run: ${result.message}</p>`;
+        });
+        
+        if (failed.length > 0) {
+            summary += `<p>⚠️ Only ${names(successful)} found a path; ${names(failed)} did not. This is unusual and may indicate an implementation issue or a search limit.</p>`;
+        }
+        
+        if (successful.length === 1) {
+            const { panel, result } = successful[0];
+            const goal = this.primaryGrid.goalNodes.length > 0 ? ` to goal ${this.getGoalLabel(result.goal)}` : '';
+            summary += `<p>${panel.shortName} explored ${result.nodesExplored} nodes and found a path${goal} costing ${this.formatPathCost(result.pathCost)} over ${result.pathLength} steps.</p>`;
+            summary += '</div>';
+            return summary;
+        }
+        
         // Efficiency comparison
-        if (astarResult.nodesExplored < dijkstraResult.nodesExplored) {
-            const efficiency = ((dijkstraResult.nodesExplored - astarResult.nodesExplored) / dijkstraResult.nodesExplored * 100).toFixed(1);
-            summary += `<p><strong>🏆 A* was more efficient!</strong> It explored ${efficiency}% fewer nodes than Dijkstra (${astarResult.nodesExplored} vs ${dijkstraResult.nodesExplored}).</p>`;
-        } else if (dijkstraResult.nodesExplored < astarResult.nodesExplored) {
-            const efficiency = ((astarResult.nodesExplored - dijkstraResult.nodesExplored) / astarResult.nodesExplored * 100).toFixed(1);
-            summary += `<p><strong>🏆 Dijkstra was more efficient!</strong> It explored ${efficiency}% fewer nodes than A* (${dijkstraResult.nodesExplored} vs ${astarResult.nodesExplored}).</p>`;
+        const byExplored = [...successful].sort((a, b) => a.result.nodesExplored - b.result.nodesExplored);
+        const fewest = byExplored[0];
+        const most = byExplored[byExplored.length - 1];
+        if (fewest.result.nodesExplored === most.result.nodesExplored) {
+            summary += `<p>All algorithms explored the same number of nodes (${fewest.result.nodesExplored}).</p>`;
         } else {
-            summary += `<p>Both algorithms explored the same number of nodes (${dijkstraResult.nodesExplored}).</p>`;
+            const efficiency = ((most.result.nodesExplored - fewest.result.nodesExplored) / most.result.nodesExplored * 100).toFixed(1);
+            summary += `<p><strong>🏆 ${fewest.panel.shortName} was the most efficient!</strong> It explored ${efficiency}% fewer nodes than ${most.panel.shortName} (${fewest.result.nodesExplored} vs ${most.result.nodesExplored}).</p>`;
         }
         
-        // Path length comparison
-        if (dijkstraResult.pathLength === astarResult.pathLength) {
-            summary += `<p>Both algorithms found the optimal path with length ${dijkstraResult.pathLength}.</p>`;
+        // Path cost comparison: the cost is what the algorithms minimize, so paths of equal cost
+        // are equally good even when they take a different number of steps
+        // (diagonal costs are irrational, so allow for rounding when comparing sums)
+        const optimalCost = Math.min(...successful.map(run => run.result.pathCost));
+        const sameCost = successful.every(run => run.result.pathCost - optimalCost <= 1e-9);
+        const stepCounts = new Set(successful.map(run => run.result.pathLength));
+        if (sameCost && stepCounts.size === 1) {
+            summary += `<p>All algorithms found a path costing ${this.formatPathCost(optimalCost)} over ${successful[0].result.pathLength} steps.</p>`;
+        } else if (sameCost) {
+            summary += `<p>All algorithms found a path costing ${this.formatPathCost(optimalCost)}; they took different routes of equal cost (${successful.map(run => `${run.panel.shortName} ${run.result.pathLength} steps`).join(', ')}).</p>`;
         } else {
-            summary += `<p>⚠️ Path lengths differ: Dijkstra found ${dijkstraResult.pathLength}, A* found ${astarResult.pathLength}. This may indicate different handling of weights.</p>`;
+            summary += `<p>⚠️ Path costs differ: ${successful.map(run => `${run.panel.shortName} found ${this.formatPathCost(run.result.pathCost)} over ${run.result.pathLength} steps`).join(', ')}.</p>`;
+        }
+        
+        // Goal comparison: algorithms may settle for different goals when several are placed
+        if (this.primaryGrid.goalNodes.length > 0) {
+            const goals = new Set(successful.map(run => this.getGoalLabel(run.result.goal)));
+            if (goals.size === 1) {
+                summary += `<p>All algorithms reached goal ${[...goals][0]}.</p>`;
+            } else {
+                summary += `<p>🎯 The algorithms reached different goals: ${successful.map(run => `${run.panel.shortName} reached ${this.getGoalLabel(run.result.goal)}`).join(', ')}.</p>`;
+            }
         }
         
+        // Optimality: compare each path's cost against the cheapest one found
+        successful.forEach(({ panel, result, info }) => {
+            if (result.pathCost - optimalCost > 1e-9) {
+                const extra = ((result.pathCost - optimalCost) / optimalCost * 100).toFixed(1);
+                const reason = info.guaranteesOptimal
+                    ? 'It should be optimal, so this may indicate an implementation issue.'
+                    : this.describeOptimality(panel.algorithm, info);
+                summary += `<p>⚠️ <strong>${panel.shortName} returned a suboptimal path:</strong> it costs ${this.formatPathCost(result.pathCost)} against the optimal ${this.formatPathCost(optimalCost)} (${extra}% more). ${reason}</p>`;
+            } else if (panel.algorithm instanceof HeuristicAlgorithm && !panel.algorithm.isAdmissible()) {
+                summary += `<p>ℹ️ ${panel.shortName} was not guaranteed an optimal path this run, but still found one. ${this.describeOptimality(panel.algorithm, info)}</p>`;
+            }
+        });
+        
         // Performance comparison
-        if (performance.dijkstra && performance.astar) {
-            const dijkstraTime = performance.dijkstra.duration;
-            const astarTime = performance.astar.duration;
+        const timed = successful.filter(run => performance[run.panel.id]);
+        if (timed.length > 1) {
+            const byTime = [...timed].sort((a, b) => performance[a.panel.id].duration - performance[b.panel.id].duration);
+            const fastest = byTime[0];
+            const slowest = byTime[byTime.length - 1];
+            const fastestTime = performance[fastest.panel.id].duration;
+            const slowestTime = performance[slowest.panel.id].duration;
             
-            if (Math.abs(dijkstraTime - astarTime) < 10) {
-                summary += `<p>Execution times were similar: Dijkstra ${performance.dijkstra.durationFormatted}, A* ${performance.astar.durationFormatted}.</p>`;
-            } else if (astarTime < dijkstraTime) {
-                const speedup = ((dijkstraTime - astarTime) / dijkstraTime * 100).toFixed(1);
-                summary += `<p>⚡ A* was ${speedup}% faster in execution time.</p>`;
+            if (Math.abs(slowestTime - fastestTime) < 10) {
+                summary += `<p>Execution times were similar: ${timed.map(run => `${run.panel.shortName} ${performance[run.panel.id].durationFormatted}`).join(', ')}.</p>`;
             } else {
-                const speedup = ((astarTime - dijkstraTime) / astarTime * 100).toFixed(1);
-                summary += `<p>⚡ Dijkstra was ${speedup}% faster in execution time.</p>`;
+                const speedup = ((slowestTime - fastestTime) / slowestTime * 100).toFixed(1);
+                summary += `<p>⚡ ${fastest.panel.shortName} was ${speedup}% faster in execution time than ${slowest.panel.shortName}.</p>`;
             }
         }
         
@@ -539,6 +1871,31 @@ class PathfinderApp {
         return summary;
     }
     
+    /**
+     * Format a path cost for display
+     * @param {number} cost - Path cost
+     * @returns {string} Whole numbers as-is, otherwise two decimals
+     */
+    formatPathCost(cost) {
+        return Number.isInteger(cost) ? cost.toString() : cost.toFixed(2);
+    }
+    
+    /**
+     * Explain why an algorithm may return a suboptimal path
+     * @param {AnimatedAlgorithm} algorithm - Algorithm instance
+     * @param {Object} info - Algorithm information
+     * @returns {string} Explanation text
+     */
+    describeOptimality(algorithm, info) {
+        if (algorithm instanceof AStarAlgorithm && algorithm.heuristicWeight > 1) {
+            return `Weighted A* (${info.heuristic}) inflates the heuristic, so it can overestimate the remaining cost.`;
+        }
+        if (algorithm instanceof HeuristicAlgorithm && !algorithm.isAdmissible()) {
+            return `The ${info.heuristic} heuristic is not admissible for the current movement rules.`;
+        }
+        return `${info.name} does not guarantee the shortest path.`;
+    }
+    
     /**
      * Toggle the analysis section collapsed state
      */
@@ -551,22 +1908,97 @@ class PathfinderApp {
     }
     
     /**
-     * Clear both grids
+     * Clear all grids
      */
     clearGrids() {
-        this.dijkstraGrid.clearGrid();
-        this.astarGrid.clearGrid();
+        this.beginEdit();
+        this.grids.forEach(grid => grid.clearGrid());
         this.syncGrids();
         this.resetStats();
+        this.commitEdit();
         StorageManager.showNotification('Grids cleared', 'info');
     }
     
+    /**
+     * Get the current layout in the form the edit history stores
+     * @returns {string} Primary grid serialized as JSON
+     */
+    captureLayout() {
+        return JSON.stringify(this.primaryGrid.serialize());
+    }
+    
+    /**
+     * Remember the layout before an edit; commitEdit() records the edit once it is done
+     * A maze still being drawn is finished first so it stays an edit of its own
+     */
+    beginEdit() {
+        if (this.mazeAnimation) this.finishMazeAnimation();
+        this.editHistory.begin(this.captureLayout());
+    }
+    
+    /**
+     * Record the edit started by beginEdit(), if it changed anything
+     */
+    commitEdit() {
+        this.editHistory.commit(this.captureLayout());
+        this.updateEditButtons();
+    }
+    
+    /**
+     * Undo the last grid edit
+     */
+    undoEdit() {
+        if (this.mazeAnimation) this.finishMazeAnimation();
+        const layout = this.editHistory.undo(this.captureLayout());
+        if (layout === null) {
+            StorageManager.showNotification('Nothing to undo', 'info');
+            return;
+        }
+        this.restoreLayout(layout);
+    }
+    
+    /**
+     * Redo the last undone grid edit
+     */
+    redoEdit() {
+        if (this.mazeAnimation) this.finishMazeAnimation();
+        const layout = this.editHistory.redo(this.captureLayout());
+        if (layout === null) {
+            StorageManager.showNotification('Nothing to redo', 'info');
+            return;
+        }
+        this.restoreLayout(layout);
+    }
+    
+    /**
+     * Put a layout from the edit history back on every grid
+     * The movement mode is a setting rather than part of the layout, so it is left as it is
+     * @param {string} layout - Primary grid serialized as JSON
+     */
+    restoreLayout(layout) {
+        if (this.isRunning) this.stopAlgorithms();
+        this.applyLayout({ ...JSON.parse(layout), movement: this.primaryGrid.movement });
+        this.resetStats();
+        this.updateEditButtons();
+    }
+    
+    /**
+     * Enable the undo and redo buttons when there is something to undo or redo
+     */
+    updateEditButtons() {
+        document.getElementById('undo-edit').disabled = !this.editHistory.canUndo();
+        document.getElementById('redo-edit').disabled = !this.editHistory.canRedo();
+    }
+    
     /**
      * Reset statistics display
      */
     resetStats() {
-        this.updateStats('dijkstra', 0, 0);
-        this.updateStats('astar', 0, 0);
+        this.stopMazeAnimation();
+        if (this.isWalking) this.endWalk();
+        this.showWalkStats(false);
+        this.resetPlayback();
+        this.panels.forEach(panel => this.updateStats(panel.id, 0, 0, 0));
     }
     
     /**
@@ -585,7 +2017,7 @@ class PathfinderApp {
             StorageManager.showNotification('Please enter a name for the grid.', 'warning');
             return;
         }
-        StorageManager.saveGrid(this.dijkstraGrid, name);
+        StorageManager.saveGrid(this.primaryGrid, name);
         this.closeSaveGridModal();
     }
     openLoadGridModal() {
@@ -615,9 +2047,22 @@ class PathfinderApp {
         `).join('');
         list.querySelectorAll('.saved-grid-load').forEach(btn => {
             btn.onclick = () => {
-                StorageManager.loadGrid(this.dijkstraGrid, btn.dataset.name);
-                this.syncGrids();
-                this.resetStats();
+                const saved = StorageManager.loadGrid(btn.dataset.name);
+                if (!saved) return;
+                if (this.isRunning) this.stopAlgorithms();
+                this.beginEdit();
+                try {
+                    this.applyLayout(saved.data);
+                    if (this.primaryGrid.seed !== null) this.showSeed(this.primaryGrid.seed);
+                    this.setMovement(this.primaryGrid.movement);
+                    this.resetStats();
+                    StorageManager.showNotification(`Grid "${saved.name}" loaded successfully! (Saved: ${new Date(saved.timestamp).toLocaleString()})`, 'success');
+                } catch (error) {
+                    console.error('Error loading grid:', error);
+                    StorageManager.showNotification('Failed to load grid', 'error');
+                } finally {
+                    this.commitEdit();
+                }
                 this.closeLoadGridModal();
             };
         });
@@ -629,82 +2074,426 @@ class PathfinderApp {
         });
     }
     
+    /**
+     * Keep the grid, settings and per-algorithm results of a finished run in the history
+     * Paths and visit orders are left out to keep the stored runs small
+     * @param {Object} exported - JSON part of buildRunExport()
+     */
+    recordRunHistory({ exportedAt, settings, grid, algorithms }) {
+        StorageManager.saveRun({
+            id: `run-${Date.now()}`,
+            timestamp: exportedAt,
+            settings,
+            grid,
+            algorithms: algorithms.map(({ path, visitOrder, legs, ...entry }) => ({
+                ...entry,
+                shortName: AlgorithmRegistry.get(entry.id).shortName
+            }))
+        });
+    }
+    
+    /**
+     * Browse, restore and compare past runs
+     */
+    openHistoryModal() {
+        document.getElementById('history-modal').style.display = 'flex';
+        this.renderRunHistoryList();
+    }
+    closeHistoryModal() {
+        document.getElementById('history-modal').style.display = 'none';
+    }
+    renderRunHistoryList() {
+        const list = document.getElementById('run-history-list');
+        const runs = StorageManager.getRunHistory();
+        const compareButton = document.getElementById('compare-runs');
+        compareButton.disabled = true;
+        document.getElementById('clear-history').disabled = runs.length === 0;
+        if (!runs.length) {
+            list.innerHTML = '<div style="color:#888;">No runs yet. Every finished "Find Path" run is kept here.</div>';
+            return;
+        }
+        const results = run => run.algorithms
+            .map(entry => `${entry.shortName} ${entry.skipped ? 'skipped' : entry.success ? this.formatPathCost(entry.pathCost) : 'no path'}`)
+            .join(' · ');
+        list.innerHTML = runs.map(run => `
+            <div class="run-history-item">
+                <label class="run-history-select">
+                    <input type="checkbox" value="${run.id}" />
+                    <span>
+                        <span class="run-history-time">${new Date(run.timestamp).toLocaleString()}</span>
+                        <span class="run-history-meta">${RunComparison.describe(run)}</span>
+                        <span class="run-history-meta">Cost: ${results(run)}</span>
+                    </span>
+                </label>
+                <span>
+                    <button class="saved-grid-load" data-id="${run.id}">Restore</button>
+                    <button class="saved-grid-delete" data-id="${run.id}">Delete</button>
+                </span>
+            </div>
+        `).join('');
+        const checkboxes = [...list.querySelectorAll('input[type="checkbox"]')];
+        checkboxes.forEach(checkbox => {
+            checkbox.onchange = () => {
+                compareButton.disabled = checkboxes.filter(box => box.checked).length !== 2;
+            };
+        });
+        list.querySelectorAll('.saved-grid-load').forEach(btn => {
+            btn.onclick = () => {
+                if (this.restoreRun(btn.dataset.id)) this.closeHistoryModal();
+            };
+        });
+        list.querySelectorAll('.saved-grid-delete').forEach(btn => {
+            btn.onclick = () => {
+                StorageManager.deleteRun(btn.dataset.id);
+                this.renderRunHistoryList();
+            };
+        });
+    }
+    
+    /**
+     * Put the grid and settings of a past run back on screen
+     * @param {string} id - Run id
+     * @returns {boolean} Success status
+     */
+    restoreRun(id) {
+        if (this.isRunning || this.benchmark) {
+            StorageManager.showNotification('Wait for the current run to finish before restoring another.', 'warning');
+            return false;
+        }
+        const run = StorageManager.getRun(id);
+        if (!run) {
+            StorageManager.showNotification('That run is no longer in the history', 'warning');
+            return false;
+        }
+        this.beginEdit();
+        try {
+            const { settings } = run;
+            this.applyLayout(run.grid);
+            if (this.primaryGrid.seed !== null) this.showSeed(this.primaryGrid.seed);
+            this.setHeuristic(settings.heuristic);
+            document.getElementById('heuristic-selector').value = settings.heuristic;
+            this.setHeuristicWeight(settings.heuristicWeight);
+            document.getElementById('heuristic-weight').value = this.heuristicSettings.weight;
+            this.setOptimizeWaypoints(settings.optimizeWaypoints);
+            document.getElementById('optimize-waypoints').checked = settings.optimizeWaypoints;
+            this.setMovement(settings.movement);
+            this.resetStats();
+        } catch (error) {
+            console.error('Error restoring run:', error);
+            StorageManager.showNotification('Failed to restore run', 'error');
+            return false;
+        } finally {
+            this.commitEdit();
+        }
+        StorageManager.showNotification(`Restored the grid and settings from ${new Date(run.timestamp).toLocaleString()}`, 'success');
+        return true;
+    }
+    
+    /**
+     * Put serialized grid data on every grid, resizing them all first if its size differs
+     * @param {Object} data - Serialized primary grid (see Grid.serialize())
+     */
+    applyLayout(data) {
+        if (data.rows !== this.primaryGrid.rows || data.cols !== this.primaryGrid.cols) {
+            this.currentGridSize = data.rows;
+            this.grids.forEach(grid => grid.resize(data.rows, data.cols));
+            this.showGridSize(data.rows);
+        }
+        this.grids.forEach(grid => grid.resetAlgorithmStates());
+        this.primaryGrid.deserialize(data);
+        this.syncGrids();
+    }
+    
+    /**
+     * Diff the two runs ticked in the history, older one first, in the analysis section
+     */
+    compareSelectedRuns() {
+        const ids = [...document.querySelectorAll('#run-history-list input[type="checkbox"]:checked')].map(box => box.value);
+        const runs = ids.map(id => StorageManager.getRun(id)).filter(Boolean);
+        if (runs.length !== 2) {
+            StorageManager.showNotification('Tick exactly two runs to compare.', 'warning');
+            return;
+        }
+        const [before, after] = runs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        document.getElementById('analysis-results').innerHTML = RunComparison.render(before, after);
+        this.closeHistoryModal();
+        const analysisContent = document.getElementById('analysis-content');
+        if (analysisContent.classList.contains('collapsed')) {
+            this.toggleAnalysisSection();
+        }
+    }
+    
     /**
      * Generate random maze
      */
     generateRandomMaze() {
-        this.dijkstraGrid.resetAlgorithmStates();
-        this.astarGrid.resetAlgorithmStates();
-        this.dijkstraGrid.generateRandomMaze();
-        this.syncGrids();
+        const { type, loopiness, animate } = this.getMazeSettings();
+        // An animated maze is committed as one edit once finishMazeAnimation() draws its last wall
+        this.beginEdit();
+        this.grids.forEach(grid => grid.resetAlgorithmStates());
         this.resetStats();
-        StorageManager.showNotification('Random maze generated', 'info');
+        this.primaryGrid.setSeed(this.nextSeed());
+        if (animate) {
+            const maze = this.primaryGrid.planMaze(type, { loopiness });
+            this.grids.forEach(grid => grid.applyMazeLayout(maze.initial));
+            this.animateMaze(maze);
+            return;
+        }
+        this.primaryGrid.generateRandomMaze(type, { loopiness });
+        this.syncGrids();
+        this.commitEdit();
+        StorageManager.showNotification(`Random maze generated (seed ${this.primaryGrid.seed})`, 'info');
+    }
+    
+    /**
+     * Seed for the next generator: the one shown in the sidebar if it is kept, a fresh one otherwise
+     * @returns {number} Seed
+     */
+    nextSeed() {
+        if (!this.keepSeed) this.showSeed(SeededRandom.createSeed());
+        return this.seed;
+    }
+    
+    /**
+     * Make a seed the current one and show it in the sidebar
+     * @param {number} seed - Seed
+     */
+    showSeed(seed) {
+        this.seed = seed;
+        document.getElementById('seed-input').value = seed;
+    }
+    
+    /**
+     * Read the maze settings from the sidebar
+     * @returns {Object} { type, loopiness, animate }
+     */
+    getMazeSettings() {
+        return {
+            type: document.getElementById('maze-generator').value,
+            loopiness: parseInt(document.getElementById('maze-loopiness').value, 10) / 100,
+            animate: document.getElementById('animate-maze').checked
+        };
+    }
+    
+    /**
+     * Replay a generated maze on every grid, a batch of cell changes per frame
+     * The whole generation takes about the same time whatever its size; slower speeds take longer
+     * @param {Object} maze - Generation from Grid.planMaze()
+     */
+    animateMaze(maze) {
+        const durations = { slow: 6000, medium: 3000, fast: 1500 };
+        const frameDelay = 16;
+        const frames = Math.max(1, Math.round((durations[this.currentSpeed] || 3000) / frameDelay));
+        const batch = Math.max(1, Math.ceil(maze.steps.length / frames));
+        this.mazeAnimation = { maze, position: 0, timer: null };
+        this.setMazeAnimationControls(true);
+        
+        const tick = () => {
+            const animation = this.mazeAnimation;
+            const end = Math.min(animation.position + batch, maze.steps.length);
+            for (; animation.position < end; animation.position++) {
+                const { index, wall } = maze.steps[animation.position];
+                this.grids.forEach(grid => grid.setMazeCell(index, wall));
+            }
+            if (animation.position < maze.steps.length) {
+                animation.timer = setTimeout(tick, frameDelay);
+            } else {
+                this.finishMazeAnimation();
+            }
+        };
+        tick();
+    }
+    
+    /**
+     * Skip to the end of the maze animation
+     */
+    finishMazeAnimation() {
+        const animation = this.mazeAnimation;
+        if (!animation) return;
+        this.stopMazeAnimation();
+        this.primaryGrid.applyMazeLayout(animation.maze.walls);
+        this.syncGrids();
+        this.commitEdit();
+        StorageManager.showNotification(`Random maze generated (seed ${this.primaryGrid.seed})`, 'info');
+    }
+    
+    /**
+     * Stop the maze animation where it is (the grid changed underneath it)
+     */
+    stopMazeAnimation() {
+        if (!this.mazeAnimation) return;
+        clearTimeout(this.mazeAnimation.timer);
+        this.mazeAnimation = null;
+        this.setMazeAnimationControls(false);
+    }
+    
+    /**
+     * Lock the controls while a maze is being drawn; the Random Maze button skips to the end
+     * @param {boolean} animating - Whether a maze animation is running
+     */
+    setMazeAnimationControls(animating) {
+        this.setSidebarEnabled(!animating);
+        const button = document.getElementById('random-maze');
+        button.disabled = false;
+        button.textContent = animating ? 'Skip Animation' : 'Random Maze';
+        document.getElementById('find-path').disabled = animating;
+        document.getElementById('walk-agent').disabled = animating;
     }
     
     /**
      * Set random start and end positions
      */
     setRandomStartEnd() {
-        this.dijkstraGrid.resetAlgorithmStates();
-        this.astarGrid.resetAlgorithmStates();
-        this.dijkstraGrid.randomizeStartAndEnd();
+        this.beginEdit();
+        this.grids.forEach(grid => grid.resetAlgorithmStates());
+        this.primaryGrid.setSeed(this.nextSeed());
+        this.primaryGrid.randomizeStartAndEnd();
         this.syncGrids();
         this.resetStats();
-        StorageManager.showNotification('Random start and end positions set', 'info');
+        this.commitEdit();
+        StorageManager.showNotification(`Random start and end positions set (seed ${this.seed})`, 'info');
     }
     
     /**
-     * Set animation speed for both algorithms
+     * Set animation speed for all algorithms
      * @param {string} speed - Speed setting ('slow', 'medium', 'fast')
      */
     setAnimationSpeed(speed) {
         this.currentSpeed = speed;
-        if (this.dijkstraAlgorithm) {
-            this.dijkstraAlgorithm.setAnimationSpeed(speed);
-        }
-        if (this.astarAlgorithm) {
-            this.astarAlgorithm.setAnimationSpeed(speed);
+        this.panels.forEach(panel => panel.algorithm.setAnimationSpeed(speed));
+    }
+    
+    /**
+     * Select the heuristic used by every heuristic-guided algorithm
+     * @param {string} name - Heuristic name (key of Heuristics)
+     */
+    setHeuristic(name) {
+        this.heuristicSettings.name = name;
+        this.panels.forEach(panel => this.applyAlgorithmSettings(panel.algorithm));
+    }
+    
+    /**
+     * Set the Weighted A* factor
+     * @param {number} weight - Heuristic weight, at least 1
+     */
+    setHeuristicWeight(weight) {
+        this.heuristicSettings.weight = Number.isFinite(weight) ? Math.max(1, weight) : 1;
+        this.panels.forEach(panel => this.applyAlgorithmSettings(panel.algorithm));
+    }
+    
+    /**
+     * Visit the waypoints in the cheapest order instead of the order they were placed in
+     * @param {boolean} optimize - Whether to reorder the waypoints
+     */
+    setOptimizeWaypoints(optimize) {
+        this.optimizeWaypoints = optimize;
+        this.panels.forEach(panel => this.applyAlgorithmSettings(panel.algorithm));
+    }
+    
+    /**
+     * Set the movement rules for all grids
+     * Switches to the default heuristic for the mode if the selected one would overestimate
+     * @param {string} movement - '4-way', '8-way' or '8-way-no-corners'
+     */
+    setMovement(movement) {
+        this.grids.forEach(grid => grid.setMovement(movement));
+        const currentMovement = this.primaryGrid.movement;
+        document.getElementById('movement-selector').value = currentMovement;
+        
+        const heuristicName = this.heuristicSettings.name;
+        if (!isHeuristicAdmissible(heuristicName, currentMovement)) {
+            const fallback = DefaultHeuristics[currentMovement];
+            this.setHeuristic(fallback);
+            document.getElementById('heuristic-selector').value = fallback;
+            StorageManager.showNotification(`${HeuristicDetails[heuristicName].label} overestimates with ${currentMovement} movement; switched to ${HeuristicDetails[fallback].label}.`, 'info');
         }
     }
     
     /**
-     * Resize both grids
+     * Set the cost overlay mode for all grids
+     * @param {string} mode - 'none', 'cost', 'heuristic', 'total' or 'heatmap'
+     */
+    setOverlayMode(mode) {
+        this.overlayMode = mode;
+        this.grids.forEach(grid => grid.setOverlayMode(mode));
+        this.updateCostLegend();
+    }
+    
+    /**
+     * Show the legend entries for the active cost overlay
+     * Searches that measure costs to the goal (bidirectional, D* Lite) get their own entries
+     */
+    updateCostLegend() {
+        const mode = this.overlayMode;
+        const toGoal = this.selectedAlgorithms.some(id => {
+            const entry = AlgorithmRegistry.get(id);
+            return entry.bidirectional || entry.costsToGoal;
+        });
+        document.getElementById('legend-heatmap').style.display = mode === 'heatmap' ? '' : 'none';
+        document.getElementById('legend-heatmap-goal').style.display = mode === 'heatmap' && toGoal ? '' : 'none';
+        document.getElementById('legend-cost-goal').style.display = mode === 'cost' && toGoal ? '' : 'none';
+    }
+    
+    /**
+     * Resize all grids
      * @param {number} newSize - New grid size
      */
     resizeGrids(newSize) {
+        this.beginEdit();
         this.currentGridSize = newSize;
-        this.dijkstraGrid.resize(newSize, newSize);
-        this.astarGrid.resize(newSize, newSize);
+        this.grids.forEach(grid => grid.resize(newSize, newSize));
         this.syncGrids();
         this.resetStats();
+        this.commitEdit();
         StorageManager.showNotification(`Grid resized to ${newSize}x${newSize}`, 'info');
     }
     
     /**
-     * Generate random weights for both grids, with user prompt for range and fill
+     * Show a grid size in the size picker, switching to the custom input for sizes it does not list
+     * @param {number} size - Grid size
+     */
+    showGridSize(size) {
+        const select = document.getElementById('grid-size');
+        const listed = [...select.options].some(option => option.value === String(size));
+        select.value = listed ? String(size) : 'custom';
+        document.getElementById('custom-grid-container').style.display = listed ? 'none' : '';
+        document.getElementById('custom-grid-size').value = size;
+        document.getElementById('custom-grid-warning').style.display = size > 30 ? '' : 'none';
+    }
+    
+    /**
+     * Generate random weights for all grids, with user prompt for range and fill
      */
     generateRandomWeights() {
-        this.dijkstraGrid.resetAlgorithmStates();
-        this.astarGrid.resetAlgorithmStates();
-        this.dijkstraGrid.generateRandomWeights(undefined, undefined, 1);
-        this.astarGrid.generateRandomWeights(undefined, undefined, 1);
+        this.beginEdit();
+        this.grids.forEach(grid => grid.resetAlgorithmStates());
+        this.primaryGrid.setSeed(this.nextSeed());
+        this.primaryGrid.generateRandomWeights(undefined, undefined, 1);
         this.syncGrids();
         this.resetStats();
-        StorageManager.showNotification('Random weights assigned', 'info');
+        this.commitEdit();
+        StorageManager.showNotification(`Random weights assigned (seed ${this.seed})`, 'info');
     }
     
     /**
-     * Randomize everything: maze, start, end, weights
+     * Randomize everything: start, end, maze, weights
+     * The old layout is cleared first and the maze settings are not used, so the seed alone
+     * (with the grid size, goals and waypoints) decides the result
      */
     generateRandomEnvironment() {
-        this.dijkstraGrid.resetAlgorithmStates();
-        this.astarGrid.resetAlgorithmStates();
-        this.dijkstraGrid.generateRandomMaze();
-        this.dijkstraGrid.randomizeStartAndEnd();
-        this.dijkstraGrid.generateRandomWeights(undefined, undefined, 1); // Only 2,5,10 weights
+        this.beginEdit();
+        this.grids.forEach(grid => grid.resetAlgorithmStates());
+        const seed = this.nextSeed();
+        this.primaryGrid.setSeed(seed);
+        this.primaryGrid.clearLayout();
+        this.primaryGrid.randomizeStartAndEnd();
+        // Always recursive division without loops
+        this.primaryGrid.generateRandomMaze();
+        this.primaryGrid.generateRandomWeights(undefined, undefined, 1); // Only 2,5,10 weights
         this.syncGrids();
         this.resetStats();
-        StorageManager.showNotification('Random environment generated', 'info');
+        this.commitEdit();
+        StorageManager.showNotification(`Random environment #${seed} generated`, 'info');
     }
     
     /**
@@ -716,8 +2505,9 @@ class PathfinderApp {
             gridSize: this.currentGridSize,
             animationSpeed: this.currentSpeed,
             isRunning: this.isRunning,
-            dijkstraStats: this.dijkstraAlgorithm?.getStatistics(),
-            astarStats: this.astarAlgorithm?.getStatistics(),
+            algorithms: Object.fromEntries(
+                this.panels.map(panel => [panel.id, panel.algorithm.getStatistics()])
+            ),
             performanceMetrics: this.performanceMonitor.getPerformanceSummary()
         };
     }
@@ -726,10 +2516,20 @@ class PathfinderApp {
     setSidebarEnabled(enabled) {
         // Tool buttons
         document.querySelectorAll('.tool-btn').forEach(btn => btn.disabled = !enabled);
+        document.getElementById('draw-mode').disabled = !enabled;
+        document.getElementById('brush-size').disabled = !enabled;
         // Randomizer buttons (all with .tool-btn and btn-secondary and full-width)
         document.querySelectorAll('#random-maze, #random-points, #random-weights, #random-environment').forEach(btn => btn.disabled = !enabled);
+        document.querySelectorAll('#maze-generator, #maze-loopiness, #animate-maze, #seed-input, #new-seed, #keep-seed').forEach(input => input.disabled = !enabled);
         // Controls
         document.getElementById('speed-selector').disabled = !enabled;
+        document.getElementById('movement-selector').disabled = !enabled;
+        document.getElementById('heuristic-selector').disabled = !enabled;
+        document.getElementById('heuristic-weight').disabled = !enabled;
+        document.getElementById('optimize-waypoints').disabled = !enabled;
+        document.querySelectorAll('#benchmark-options input').forEach(input => input.disabled = !enabled);
+        document.getElementById('run-benchmark').disabled = !enabled;
+        document.querySelectorAll('#algorithm-options input').forEach(input => input.disabled = !enabled);
         document.getElementById('grid-size').disabled = !enabled;
         const customInput = document.getElementById('custom-grid-size');
         if (customInput) customInput.disabled = !enabled;
@@ -0,0 +1,166 @@
+import { Grid } from './Grid.js';
+import { AlgorithmRegistry } from '../algorithms/AlgorithmRegistry.js';
+import { PerformanceMonitor } from '../utils/EventHandlers.js';
+
+/**
+ * Runs algorithms without animation over many random grids and averages what they did
+ * Every setting (grid size × weighted-cell density) gets `count` fresh grids with a random
+ * start and end, an optional recursive-division maze and random weights at that density
+ */
+export class BenchmarkRunner {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.algorithms - Algorithm ids (see AlgorithmRegistry)
+     * @param {number[]} options.sizes - Grid sizes (rows = columns)
+     * @param {number[]} options.densities - Share of open cells given a random weight, 0 to 1
+     * @param {number} options.count - Grids per size and density
+     * @param {boolean} options.maze - Whether to generate maze walls
+     * @param {number} options.seed - Seed of the first grid; each further grid uses the next seed
+     * @param {string} options.movement - '4-way', '8-way' or '8-way-no-corners'
+     * @param {Function} [options.configure] - Called with each algorithm instance to apply the app's settings
+     */
+    constructor(options) {
+        this.options = options;
+        this.performanceMonitor = new PerformanceMonitor();
+        this.cancelled = false;
+    }
+
+    /**
+     * Number of grids the benchmark will generate
+     * @returns {number} Grid count
+     */
+    get total() {
+        const { sizes, densities, count } = this.options;
+        return sizes.length * densities.length * count;
+    }
+
+    /**
+     * Stop after the grid currently being solved
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Generate and solve every grid, yielding to the page between grids
+     * @param {Function} [onProgress] - Called with (done, total) after each grid
+     * @returns {Promise<Object[]>} One sample per solved grid: { size, density, seed, results } where
+     *   results maps each algorithm id to { unavailable, success, nodesExplored, pathCost, duration }
+     */
+    async run(onProgress) {
+        const { algorithms, sizes, densities, count, maze, movement, seed, configure } = this.options;
+        // Off-screen grid: the generators run on it, the algorithms solve snapshots of it
+        const grid = new Grid(sizes[0], sizes[0], null);
+        grid.setMovement(movement);
+        const instances = algorithms.map(id => {
+            const algorithm = AlgorithmRegistry.create(id, grid);
+            if (configure) configure(algorithm);
+            return { id, algorithm };
+        });
+
+        const samples = [];
+        for (const size of sizes) {
+            for (const density of densities) {
+                for (let i = 0; i < count; i++) {
+                    if (this.cancelled) return samples;
+                    const gridSeed = (seed + samples.length) >>> 0;
+                    BenchmarkRunner.generateGrid(grid, size, density, maze, gridSeed);
+                    samples.push({ size, density, seed: gridSeed, results: this.solveAll(instances) });
+                    if (onProgress) onProgress(samples.length, this.total);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+        }
+        return samples;
+    }
+
+    /**
+     * Fill the grid with a fresh random layout
+     * @param {Grid} grid - Off-screen grid
+     * @param {number} size - Grid size
+     * @param {number} density - Share of open cells given a random weight
+     * @param {boolean} maze - Whether to generate maze walls
+     * @param {number} seed - Seed of the layout
+     */
+    static generateGrid(grid, size, density, maze, seed) {
+        grid.resize(size, size);
+        grid.setSeed(seed);
+        grid.randomizeStartAndEnd();
+        // The maze is built around the start and end, so they stay connected
+        if (maze) grid.generateRandomMaze();
+        if (density > 0) grid.generateRandomWeights(undefined, undefined, density);
+    }
+
+    /**
+     * Solve the current grid with every algorithm
+     * @param {Array<{id: string, algorithm: AnimatedAlgorithm}>} instances - Algorithms bound to the grid
+     * @returns {Object} Result per algorithm id
+     */
+    solveAll(instances) {
+        const results = {};
+        instances.forEach(({ id, algorithm }) => {
+            if (algorithm.getUnavailableReason()) {
+                results[id] = { unavailable: true, success: false, nodesExplored: 0, pathCost: 0, duration: 0 };
+                return;
+            }
+            this.performanceMonitor.startTiming(id);
+            const result = algorithm.solve();
+            const duration = this.performanceMonitor.endTiming(id);
+            results[id] = {
+                unavailable: false,
+                success: result.success,
+                nodesExplored: result.nodesExplored,
+                pathCost: result.pathCost,
+                duration
+            };
+        });
+        return results;
+    }
+
+    /**
+     * Average the samples per algorithm, overall and per grid size
+     * The extra cost compares each path with the cheapest path any algorithm found on the same grid
+     * @param {Object[]} samples - Samples returned by run()
+     * @param {string[]} algorithms - Algorithm ids, in display order
+     * @returns {Object} { overall: [{ id, runs, skipped, solved, avgExplored, avgCost, avgExtraCost, avgTime }],
+     *   bySize: [{ size, results: { [id]: { runs, avgExplored, avgTime } } }] }
+     */
+    static summarize(samples, algorithms) {
+        const average = values => values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+        const summarizeRuns = (id, list) => {
+            const ran = list.map(sample => sample.results[id]).filter(result => !result.unavailable);
+            const solved = ran.filter(result => result.success);
+            const extra = list
+                .filter(sample => sample.results[id].success)
+                .map(sample => {
+                    const best = Math.min(...Object.values(sample.results).filter(result => result.success).map(result => result.pathCost));
+                    return best > 0 ? (sample.results[id].pathCost - best) / best * 100 : 0;
+                });
+            return {
+                id,
+                runs: ran.length,
+                skipped: list.length - ran.length,
+                solved: solved.length,
+                avgExplored: average(ran.map(result => result.nodesExplored)),
+                avgCost: average(solved.map(result => result.pathCost)),
+                avgExtraCost: average(extra),
+                avgTime: average(ran.map(result => result.duration))
+            };
+        };
+
+        const sizes = [...new Set(samples.map(sample => sample.size))];
+        return {
+            overall: algorithms.map(id => summarizeRuns(id, samples)),
+            bySize: sizes.map(size => {
+                const list = samples.filter(sample => sample.size === size);
+                return {
+                    size,
+                    results: Object.fromEntries(algorithms.map(id => {
+                        const { runs, avgExplored, avgTime } = summarizeRuns(id, list);
+                        return [id, { runs, avgExplored, avgTime }];
+                    }))
+                };
+            })
+        };
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * ChartRenderer draws the analysis charts as inline HTML and SVG
+ * Every method returns markup, so charts drop into the template strings the analysis is built from
+ */
+export class ChartRenderer {
+    // One color per compared algorithm, in panel order
+    static PALETTE = ['#7e9c7a', '#b48ca7', '#e07a5f', '#6c9bd2', '#e0b84f', '#5fb3a1', '#a07a95', '#c97b5a', '#8a8fd6', '#9aa05a'];
+
+    /**
+     * Color for the series at a position
+     * @param {number} index - Series position
+     * @returns {string} CSS color
+     */
+    static colorAt(index) {
+        return ChartRenderer.PALETTE[index % ChartRenderer.PALETTE.length];
+    }
+
+    /**
+     * Render a horizontal bar chart
+     * @param {string} title - Chart title
+     * @param {Array<{label: string, value: number, text: string, color?: string}>} rows - One bar per row
+     * @returns {string} HTML chart
+     */
+    static renderBarChart(title, rows) {
+        const max = Math.max(...rows.map(row => row.value), 0);
+        return `
+            <div class="bar-chart">
+                <h5>${title}</h5>
+                ${rows.map(row => `
+                    <div class="bar-row">
+                        <span class="bar-label">${row.label}</span>
+                        <span class="bar-track"><span class="bar-fill" style="width:${max > 0 ? (row.value / max * 100).toFixed(1) : 0}%${row.color ? `; background:${row.color}` : ''}"></span></span>
+                        <span class="bar-value">${row.text}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render one line per series on shared axes that start at zero
+     * @param {string} title - Chart title
+     * @param {Array<{label: string, color: string, points: Array<{x: number, y: number}>}>} series - Lines to draw
+     * @param {Object} [options]
+     * @param {Function} [options.formatX] - Formats the largest x value for the axis
+     * @param {Function} [options.formatY] - Formats the largest y value for the axis
+     * @returns {string} HTML chart, empty if there is nothing to draw
+     */
+    static renderLineChart(title, series, { formatX = String, formatY = String } = {}) {
+        let maxX = 0;
+        let maxY = 0;
+        series.forEach(line => line.points.forEach(({ x, y }) => {
+            if (x > maxX) maxX = x;
+            if (y > maxY) maxY = y;
+        }));
+        if (!series.some(line => line.points.length > 1)) return '';
+
+        // The plot is drawn on a 100 × 100 box stretched to the chart size
+        const scale = (value, max) => max > 0 ? value / max * 100 : 0;
+        const toPoints = points => points
+            .map(({ x, y }) => `${scale(x, maxX).toFixed(2)},${(100 - scale(y, maxY)).toFixed(2)}`)
+            .join(' ');
+
+        return `
+            <div class="line-chart">
+                <h5>${title}</h5>
+                <div class="line-chart-body">
+                    <span class="line-chart-max">${formatY(maxY)}</span>
+                    <svg class="line-chart-plot" viewBox="0 0 100 100" preserveAspectRatio="none">
+                        ${series.map(line => `<polyline stroke="${line.color}" points="${toPoints(line.points)}" />`).join('')}
+                    </svg>
+                    <div class="line-chart-axis"><span>0</span><span>${formatX(maxX)}</span></div>
+                </div>
+                <div class="line-chart-legend">
+                    ${series.map(line => `<span class="line-chart-key" style="background:${line.color}"></span>${line.label}`).join('')}
+                </div>
+            </div>
+        `;
+    }
+}
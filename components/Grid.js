@@ -1,10 +1,22 @@
 import { Node } from './Node.js';
+import { MazeGenerator } from './MazeGenerator.js';
+import { SeededRandom, ToolManager } from '../utils/EventHandlers.js';
 
 /**
  * Grid class manages a 2D array of nodes and provides grid operations
  * Handles visualization, user interactions, and grid state management
  */
 export class Grid {
+    static MOVEMENTS = ['4-way', '8-way', '8-way-no-corners'];
+    // Up-left, up-right, down-left, down-right
+    static DIAGONALS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+    // Waypoints are labelled 1-9 on the grid
+    static MAX_WAYPOINTS = 9;
+    // Goals are labelled E, E2-E9 on the grid
+    static MAX_GOALS = 9;
+    // Side of the square brush the wall, weight and eraser tools paint with
+    static BRUSH_SIZES = [1, 3, 5];
+    
     constructor(rows, cols, containerId) {
         this.rows = rows;
         this.cols = cols;
@@ -12,8 +24,22 @@ export class Grid {
         this.nodes = [];
         this.startNode = null;
         this.endNode = null;
+        // Route checkpoints visited between start and end, in order
+        this.waypoints = [];
+        // Goals besides the end node; the search stops at whichever goal it reaches first
+        this.goalNodes = [];
         this.container = null;
         
+        // Cost overlay settings shared with every node
+        // mode: 'none' | 'cost' | 'heuristic' | 'total' | 'heatmap'
+        this.overlay = { mode: 'none', maxCost: 0 };
+        
+        // Movement rules: '4-way', '8-way' or '8-way-no-corners'
+        this.movement = '4-way';
+        
+        // Random source of the generators; setSeed() makes the next layouts reproducible
+        this.random = new SeededRandom(SeededRandom.createSeed());
+        
         this.initializeGrid();
         this.createDOMGrid();
     }
@@ -22,11 +48,17 @@ export class Grid {
      * Initialize the 2D array of nodes
      */
     initializeGrid() {
+        // Seed the current layout was generated from, null if it was not generated
+        this.seed = null;
         this.nodes = [];
+        this.waypoints = [];
+        this.goalNodes = [];
         for (let row = 0; row < this.rows; row++) {
             const currentRow = [];
             for (let col = 0; col < this.cols; col++) {
-                currentRow.push(new Node(row, col));
+                const node = new Node(row, col);
+                node.overlay = this.overlay;
+                currentRow.push(node);
             }
             this.nodes.push(currentRow);
         }
@@ -40,6 +72,8 @@ export class Grid {
      * Create the DOM representation of the grid
      */
     createDOMGrid() {
+        // A grid without a container stays off screen (e.g. the benchmark's scratch grid)
+        if (this.containerId === null) return;
         this.container = document.getElementById(this.containerId);
         if (!this.container) {
             console.error(`Container with id ${this.containerId} not found`);
@@ -82,31 +116,161 @@ export class Grid {
             case 'end':
                 this.setEndNode(node.row, node.col);
                 break;
-            case 'wall':
-                node.setAsWall();
+            case 'waypoint':
+                this.toggleWaypoint(node.row, node.col);
                 break;
-            case 'weight':
-                node.setWeight(weight);
+            case 'goal':
+                this.toggleGoal(node.row, node.col);
                 break;
-            case 'eraser':
-                node.clear();
+            case 'wall':
+            case 'weight':
+            case 'eraser': {
+                // Mouse strokes are painted by enableDrawing(); a plain click paints the brush or fills
+                const cells = ToolManager.getDrawMode() === 'fill'
+                    ? this.getFillCells(node)
+                    : this.getBrushCells(node.row, node.col, ToolManager.getBrushSize());
+                this.paintCells(cells, tool, weight);
                 break;
+            }
             default:
                 // If no specific tool, do nothing
                 break;
         }
     }
     
+    /**
+     * Apply the wall, weight or eraser tool to cells
+     * @param {Node[]} nodes - Cells to paint
+     * @param {string} tool - 'wall', 'weight' or 'eraser'
+     * @param {number} weight - Weight painted by the weight tool
+     * @returns {boolean} Whether the cells were painted (the app blocks painting while an agent walks)
+     */
+    paintCells(nodes, tool, weight) {
+        nodes.forEach(node => {
+            switch (tool) {
+                case 'wall':
+                    node.setAsWall();
+                    break;
+                case 'weight':
+                    node.setWeight(weight);
+                    break;
+                case 'eraser':
+                    if (node.waypointNumber !== null) this.removeWaypoint(node);
+                    if (node.goalNumber !== null) this.removeGoal(node);
+                    node.clear();
+                    break;
+            }
+        });
+        return true;
+    }
+    
+    /**
+     * Get the cells under a square brush centred on a cell
+     * @param {number} row - Row index of the centre
+     * @param {number} col - Column index of the centre
+     * @param {number} [size=1] - Side of the brush (see BRUSH_SIZES)
+     * @returns {Node[]} Cells inside the grid
+     */
+    getBrushCells(row, col, size = 1) {
+        const reach = Math.floor(size / 2);
+        const cells = [];
+        for (let r = row - reach; r <= row + reach; r++) {
+            for (let c = col - reach; c <= col + reach; c++) {
+                const node = this.getNode(r, c);
+                if (node) cells.push(node);
+            }
+        }
+        return cells;
+    }
+    
+    /**
+     * Get the cells of a straight line between two cells, both ends included
+     * The line only steps between side neighbors, so a wall drawn with it has no diagonal gaps
+     * @param {Node} from - First cell
+     * @param {Node} to - Last cell
+     * @returns {Node[]} Cells in order from the first to the last
+     */
+    getLineCells(from, to) {
+        const rowSpan = Math.abs(to.row - from.row);
+        const colSpan = Math.abs(to.col - from.col);
+        const rowStep = Math.sign(to.row - from.row);
+        const colStep = Math.sign(to.col - from.col);
+        let { row, col } = from;
+        // Bresenham's error term: positive when the line is ahead in rows, so the next step is a column
+        let error = colSpan - rowSpan;
+        const cells = [this.nodes[row][col]];
+        while (row !== to.row || col !== to.col) {
+            if (2 * error > -rowSpan) {
+                error -= rowSpan;
+                col += colStep;
+            } else {
+                error += colSpan;
+                row += rowStep;
+            }
+            cells.push(this.nodes[row][col]);
+        }
+        return cells;
+    }
+    
+    /**
+     * Get the cells of a rectangle with two opposite corners
+     * @param {Node} from - One corner
+     * @param {Node} to - The opposite corner
+     * @param {boolean} filled - Include the inside, not just the outline
+     * @returns {Node[]} Cells row by row
+     */
+    getRectangleCells(from, to, filled) {
+        const top = Math.min(from.row, to.row);
+        const bottom = Math.max(from.row, to.row);
+        const left = Math.min(from.col, to.col);
+        const right = Math.max(from.col, to.col);
+        const cells = [];
+        for (let row = top; row <= bottom; row++) {
+            for (let col = left; col <= right; col++) {
+                if (filled || row === top || row === bottom || col === left || col === right) {
+                    cells.push(this.nodes[row][col]);
+                }
+            }
+        }
+        return cells;
+    }
+    
+    /**
+     * Get the region a flood fill from a cell covers: every cell connected to it through side
+     * neighbors with the same wall and weight; the start, ends and waypoints bound the region
+     * @param {Node} node - Cell the fill starts from
+     * @returns {Node[]} Cells in the region, empty if the cell itself cannot be filled
+     */
+    getFillCells(node) {
+        const matches = other => !other.isStart && !other.isEnd && other.waypointNumber === null &&
+            other.isWall === node.isWall && other.weight === node.weight;
+        if (!matches(node)) return [];
+        const region = [node];
+        const seen = new Set([node]);
+        for (let i = 0; i < region.length; i++) {
+            const { row, col } = region[i];
+            [[row - 1, col], [row + 1, col], [row, col - 1], [row, col + 1]].forEach(([r, c]) => {
+                const neighbor = this.getNode(r, c);
+                if (neighbor && !seen.has(neighbor) && matches(neighbor)) {
+                    seen.add(neighbor);
+                    region.push(neighbor);
+                }
+            });
+        }
+        return region;
+    }
+    
     /**
      * Set the start node at specified position
      * @param {number} row - Row index
      * @param {number} col - Column index
      */
     setStartNode(row, col) {
-        // Prevent setting start on end node
-        if (this.endNode && this.endNode.row === row && this.endNode.col === col) return;
-        // If cell is wall or weighted, clear wall and set weight to 1
+        // Prevent setting start on the end node or another goal
+        if (this.nodes[row][col].isEnd) return;
+        // If cell is wall, weighted or a waypoint, clear it and set weight to 1
         const node = this.nodes[row][col];
+        if (node.waypointNumber !== null) this.removeWaypoint(node);
         node.isWall = false;
         node.weight = 1;
         node.updateVisualState();
@@ -126,8 +290,10 @@ export class Grid {
     setEndNode(row, col) {
         // Prevent setting end on start node
         if (this.startNode && this.startNode.row === row && this.startNode.col === col) return;
-        // If cell is wall or weighted, clear wall and set weight to 1
+        // If cell is wall, weighted, a waypoint or another goal, clear it and set weight to 1
         const node = this.nodes[row][col];
+        if (node.waypointNumber !== null) this.removeWaypoint(node);
+        if (node.goalNumber !== null) this.removeGoal(node);
         node.isWall = false;
         node.weight = 1;
         node.updateVisualState();
@@ -139,8 +305,124 @@ export class Grid {
         this.endNode.setAsEnd();
     }
     
+    /**
+     * Add a waypoint at the given position, or remove the one already there
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the waypoints changed
+     */
+    toggleWaypoint(row, col) {
+        const node = this.nodes[row][col];
+        if (node.isStart || node.isEnd) return false;
+        if (node.waypointNumber !== null) {
+            this.removeWaypoint(node);
+            return true;
+        }
+        if (this.waypoints.length >= Grid.MAX_WAYPOINTS) return false;
+        node.isWall = false;
+        this.waypoints.push(node);
+        this.renumberWaypoints();
+        return true;
+    }
+    
+    /**
+     * Remove a waypoint; the ones after it move up a number
+     * @param {Node} node - Waypoint node
+     */
+    removeWaypoint(node) {
+        this.waypoints = this.waypoints.filter(waypoint => waypoint !== node);
+        node.waypointNumber = null;
+        node.updateVisualState();
+        this.renumberWaypoints();
+    }
+    
+    /**
+     * Replace the waypoints
+     * @param {Array<{row: number, col: number}>} positions - Waypoint positions in visit order
+     */
+    setWaypoints(positions) {
+        this.waypoints.forEach(node => {
+            node.waypointNumber = null;
+            node.updateVisualState();
+        });
+        this.waypoints = [];
+        positions.forEach(({ row, col }) => this.toggleWaypoint(row, col));
+    }
+    
+    /**
+     * Number the waypoints 1, 2, ... in visit order
+     */
+    renumberWaypoints() {
+        this.waypoints.forEach((node, index) => {
+            node.waypointNumber = index + 1;
+            node.updateVisualState();
+        });
+    }
+    
+    /**
+     * Add a goal besides the end node at the given position, or remove the one already there
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the goals changed
+     */
+    toggleGoal(row, col) {
+        const node = this.nodes[row][col];
+        if (node.isStart || node === this.endNode) return false;
+        if (node.goalNumber !== null) {
+            this.removeGoal(node);
+            return true;
+        }
+        // The end node counts towards the limit
+        if (this.goalNodes.length + 1 >= Grid.MAX_GOALS) return false;
+        if (node.waypointNumber !== null) this.removeWaypoint(node);
+        node.isWall = false;
+        node.weight = 1;
+        node.isEnd = true;
+        this.goalNodes.push(node);
+        this.renumberGoals();
+        return true;
+    }
+    
+    /**
+     * Remove a goal added besides the end node; the ones after it move down a number
+     * @param {Node} node - Goal node
+     */
+    removeGoal(node) {
+        this.goalNodes = this.goalNodes.filter(goal => goal !== node);
+        node.goalNumber = null;
+        node.isEnd = node === this.endNode;
+        node.updateVisualState();
+        this.renumberGoals();
+    }
+    
+    /**
+     * Replace the goals added besides the end node
+     * @param {Array<{row: number, col: number}>} positions - Goal positions
+     */
+    setGoals(positions) {
+        this.goalNodes.forEach(node => {
+            node.goalNumber = null;
+            node.isEnd = node === this.endNode;
+            node.updateVisualState();
+        });
+        this.goalNodes = [];
+        positions.forEach(({ row, col }) => this.toggleGoal(row, col));
+    }
+    
+    /**
+     * Number the extra goals E2, E3, ... after the end node
+     */
+    renumberGoals() {
+        this.goalNodes.forEach((node, index) => {
+            node.goalNumber = index + 2;
+            node.updateVisualState();
+        });
+    }
+    
     /**
      * Get all neighbor nodes of a given node
+     * Diagonal neighbors are included for 8-way movement; with '8-way-no-corners'
+     * a diagonal is skipped when either cell it cuts past is a wall
      * @param {Node} node - The node to get neighbors for
      * @returns {Node[]} Array of neighbor nodes
      */
@@ -166,9 +448,31 @@ export class Grid {
             }
         }
         
+        if (this.movement === '4-way') {
+            return neighbors;
+        }
+        
+        for (const [dRow, dCol] of Grid.DIAGONALS) {
+            const newRow = row + dRow;
+            const newCol = col + dCol;
+            if (newRow < 0 || newRow >= this.rows || newCol < 0 || newCol >= this.cols) continue;
+            if (this.movement === '8-way-no-corners' &&
+                (this.nodes[newRow][col].isWall || this.nodes[row][newCol].isWall)) continue;
+            neighbors.push(this.nodes[newRow][newCol]);
+        }
+        
         return neighbors;
     }
     
+    /**
+     * Set the movement rules used for neighbors and step costs
+     * @param {string} movement - '4-way', '8-way' or '8-way-no-corners'
+     */
+    setMovement(movement) {
+        if (!Grid.MOVEMENTS.includes(movement)) return;
+        this.movement = movement;
+    }
+    
     /**
      * Reset all nodes to clear algorithm-specific states
      */
@@ -180,10 +484,30 @@ export class Grid {
         }
     }
     
+    /**
+     * Set how computed costs are drawn on explored cells
+     * @param {string} mode - 'none', 'cost', 'heuristic', 'total' or 'heatmap'
+     */
+    setOverlayMode(mode) {
+        this.overlay.mode = mode;
+        this.getAllNodes().forEach(node => node.updateVisualState());
+    }
+    
+    /**
+     * Set the highest cost used to scale the heat-map colors
+     * @param {number} maxCost - Largest cost from start in the current run
+     */
+    setOverlayRange(maxCost) {
+        this.overlay.maxCost = maxCost;
+    }
+    
     /**
      * Clear the entire grid (remove all walls, weights, etc.)
      */
     clearGrid() {
+        this.seed = null;
+        this.setWaypoints([]);
+        this.setGoals([]);
         for (let row = 0; row < this.rows; row++) {
             for (let col = 0; col < this.cols; col++) {
                 this.nodes[row][col].resetCompletely();
@@ -196,115 +520,70 @@ export class Grid {
     }
     
     /**
-     * Generate a random maze using recursive division, ensuring a random path exists from start to end
+     * Generate a maze or cave layout (see MazeGenerator); the start, goals and waypoints stay open
+     * and connected, and every weight is cleared
+     * @param {string} [type='recursive-division'] - Key of MazeGenerator.GENERATORS
+     * @param {Object} [options] - { loopiness } (see MazeGenerator)
+     * @returns {Object} Generation { initial, steps, walls }, for replaying it with setMazeCell()
      */
-    generateRandomMaze() {
-        // Clear grid first
-        for (let row = 0; row < this.rows; row++) {
-            for (let col = 0; col < this.cols; col++) {
-                if (!this.nodes[row][col].isStart && !this.nodes[row][col].isEnd) {
-                    this.nodes[row][col].clear();
-                }
-            }
-        }
-        this._recursiveDivision(0, 0, this.rows, this.cols, true);
-        // Ensure a random path exists from start to end
-        this._ensureRandomPathExists();
+    generateRandomMaze(type = 'recursive-division', options = {}) {
+        const maze = this.planMaze(type, options);
+        this.applyMazeLayout(maze.walls);
+        return maze;
     }
     
     /**
-     * Recursive Division Maze Generation
+     * Generate a layout for this grid without applying it
+     * @param {string} type - Key of MazeGenerator.GENERATORS
+     * @param {Object} [options] - { loopiness } (see MazeGenerator)
+     * @returns {Object} Generation { initial, steps, walls }
      */
-    _recursiveDivision(row, col, height, width, horizontal) {
-        if (height < 3 || width < 3) return;
-        const isHorizontal = horizontal;
-        const wx = col + (isHorizontal ? 0 : Math.floor(Math.random() * (width - 2)));
-        const wy = row + (isHorizontal ? Math.floor(Math.random() * (height - 2)) : 0);
-        const px = wx + (isHorizontal ? Math.floor(Math.random() * width) : 0);
-        const py = wy + (isHorizontal ? 0 : Math.floor(Math.random() * height));
-        const dx = isHorizontal ? 1 : 0;
-        const dy = isHorizontal ? 0 : 1;
-        const length = isHorizontal ? width : height;
-        const dir = isHorizontal ? 'horizontal' : 'vertical';
-
-        for (let i = 0; i < length; i++) {
-            const nx = wx + i * dx;
-            const ny = wy + i * dy;
-            if ((nx !== px || ny !== py) &&
-                this.isValidPosition(ny, nx) &&
-                !this.nodes[ny][nx].isStart &&
-                !this.nodes[ny][nx].isEnd) {
-                this.nodes[ny][nx].setAsWall();
-            }
-        }
-
-        const [nx, ny] = [col, row];
-        const w = isHorizontal ? width : wx - col + 1;
-        const h = isHorizontal ? wy - row + 1 : height;
-        this._recursiveDivision(ny, nx, h, w, !isHorizontal);
-
-        const [nx2, ny2] = isHorizontal ? [col, wy + 1] : [wx + 1, row];
-        const w2 = isHorizontal ? width : col + width - (wx + 1);
-        const h2 = isHorizontal ? row + height - (wy + 1) : height;
-        this._recursiveDivision(ny2, nx2, h2, w2, !isHorizontal);
+    planMaze(type, { loopiness = 0 } = {}) {
+        // The start anchors the maze lattice, so it comes first
+        const keep = [this.startNode, this.endNode, ...this.goalNodes, ...this.waypoints]
+            .filter(Boolean)
+            .map(({ row, col }) => ({ row, col }));
+        return new MazeGenerator(this.rows, this.cols, { keep, loopiness, random: () => this.random.next() }).generate(type);
     }
     
     /**
-     * Ensure there is a random path from start to end by carving a random walk if needed
+     * Replace every wall and weight with a generated layout
+     * @param {Uint8Array} walls - 1 for a wall, row by row
      */
-    _ensureRandomPathExists() {
-        // Use BFS to check for a path
-        const queue = [this.startNode];
-        const visited = new Set();
-        visited.add(`${this.startNode.row},${this.startNode.col}`);
-        let found = false;
-        while (queue.length > 0) {
-            const node = queue.shift();
-            if (node === this.endNode) {
-                found = true;
-                break;
-            }
-            for (const neighbor of this.getNeighbors(node)) {
-                const key = `${neighbor.row},${neighbor.col}`;
-                if (!neighbor.isWall && !visited.has(key)) {
-                    visited.add(key);
-                    queue.push(neighbor);
-                }
-            }
-        }
-        if (!found) {
-            // If no path, carve a random walk from start to end
-            let r = this.startNode.row, c = this.startNode.col;
-            const endR = this.endNode.row, endC = this.endNode.col;
-            const path = [[r, c]];
-            const maxSteps = this.rows * this.cols * 2;
-            let steps = 0;
-            while ((r !== endR || c !== endC) && steps < maxSteps) {
-                const options = [];
-                if (r < endR) options.push([r + 1, c]);
-                if (r > endR) options.push([r - 1, c]);
-                if (c < endC) options.push([r, c + 1]);
-                if (c > endC) options.push([r, c - 1]);
-                // Add perpendicular moves for more randomness
-                if (Math.random() < 0.5 && r > 0) options.push([r - 1, c]);
-                if (Math.random() < 0.5 && r < this.rows - 1) options.push([r + 1, c]);
-                if (Math.random() < 0.5 && c > 0) options.push([r, c - 1]);
-                if (Math.random() < 0.5 && c < this.cols - 1) options.push([r, c + 1]);
-                // Pick a random next step
-                const [nr, nc] = options[Math.floor(Math.random() * options.length)];
-                r = nr; c = nc;
-                path.push([r, c]);
-                steps++;
-            }
-            for (const [row, col] of path) {
-                if (!this.nodes[row][col].isStart && !this.nodes[row][col].isEnd) {
-                    this.nodes[row][col].isWall = false;
-                    this.nodes[row][col].updateVisualState();
-                }
-            }
+    applyMazeLayout(walls) {
+        for (let index = 0; index < walls.length; index++) {
+            this.setMazeCell(index, walls[index] === 1);
         }
     }
     
+    /**
+     * Set a single cell of a generated layout; the start, goals and waypoints never become walls
+     * @param {number} index - Cell index (row * cols + col)
+     * @param {boolean} wall - Whether the cell is a wall
+     */
+    setMazeCell(index, wall) {
+        const node = this.nodes[Math.floor(index / this.cols)][index % this.cols];
+        node.clear();
+        if (wall) node.setAsWall();
+    }
+    
+    /**
+     * Remove every wall and weight, keeping the start, goals and waypoints
+     */
+    clearLayout() {
+        this.getAllNodes().forEach(node => node.clear());
+    }
+    
+    /**
+     * Restart the generators' random sequence from a seed
+     * Generating the same steps from the same seed on a grid of the same size gives the same layout
+     * @param {number} seed - Seed (see SeededRandom)
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.random = new SeededRandom(seed);
+    }
+    
     /**
      * Randomize start and end positions (not the same, not a wall)
      */
@@ -313,14 +592,14 @@ export class Grid {
         const maxTries = this.rows * this.cols * 2;
         let tries = 0;
         do {
-            startRow = Math.floor(Math.random() * this.rows);
-            startCol = Math.floor(Math.random() * this.cols);
+            startRow = Math.floor(this.random.next() * this.rows);
+            startCol = Math.floor(this.random.next() * this.cols);
             tries++;
         } while (this.nodes[startRow][startCol].isWall && tries < maxTries);
         tries = 0;
         do {
-            endRow = Math.floor(Math.random() * this.rows);
-            endCol = Math.floor(Math.random() * this.cols);
+            endRow = Math.floor(this.random.next() * this.rows);
+            endCol = Math.floor(this.random.next() * this.cols);
             tries++;
         } while (((endRow === startRow && endCol === startCol) || this.nodes[endRow][endCol].isWall) && tries < maxTries);
         this.setStartNode(startRow, startCol);
@@ -347,6 +626,10 @@ export class Grid {
         const gridData = {
             rows: this.rows,
             cols: this.cols,
+            movement: this.movement,
+            seed: this.seed,
+            waypoints: this.waypoints.map(({ row, col }) => ({ row, col })),
+            goals: this.goalNodes.map(({ row, col }) => ({ row, col })),
             nodes: []
         };
         
@@ -369,6 +652,12 @@ export class Grid {
         if (data.rows !== this.rows || data.cols !== this.cols) {
             this.resize(data.rows, data.cols);
         }
+        // Grids saved before movement modes existed are 4-way
+        this.setMovement(data.movement || '4-way');
+        this.setGoals([]);
+        // Extra goals are saved as end cells too, but only the end node is tracked as endNode
+        const goals = data.goals || [];
+        const isExtraGoal = (row, col) => goals.some(goal => goal.row === row && goal.col === col);
         
         for (let row = 0; row < this.rows; row++) {
             for (let col = 0; col < this.cols; col++) {
@@ -379,12 +668,16 @@ export class Grid {
                     if (this.nodes[row][col].isStart) {
                         this.startNode = this.nodes[row][col];
                     }
-                    if (this.nodes[row][col].isEnd) {
+                    if (this.nodes[row][col].isEnd && !isExtraGoal(row, col)) {
                         this.endNode = this.nodes[row][col];
                     }
                 }
             }
         }
+        this.setWaypoints(data.waypoints || []);
+        this.setGoals(goals);
+        // Grids saved before seeds existed were not generated from one
+        this.seed = data.seed !== undefined ? data.seed : null;
     }
     
     /**
@@ -436,8 +729,8 @@ export class Grid {
             for (let col = 0; col < this.cols; col++) {
                 const node = this.nodes[row][col];
                 if (!node.isWall && !node.isStart && !node.isEnd) {
-                    if (Math.random() < fillProbability) {
-                        const weight = allowedWeights[Math.floor(Math.random() * allowedWeights.length)];
+                    if (this.random.next() < fillProbability) {
+                        const weight = allowedWeights[Math.floor(this.random.next() * allowedWeights.length)];
                         node.setWeight(weight);
                     } else {
                         node.setWeight(1);
@@ -470,7 +763,7 @@ export class Grid {
             if (node.isStart) {
                 draggingType = 'start';
                 draggingNode = node;
-            } else if (node.isEnd) {
+            } else if (node === this.endNode) {
                 draggingType = 'end';
                 draggingNode = node;
             }
@@ -484,8 +777,8 @@ export class Grid {
             const node = this.getNode(row, col);
             if (!node) return;
             if (draggingType === 'start') {
-                // Don't allow placing start on end
-                if (this.endNode && this.endNode.row === row && this.endNode.col === col) return;
+                // Don't allow placing start on a goal
+                if (node.isEnd) return;
                 // Clear wall and set weight to 1
                 node.isWall = false;
                 node.weight = 1;
@@ -506,4 +799,90 @@ export class Grid {
             draggingNode = null;
         });
     }
+    
+    /**
+     * Paint with the wall, weight and eraser tools by pressing and dragging, in the draw mode
+     * picked in the sidebar (see ToolManager)
+     * Freehand strokes paint every cell between two pointer positions, so fast moves skip nothing;
+     * lines and rectangles are previewed while dragging and painted on release; fill paints on press
+     */
+    enableDrawing() {
+        let stroke = null;
+        // Set when a stroke painted something: the click that ends it must not paint again
+        let swallowClick = false;
+        const nodeAt = (target) => {
+            const element = target.closest ? target.closest('.node') : null;
+            return element ? this.getNode(parseInt(element.dataset.row), parseInt(element.dataset.col)) : null;
+        };
+        const brushed = (cells) => {
+            if (stroke.size === 1) return cells;
+            const covered = new Set();
+            cells.forEach(({ row, col }) => this.getBrushCells(row, col, stroke.size).forEach(cell => covered.add(cell)));
+            return [...covered];
+        };
+        const shapeCells = (to) => {
+            if (stroke.mode === 'line') return brushed(this.getLineCells(stroke.anchor, to));
+            return stroke.mode === 'filled-rectangle'
+                ? this.getRectangleCells(stroke.anchor, to, true)
+                : brushed(this.getRectangleCells(stroke.anchor, to, false));
+        };
+        const paint = (cells) => {
+            if (this.paintCells(cells, stroke.tool, stroke.weight)) stroke.painted = true;
+        };
+        const showPreview = (to) => {
+            stroke.preview.forEach(cell => cell.element.classList.remove('shape-preview'));
+            stroke.preview = to ? shapeCells(to) : [];
+            stroke.preview.forEach(cell => cell.element.classList.add('shape-preview'));
+        };
+        
+        this.container.addEventListener('mousedown', (e) => {
+            swallowClick = false;
+            const tool = ToolManager.getCurrentTool();
+            const node = nodeAt(e.target);
+            // Pressing the start or end drags it instead (see enableDragAndDrop)
+            if (e.button !== 0 || !node || !ToolManager.isPaintTool(tool) || node.isStart || node === this.endNode) return;
+            stroke = {
+                tool,
+                mode: ToolManager.getDrawMode(),
+                size: ToolManager.getBrushSize(),
+                weight: parseInt(document.getElementById('weight-selector').value),
+                anchor: node,
+                last: node,
+                preview: [],
+                painted: false
+            };
+            if (stroke.mode === 'fill') {
+                paint(this.getFillCells(node));
+            } else if (stroke.mode === 'freehand') {
+                paint(this.getBrushCells(node.row, node.col, stroke.size));
+            } else {
+                showPreview(node);
+            }
+        });
+        this.container.addEventListener('mouseover', (e) => {
+            if (!stroke) return;
+            const node = nodeAt(e.target);
+            if (!node || node === stroke.last) return;
+            if (stroke.mode === 'freehand') {
+                paint(brushed(this.getLineCells(stroke.last, node).slice(1)));
+            } else if (stroke.mode !== 'fill') {
+                showPreview(node);
+            }
+            stroke.last = node;
+        });
+        // Capture phase, so the shape is painted before the app records the stroke on mouseup
+        document.addEventListener('mouseup', () => {
+            if (!stroke) return;
+            if (stroke.mode !== 'freehand' && stroke.mode !== 'fill') {
+                showPreview(null);
+                paint(shapeCells(stroke.last));
+            }
+            swallowClick = stroke.painted;
+            stroke = null;
+        }, true);
+        this.container.addEventListener('click', (e) => {
+            if (swallowClick) e.stopPropagation();
+            swallowClick = false;
+        }, true);
+    }
 } 
\ No newline at end of file
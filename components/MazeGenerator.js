@@ -0,0 +1,464 @@
+/**
+ * MazeGenerator builds wall layouts without touching the DOM and records the order cells change in,
+ * so a grid can either apply the final layout at once or replay the generation step by step
+ *
+ * The maze generators carve passages on a lattice of cells two apart, anchored at the first kept cell
+ * (the start), with the cell between two lattice neighbors opened to join them. Every generator
+ * produces a spanning tree of that lattice, so all open cells are connected by construction; the other
+ * kept cells (end, goals, waypoints) are joined to the nearest lattice cell. The cave generator
+ * grows open regions with a cellular automaton and tunnels between the regions it leaves apart.
+ *
+ * generate() returns:
+ * {
+ *   initial,          // Uint8Array of rows × cols, 1 for a wall, before the first step
+ *   steps,            // [{ index, wall }] cell changes in generation order
+ *   walls             // Uint8Array of the final layout
+ * }
+ */
+export class MazeGenerator {
+    static GENERATORS = {
+        'recursive-division': 'Recursive Division',
+        'prim': "Prim's Algorithm",
+        'kruskal': "Kruskal's Algorithm",
+        'backtracker': 'Recursive Backtracker',
+        'wilson': "Wilson's Algorithm",
+        'caves': 'Cellular Automata Caves'
+    };
+
+    /**
+     * @param {number} rows - Grid rows
+     * @param {number} cols - Grid columns
+     * @param {Object} [options]
+     * @param {Array<{row: number, col: number}>} [options.keep] - Cells that must stay open and connected;
+     *   the first one anchors the lattice
+     * @param {number} [options.loopiness=0] - 0 to 1. Mazes: share of the remaining inner walls knocked out
+     *   to open loops. Caves: lowers the initial wall fill for wider caves
+     * @param {Function} [options.random=Math.random] - Returns floats in [0, 1); pass a seeded one to reproduce a layout
+     */
+    constructor(rows, cols, { keep = [], loopiness = 0, random = Math.random } = {}) {
+        this.rows = rows;
+        this.cols = cols;
+        this.random = random;
+        this.keep = keep.filter(({ row, col }) => row >= 0 && row < rows && col >= 0 && col < cols);
+        this.loopiness = Math.min(Math.max(loopiness, 0), 1);
+        const anchor = this.keep[0] || { row: 0, col: 0 };
+        // Lattice cells sit on the anchor's row and column parity
+        this.rowOffset = anchor.row % 2;
+        this.colOffset = anchor.col % 2;
+        this.latticeRows = Math.floor((rows - 1 - this.rowOffset) / 2) + 1;
+        this.latticeCols = Math.floor((cols - 1 - this.colOffset) / 2) + 1;
+    }
+
+    /**
+     * Generate a layout
+     * @param {string} type - Key of MazeGenerator.GENERATORS
+     * @returns {Object} { initial, steps, walls }
+     */
+    generate(type) {
+        if (!MazeGenerator.GENERATORS[type]) {
+            throw new Error(`Unknown maze generator: ${type}`);
+        }
+        this.steps = [];
+        if (type === 'caves') {
+            this.generateCaves();
+        } else {
+            if (type === 'recursive-division') {
+                this.generateRecursiveDivision();
+            } else {
+                this.walls = new Uint8Array(this.rows * this.cols).fill(1);
+                this.initial = this.walls.slice();
+                if (type === 'prim') this.generatePrim();
+                else if (type === 'kruskal') this.generateKruskal();
+                else if (type === 'backtracker') this.generateBacktracker();
+                else this.generateWilson();
+            }
+            this.openLoops();
+            this.connectKeptCells();
+        }
+        return { initial: this.initial, steps: this.steps, walls: this.walls };
+    }
+
+    /**
+     * Set a cell and record the change
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {boolean} wall - Whether the cell becomes a wall
+     */
+    set(row, col, wall) {
+        const index = row * this.cols + col;
+        const value = wall ? 1 : 0;
+        if (this.walls[index] === value) return;
+        this.walls[index] = value;
+        this.steps.push({ index, wall });
+    }
+
+    /**
+     * Grid position of a lattice cell
+     * @param {number} cell - Lattice cell index
+     * @returns {{row: number, col: number}} Grid position
+     */
+    toGrid(cell) {
+        return {
+            row: this.rowOffset + Math.floor(cell / this.latticeCols) * 2,
+            col: this.colOffset + (cell % this.latticeCols) * 2
+        };
+    }
+
+    /**
+     * Lattice cells next to a lattice cell
+     * @param {number} cell - Lattice cell index
+     * @returns {number[]} Neighboring lattice cell indices
+     */
+    latticeNeighbors(cell) {
+        const i = Math.floor(cell / this.latticeCols);
+        const j = cell % this.latticeCols;
+        const neighbors = [];
+        if (i > 0) neighbors.push(cell - this.latticeCols);
+        if (i < this.latticeRows - 1) neighbors.push(cell + this.latticeCols);
+        if (j > 0) neighbors.push(cell - 1);
+        if (j < this.latticeCols - 1) neighbors.push(cell + 1);
+        return neighbors;
+    }
+
+    /**
+     * Open a lattice cell, and the cell between it and a neighbor it joins
+     * @param {number} cell - Lattice cell to open
+     * @param {number} [from] - Open lattice neighbor to join it to
+     */
+    carve(cell, from) {
+        const to = this.toGrid(cell);
+        if (from !== undefined) {
+            const source = this.toGrid(from);
+            this.set((source.row + to.row) / 2, (source.col + to.col) / 2, false);
+        }
+        this.set(to.row, to.col, false);
+    }
+
+    /**
+     * Randomized Prim: grow the maze from the anchor by joining a random frontier cell to the maze
+     */
+    generatePrim() {
+        const inMaze = new Uint8Array(this.latticeRows * this.latticeCols);
+        const frontier = [];
+        const add = cell => {
+            inMaze[cell] = 1;
+            this.latticeNeighbors(cell).forEach(neighbor => {
+                if (!inMaze[neighbor]) frontier.push(neighbor);
+            });
+        };
+        const start = this.anchorCell();
+        this.carve(start);
+        add(start);
+        while (frontier.length > 0) {
+            const pick = Math.floor(this.random() * frontier.length);
+            const cell = frontier[pick];
+            frontier[pick] = frontier[frontier.length - 1];
+            frontier.pop();
+            if (inMaze[cell]) continue;
+            const joined = this.latticeNeighbors(cell).filter(neighbor => inMaze[neighbor]);
+            this.carve(cell, joined[Math.floor(this.random() * joined.length)]);
+            add(cell);
+        }
+    }
+
+    /**
+     * Randomized Kruskal: join cells across walls in random order whenever they are not yet connected
+     */
+    generateKruskal() {
+        const parent = Array.from({ length: this.latticeRows * this.latticeCols }, (_, cell) => cell);
+        const find = cell => {
+            while (parent[cell] !== cell) {
+                parent[cell] = parent[parent[cell]];
+                cell = parent[cell];
+            }
+            return cell;
+        };
+        const edges = [];
+        parent.forEach((_, cell) => {
+            this.latticeNeighbors(cell)
+                .filter(neighbor => neighbor > cell)
+                .forEach(neighbor => edges.push([cell, neighbor]));
+        });
+        this.shuffle(edges);
+        if (edges.length === 0) this.carve(0);
+        for (const [a, b] of edges) {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA === rootB) continue;
+            parent[rootA] = rootB;
+            this.carve(a);
+            this.carve(b, a);
+        }
+    }
+
+    /**
+     * Recursive backtracker: a depth-first walk that backs up when it runs out of unvisited neighbors
+     */
+    generateBacktracker() {
+        const visited = new Uint8Array(this.latticeRows * this.latticeCols);
+        const start = this.anchorCell();
+        const stack = [start];
+        visited[start] = 1;
+        this.carve(start);
+        while (stack.length > 0) {
+            const cell = stack[stack.length - 1];
+            const options = this.latticeNeighbors(cell).filter(neighbor => !visited[neighbor]);
+            if (options.length === 0) {
+                stack.pop();
+                continue;
+            }
+            const next = options[Math.floor(this.random() * options.length)];
+            visited[next] = 1;
+            this.carve(next, cell);
+            stack.push(next);
+        }
+    }
+
+    /**
+     * Wilson: loop-erased random walks from unvisited cells until they hit the maze, giving an unbiased maze
+     */
+    generateWilson() {
+        const total = this.latticeRows * this.latticeCols;
+        const inMaze = new Uint8Array(total);
+        const start = this.anchorCell();
+        inMaze[start] = 1;
+        this.carve(start);
+        const remaining = this.shuffle([...Array(total).keys()].filter(cell => cell !== start));
+        // The walk keeps only the last exit taken from each cell, which erases its loops
+        const exits = new Map();
+        for (const origin of remaining) {
+            if (inMaze[origin]) continue;
+            let cell = origin;
+            while (!inMaze[cell]) {
+                const neighbors = this.latticeNeighbors(cell);
+                const next = neighbors[Math.floor(this.random() * neighbors.length)];
+                exits.set(cell, next);
+                cell = next;
+            }
+            cell = origin;
+            while (!inMaze[cell]) {
+                const next = exits.get(cell);
+                inMaze[cell] = 1;
+                this.carve(cell);
+                this.carve(next, cell);
+                cell = next;
+            }
+            exits.clear();
+        }
+    }
+
+    /**
+     * Recursive division on the lattice: start open and split chambers with walls along the rows and
+     * columns between lattice cells, leaving one gap each
+     */
+    generateRecursiveDivision() {
+        const lastRow = this.rowOffset + (this.latticeRows - 1) * 2;
+        const lastCol = this.colOffset + (this.latticeCols - 1) * 2;
+        this.walls = new Uint8Array(this.rows * this.cols);
+        // Cells outside the lattice (the odd row or column at an edge) stay walls
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (row < this.rowOffset || row > lastRow || col < this.colOffset || col > lastCol) {
+                    this.walls[row * this.cols + col] = 1;
+                }
+            }
+        }
+        this.initial = this.walls.slice();
+
+        // Chambers are ranges of lattice rows and columns
+        const chambers = [[0, this.latticeRows - 1, 0, this.latticeCols - 1]];
+        while (chambers.length > 0) {
+            const [top, bottom, left, right] = chambers.pop();
+            const height = bottom - top + 1;
+            const width = right - left + 1;
+            if (height < 2 && width < 2) continue;
+            const horizontal = height > width || (height === width && this.random() < 0.5);
+            if (horizontal && height >= 2) {
+                // Wall between lattice rows split and split + 1, with a gap at one lattice column
+                const split = top + Math.floor(this.random() * (height - 1));
+                const gap = left + Math.floor(this.random() * width);
+                const row = this.rowOffset + split * 2 + 1;
+                for (let col = this.colOffset + left * 2; col <= this.colOffset + right * 2; col++) {
+                    if (col !== this.colOffset + gap * 2) this.set(row, col, true);
+                }
+                chambers.push([split + 1, bottom, left, right], [top, split, left, right]);
+            } else {
+                const split = left + Math.floor(this.random() * (width - 1));
+                const gap = top + Math.floor(this.random() * height);
+                const col = this.colOffset + split * 2 + 1;
+                for (let row = this.rowOffset + top * 2; row <= this.rowOffset + bottom * 2; row++) {
+                    if (row !== this.rowOffset + gap * 2) this.set(row, col, true);
+                }
+                chambers.push([top, bottom, split + 1, right], [top, bottom, left, split]);
+            }
+        }
+    }
+
+    /**
+     * Knock out a share of the walls between two open lattice cells, turning the perfect maze into one with loops
+     */
+    openLoops() {
+        if (this.loopiness === 0) return;
+        const candidates = [];
+        for (let cell = 0; cell < this.latticeRows * this.latticeCols; cell++) {
+            const { row, col } = this.toGrid(cell);
+            // Right and down neighbors only, so each wall is considered once
+            if (cell % this.latticeCols < this.latticeCols - 1) candidates.push({ row, col: col + 1 });
+            if (Math.floor(cell / this.latticeCols) < this.latticeRows - 1) candidates.push({ row: row + 1, col });
+        }
+        const walls = this.shuffle(candidates.filter(({ row, col }) => this.walls[row * this.cols + col]));
+        walls.slice(0, Math.round(walls.length * this.loopiness)).forEach(({ row, col }) => this.set(row, col, false));
+    }
+
+    /**
+     * Open every kept cell and join it to the nearest lattice cell
+     */
+    connectKeptCells() {
+        const lastRow = this.rowOffset + (this.latticeRows - 1) * 2;
+        const lastCol = this.colOffset + (this.latticeCols - 1) * 2;
+        const toLattice = (value, offset, last) => {
+            if ((value - offset) % 2 === 0 && value <= last) return value;
+            return value - 1 >= offset ? value - 1 : value + 1;
+        };
+        this.keep.forEach(({ row, col }) => {
+            const latticeRow = Math.min(toLattice(row, this.rowOffset, lastRow), lastRow);
+            const latticeCol = Math.min(toLattice(col, this.colOffset, lastCol), lastCol);
+            this.set(row, col, false);
+            this.set(latticeRow, col, false);
+            this.set(latticeRow, latticeCol, false);
+        });
+    }
+
+    /**
+     * Cellular automata caves: random fill smoothed by the 4-5 rule, then every open region is tunnelled
+     * to the region of the first kept cell
+     */
+    generateCaves() {
+        const fill = 0.48 - 0.18 * this.loopiness;
+        this.walls = new Uint8Array(this.rows * this.cols);
+        for (let index = 0; index < this.walls.length; index++) {
+            this.walls[index] = this.random() < fill ? 1 : 0;
+        }
+        this.keep.forEach(({ row, col }) => { this.walls[row * this.cols + col] = 0; });
+        this.initial = this.walls.slice();
+
+        // A cell becomes a wall with 5 or more wall neighbors, and stays one with 4; the edge counts as wall
+        for (let iteration = 0; iteration < 4; iteration++) {
+            const next = this.walls.slice();
+            for (let row = 0; row < this.rows; row++) {
+                for (let col = 0; col < this.cols; col++) {
+                    let count = 0;
+                    for (let dr = -1; dr <= 1; dr++) {
+                        for (let dc = -1; dc <= 1; dc++) {
+                            if (dr === 0 && dc === 0) continue;
+                            const r = row + dr;
+                            const c = col + dc;
+                            if (r < 0 || r >= this.rows || c < 0 || c >= this.cols || this.walls[r * this.cols + c]) count++;
+                        }
+                    }
+                    const index = row * this.cols + col;
+                    next[index] = count >= 5 || (this.walls[index] && count === 4) ? 1 : 0;
+                }
+            }
+            this.keep.forEach(({ row, col }) => { next[row * this.cols + col] = 0; });
+            for (let index = 0; index < next.length; index++) {
+                if (next[index] !== this.walls[index]) {
+                    this.steps.push({ index, wall: next[index] === 1 });
+                }
+            }
+            this.walls = next;
+        }
+        this.connectRegions();
+    }
+
+    /**
+     * Tunnel from the main open region to the nearest cell of every other region until all are joined
+     */
+    connectRegions() {
+        const size = this.rows * this.cols;
+        const neighbors = index => {
+            const row = Math.floor(index / this.cols);
+            const col = index % this.cols;
+            const result = [];
+            if (row > 0) result.push(index - this.cols);
+            if (row < this.rows - 1) result.push(index + this.cols);
+            if (col > 0) result.push(index - 1);
+            if (col < this.cols - 1) result.push(index + 1);
+            return result;
+        };
+        const anchor = this.keep[0];
+        let seed = anchor ? anchor.row * this.cols + anchor.col : this.walls.indexOf(0);
+        if (seed === -1) {
+            // Nothing survived the smoothing: open the middle so there is a cave to grow from
+            seed = Math.floor(this.rows / 2) * this.cols + Math.floor(this.cols / 2);
+            this.set(Math.floor(this.rows / 2), Math.floor(this.cols / 2), false);
+        }
+
+        const joined = new Uint8Array(size);
+        const flood = start => {
+            const queue = [start];
+            joined[start] = 1;
+            for (let head = 0; head < queue.length; head++) {
+                neighbors(queue[head]).forEach(next => {
+                    if (!joined[next] && !this.walls[next]) {
+                        joined[next] = 1;
+                        queue.push(next);
+                    }
+                });
+            }
+        };
+        flood(seed);
+
+        for (;;) {
+            // Breadth-first search through walls from the main region to the closest open cell outside it
+            const previous = new Int32Array(size).fill(-1);
+            const queue = [];
+            for (let index = 0; index < size; index++) {
+                if (joined[index]) {
+                    previous[index] = index;
+                    queue.push(index);
+                }
+            }
+            let reached = -1;
+            for (let head = 0; head < queue.length && reached === -1; head++) {
+                for (const next of neighbors(queue[head])) {
+                    if (previous[next] !== -1) continue;
+                    previous[next] = queue[head];
+                    if (!this.walls[next]) {
+                        reached = next;
+                        break;
+                    }
+                    queue.push(next);
+                }
+            }
+            if (reached === -1) return;
+            for (let index = previous[reached]; !joined[index]; index = previous[index]) {
+                this.set(Math.floor(index / this.cols), index % this.cols, false);
+                joined[index] = 1;
+            }
+            flood(reached);
+        }
+    }
+
+    /**
+     * Lattice cell of the anchor
+     * @returns {number} Lattice cell index
+     */
+    anchorCell() {
+        const anchor = this.keep[0] || { row: this.rowOffset, col: this.colOffset };
+        return ((anchor.row - this.rowOffset) / 2) * this.latticeCols + (anchor.col - this.colOffset) / 2;
+    }
+
+    /**
+     * Shuffle an array in place (Fisher–Yates)
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} The same array
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+}
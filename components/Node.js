@@ -13,18 +13,40 @@ export class Node {
         this.isEnd = false;
         this.isWall = false;
         this.weight = 1;
+        this.waypointNumber = null; // 1, 2, ... for route checkpoints
+        this.goalNumber = null; // 2, 3, ... for goals added besides the end node
         
         // Algorithm properties
         this.isExplored = false;
         this.isPath = false;
+        this.pathLeg = null; // route leg the path cell was drawn for
         this.distance = Infinity;
         this.previousNode = null;
         
+        // Bidirectional search properties
+        this.searchDirection = null; // 'forward' | 'backward' once explored
+        this.isMeetingPoint = false;
+        
+        // Set when distance/gScore measure the cost to the goal (D* Lite, backward half of a bidirectional search)
+        this.costsToGoal = false;
+        
+        // Jump point search: passed over by a scan without being added to the open set
+        this.isScanned = false;
+        
+        // Agent walk: the cell the agent following the path currently stands on
+        this.isAgent = false;
+        
+        // Result verification: a cell the verifier flagged on this grid's path
+        this.isMismatch = false;
+        
         // A* specific properties
         this.gScore = Infinity; // Distance from start
         this.fScore = Infinity; // gScore + heuristic
         this.hScore = 0; // Heuristic score
         
+        // Cost overlay settings shared by every node of a grid (see Grid.setOverlayMode)
+        this.overlay = null;
+        
         // DOM element reference
         this.element = null;
     }
@@ -35,6 +57,13 @@ export class Node {
     reset() {
         this.isExplored = false;
         this.isPath = false;
+        this.pathLeg = null;
+        this.searchDirection = null;
+        this.isMeetingPoint = false;
+        this.costsToGoal = false;
+        this.isScanned = false;
+        this.isAgent = false;
+        this.isMismatch = false;
         this.distance = Infinity;
         this.previousNode = null;
         this.gScore = Infinity;
@@ -53,6 +82,8 @@ export class Node {
         this.isEnd = false;
         this.isWall = false;
         this.weight = 1;
+        this.waypointNumber = null;
+        this.goalNumber = null;
         this.reset();
     }
     
@@ -80,7 +111,7 @@ export class Node {
      * Set node as wall
      */
     setAsWall() {
-        if (!this.isStart && !this.isEnd) {
+        if (!this.isStart && !this.isEnd && this.waypointNumber === null) {
             this.isWall = true;
             this.weight = 1;
             this.updateVisualState();
@@ -136,6 +167,7 @@ export class Node {
         // Clear all classes and data attributes
         this.element.className = 'node';
         this.element.textContent = '';
+        this.element.style.backgroundColor = '';
         this.element.removeAttribute('data-weight');
         
         // Apply appropriate class based on node state
@@ -144,13 +176,25 @@ export class Node {
             this.element.textContent = 'S';
         } else if (this.isEnd) {
             this.element.classList.add('end');
-            this.element.textContent = 'E';
+            this.element.textContent = this.goalNumber !== null ? `E${this.goalNumber}` : 'E';
+        } else if (this.waypointNumber !== null) {
+            this.element.classList.add('waypoint');
+            this.element.textContent = this.waypointNumber.toString();
         } else if (this.isWall) {
             this.element.classList.add('wall');
         } else if (this.isPath) {
             this.element.classList.add('path');
+            // Route legs cycle through four path tints
+            if (this.pathLeg % 4 !== 0) {
+                this.element.classList.add(`path-leg-${this.pathLeg % 4}`);
+            }
         } else if (this.isExplored) {
             this.element.classList.add('explored');
+            if (this.searchDirection === 'backward') {
+                this.element.classList.add('explored-backward');
+            }
+        } else if (this.isScanned) {
+            this.element.classList.add('scanned');
         } else if (this.weight > 1) {
             this.element.classList.add('weighted');
             this.element.setAttribute('data-weight', this.weight.toString());
@@ -160,6 +204,79 @@ export class Node {
             this.element.setAttribute('data-weight', '1');
             // No icon, overlay handled by CSS
         }
+        
+        if (this.isMeetingPoint && !this.isStart && !this.isEnd) {
+            this.element.classList.add('meeting');
+        }
+        
+        if (this.isAgent) {
+            this.element.classList.add('agent');
+        }
+        
+        if (this.isMismatch) {
+            this.element.classList.add('mismatch');
+        }
+        
+        // Show the computed costs on cells the algorithm has reached
+        if ((this.isExplored || this.isPath) && !this.isStart && !this.isEnd && this.waypointNumber === null) {
+            this.applyCostOverlay();
+        }
+    }
+    
+    /**
+     * Draw the active cost overlay (value label or heat-map color) on the element
+     */
+    applyCostOverlay() {
+        const overlay = this.overlay;
+        if (!overlay || overlay.mode === 'none') return;
+        
+        if (overlay.mode === 'heatmap') {
+            const cost = this.getCost();
+            if (cost === null) return;
+            const ratio = overlay.maxCost > 0 ? Math.min(cost / overlay.maxCost, 1) : 0;
+            // Costs from the start run green, through yellow, to red for the most expensive cells;
+            // costs to the goal run sky blue near the goal to violet
+            const hue = this.costsToGoal ? 200 + 80 * ratio : 120 - 120 * ratio;
+            this.element.classList.add('heat');
+            this.element.style.backgroundColor = `hsla(${Math.round(hue)}, 60%, 70%, 0.8)`;
+            return;
+        }
+        
+        const value = this.getOverlayValue(overlay.mode);
+        if (value === null) return;
+        const label = document.createElement('span');
+        label.className = overlay.mode === 'cost' && this.costsToGoal ? 'node-overlay to-goal' : 'node-overlay';
+        label.textContent = Number.isInteger(value) ? value.toString() : value.toFixed(1);
+        this.element.appendChild(label);
+    }
+    
+    /**
+     * Get the cost computed by whichever algorithm ran last
+     * Measured from the start, or to the goal when costsToGoal is set
+     * @returns {number|null} Distance (Dijkstra) or gScore (A*), null if not computed
+     */
+    getCost() {
+        if (this.distance !== Infinity) return this.distance;
+        if (this.gScore !== Infinity) return this.gScore;
+        return null;
+    }
+    
+    /**
+     * Get the value shown by a text overlay mode
+     * @param {string} mode - Overlay mode ('cost', 'heuristic', 'total')
+     * @returns {number|null} Value to show, null if the algorithm did not compute it
+     */
+    getOverlayValue(mode) {
+        switch (mode) {
+            case 'cost':
+                return this.getCost();
+            case 'heuristic':
+                return this.gScore !== Infinity ? this.hScore : null;
+            case 'total':
+                return this.fScore !== Infinity ? this.fScore : null;
+            default:
+                return null;
+        }
     }
     
     /**
@@ -173,13 +290,8 @@ export class Node {
         this.element.dataset.row = this.row;
         this.element.dataset.col = this.col;
         
-        // Add event listeners
+        // Add event listeners (dragging is handled by the grid, see Grid.enableDrawing)
         this.element.addEventListener('click', () => clickHandler(this));
-        this.element.addEventListener('mouseenter', (e) => {
-            if (e.buttons === 1) { // Mouse is being dragged
-                clickHandler(this);
-            }
-        });
         
         this.updateVisualState();
         return this.element;
@@ -0,0 +1,86 @@
+/**
+ * PathSprite walks a traveller along a found path once playback has finished
+ * Each step lasts in proportion to the cost of the cell entered (Node.weight, √2 more on a diagonal),
+ * so flowers, shrooms and grass show up as travel time
+ */
+export class PathSprite {
+    constructor(grid) {
+        this.grid = grid;
+        this.element = null;
+        this.timer = null;
+        this.resolveWalk = null;
+    }
+
+    /**
+     * Walk the sprite from the first to the last node of a path
+     * @param {Node[]} path - Nodes from start to end
+     * @param {number} stepDuration - Milliseconds for a straight step onto a weight-1 cell
+     * @returns {Promise<boolean>} Resolves with true once the sprite arrives, false if it was stopped
+     */
+    walk(path, stepDuration) {
+        this.stop();
+        if (path.length < 2 || !this.grid.container) return Promise.resolve(false);
+
+        this.element = document.createElement('div');
+        this.element.className = 'path-sprite';
+        this.grid.container.appendChild(this.element);
+        this.moveTo(path[0], 0);
+
+        return new Promise(resolve => {
+            this.resolveWalk = resolve;
+            const step = (index) => {
+                if (index === path.length) {
+                    this.element.classList.remove('slowed');
+                    this.resolveWalk = null;
+                    resolve(true);
+                    return;
+                }
+                const from = path[index - 1];
+                const to = path[index];
+                const diagonal = from.row !== to.row && from.col !== to.col;
+                const duration = stepDuration * to.getMovementCost() * (diagonal ? Math.SQRT2 : 1);
+                this.moveTo(to, duration);
+                this.element.classList.toggle('slowed', to.weight > 1);
+                this.timer = setTimeout(() => step(index + 1), duration);
+            };
+            step(1);
+        });
+    }
+
+    /**
+     * Glide the sprite onto a node
+     * @param {Node} node - Target node
+     * @param {number} duration - Transition length in milliseconds
+     */
+    moveTo(node, duration) {
+        const { element } = this;
+        element.style.transitionDuration = `${duration}ms`;
+        element.style.width = `${node.element.offsetWidth}px`;
+        element.style.height = `${node.element.offsetHeight}px`;
+        element.style.transform = `translate(${node.element.offsetLeft}px, ${node.element.offsetTop}px)`;
+    }
+
+    /**
+     * Remove the sprite, ending any walk in progress
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+        if (this.resolveWalk) {
+            this.resolveWalk(false);
+            this.resolveWalk = null;
+        }
+    }
+
+    /**
+     * Check whether the sprite is on the grid
+     * @returns {boolean} True while walking or parked at the end
+     */
+    isVisible() {
+        return this.element !== null;
+    }
+}
@@ -0,0 +1,255 @@
+import { PathVerifier } from '../algorithms/engine/PathVerifier.js';
+
+/**
+ * RunComparison diffs two runs from the history (see StorageManager.saveRun) side by side:
+ * what changed on the grid, which settings differ and how each algorithm's results moved
+ * Runs hold { id, timestamp, settings, grid, algorithms } with the grid as Grid.serialize() left it
+ */
+export class RunComparison {
+    static SETTING_LABELS = {
+        movement: 'Movement',
+        heuristic: 'Heuristic',
+        heuristicWeight: 'A* weight (ε)',
+        optimizeWaypoints: 'Optimize waypoint order'
+    };
+    // Preview fill per cell type; weights use the colors of their legend icons
+    static PREVIEW_COLORS = {
+        empty: '#f7f5ef',
+        wall: '#6b705c',
+        start: '#7e9c7a',
+        end: '#e07a5f',
+        waypoint: '#e0b84f',
+        2: '#96c7a7',
+        5: '#e6b7b7',
+        10: '#b4b7e6'
+    };
+
+    /**
+     * Compare the layouts of two serialized grids
+     * @param {Object} before - Serialized grid of the older run
+     * @param {Object} after - Serialized grid of the newer run
+     * @returns {Object} { sameSize, wallsAdded, wallsRemoved, weightsChanged, startMoved, endMoved,
+     *   waypointsChanged, goalsChanged, changed } where changed is a Set of "row,col" keys
+     */
+    static diffGrids(before, after) {
+        const sameCells = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+        const diff = {
+            sameSize: before.rows === after.rows && before.cols === after.cols,
+            wallsAdded: 0,
+            wallsRemoved: 0,
+            weightsChanged: 0,
+            startMoved: false,
+            endMoved: false,
+            waypointsChanged: !sameCells(before.waypoints, after.waypoints),
+            goalsChanged: !sameCells(before.goals, after.goals),
+            changed: new Set()
+        };
+        if (!diff.sameSize) return diff;
+
+        for (let row = 0; row < after.rows; row++) {
+            for (let col = 0; col < after.cols; col++) {
+                const a = before.nodes[row][col];
+                const b = after.nodes[row][col];
+                let changed = false;
+                if (a.isWall !== b.isWall) {
+                    if (b.isWall) diff.wallsAdded++;
+                    else diff.wallsRemoved++;
+                    changed = true;
+                } else if (!b.isWall && a.weight !== b.weight) {
+                    diff.weightsChanged++;
+                    changed = true;
+                }
+                if (a.isStart !== b.isStart) {
+                    diff.startMoved = true;
+                    changed = true;
+                }
+                if (a.isEnd !== b.isEnd) {
+                    diff.endMoved = true;
+                    changed = true;
+                }
+                if (changed) diff.changed.add(`${row},${col}`);
+            }
+        }
+        return diff;
+    }
+
+    /**
+     * List the settings that differ between two runs
+     * @param {Object} before - Settings of the older run
+     * @param {Object} after - Settings of the newer run
+     * @returns {Array<{label: string, before: *, after: *}>} Changed settings
+     */
+    static diffSettings(before, after) {
+        return Object.entries(RunComparison.SETTING_LABELS)
+            .filter(([key]) => before[key] !== after[key])
+            .map(([key, label]) => ({ label, before: before[key], after: after[key] }));
+    }
+
+    /**
+     * Draw a serialized grid as a small SVG map
+     * @param {Object} grid - Serialized grid
+     * @param {Set<string>} [changed] - "row,col" keys to outline
+     * @returns {string} SVG markup
+     */
+    static renderGridPreview(grid, changed = new Set()) {
+        const colors = RunComparison.PREVIEW_COLORS;
+        const waypoints = new Set((grid.waypoints || []).map(({ row, col }) => `${row},${col}`));
+        const cells = [];
+        const outlines = [];
+        grid.nodes.forEach((rowData, row) => rowData.forEach((node, col) => {
+            const key = `${row},${col}`;
+            const fill = node.isStart ? colors.start
+                : node.isEnd ? colors.end
+                : waypoints.has(key) ? colors.waypoint
+                : node.isWall ? colors.wall
+                : colors[node.weight] || colors.empty;
+            cells.push(`<rect x="${col}" y="${row}" width="1" height="1" fill="${fill}" />`);
+            if (changed.has(key)) {
+                outlines.push(`<rect class="run-preview-changed" x="${col + 0.1}" y="${row + 0.1}" width="0.8" height="0.8" />`);
+            }
+        }));
+        return `
+            <svg class="run-preview" viewBox="0 0 ${grid.cols} ${grid.rows}" shape-rendering="crispEdges">
+                ${cells.join('')}${outlines.join('')}
+            </svg>
+        `;
+    }
+
+    /**
+     * Describe a run in one line for lists and headings
+     * @param {Object} run - Run from the history
+     * @returns {string} e.g. "20×20, 4-way · Dijkstra, A*"
+     */
+    static describe(run) {
+        const names = run.algorithms.map(entry => entry.shortName || entry.name).join(', ');
+        return `${run.grid.rows}×${run.grid.cols}, ${run.settings.movement} · ${names}`;
+    }
+
+    /**
+     * Render two runs side by side with their differences
+     * @param {Object} before - Older run
+     * @param {Object} after - Newer run
+     * @returns {string} HTML comparison
+     */
+    static render(before, after) {
+        const gridDiff = RunComparison.diffGrids(before.grid, after.grid);
+        const settingsDiff = RunComparison.diffSettings(before.settings, after.settings);
+        const time = run => new Date(run.timestamp).toLocaleString();
+
+        return `
+            <div class="comparison-summary">
+                <h4>Run Comparison</h4>
+                <div class="run-compare-grids">
+                    <div class="run-compare-side">
+                        <h5>Before · ${time(before)}</h5>
+                        ${RunComparison.renderGridPreview(before.grid)}
+                        <p>${RunComparison.describe(before)}</p>
+                    </div>
+                    <div class="run-compare-side">
+                        <h5>After · ${time(after)}</h5>
+                        ${RunComparison.renderGridPreview(after.grid, gridDiff.changed)}
+                        <p>${RunComparison.describe(after)}</p>
+                    </div>
+                </div>
+                ${RunComparison.renderChanges(before, after, gridDiff, settingsDiff)}
+                ${RunComparison.renderResultsTable(before, after)}
+            </div>
+        `;
+    }
+
+    /**
+     * Summarize the grid and settings changes between two runs
+     * @param {Object} before - Older run
+     * @param {Object} after - Newer run
+     * @param {Object} gridDiff - Result of diffGrids()
+     * @param {Array} settingsDiff - Result of diffSettings()
+     * @returns {string} HTML list of changes
+     */
+    static renderChanges(before, after, gridDiff, settingsDiff) {
+        const changes = [];
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        if (!gridDiff.sameSize) {
+            changes.push(`Grid resized from ${before.grid.rows}×${before.grid.cols} to ${after.grid.rows}×${after.grid.cols}.`);
+        } else {
+            if (gridDiff.wallsAdded > 0) changes.push(`${plural(gridDiff.wallsAdded, 'wall')} added.`);
+            if (gridDiff.wallsRemoved > 0) changes.push(`${plural(gridDiff.wallsRemoved, 'wall')} removed.`);
+            if (gridDiff.weightsChanged > 0) changes.push(`${plural(gridDiff.weightsChanged, 'cell')} changed weight.`);
+            if (gridDiff.startMoved) changes.push('The start moved.');
+            if (gridDiff.endMoved) changes.push('The end moved.');
+        }
+        if (gridDiff.waypointsChanged) changes.push('The waypoints changed.');
+        if (gridDiff.goalsChanged) changes.push('The extra goals changed.');
+        settingsDiff.forEach(({ label, before: from, after: to }) => changes.push(`${label}: ${from} → ${to}.`));
+
+        if (changes.length === 0) {
+            return '<p>The grid and settings are identical in both runs.</p>';
+        }
+        return `<ul class="run-compare-changes">${changes.map(change => `<li>${change}</li>`).join('')}</ul>`;
+    }
+
+    /**
+     * Tabulate each algorithm's results in both runs with the change between them
+     * @param {Object} before - Older run
+     * @param {Object} after - Newer run
+     * @returns {string} HTML table
+     */
+    static renderResultsTable(before, after) {
+        const ids = [...new Set([...after.algorithms, ...before.algorithms].map(entry => entry.id))];
+        const find = (run, id) => run.algorithms.find(entry => entry.id === id) || null;
+        const name = id => {
+            const entry = find(after, id) || find(before, id);
+            return entry.shortName || entry.name;
+        };
+        const value = (entry, field, format = String) => {
+            if (!entry) return '–';
+            if (entry.skipped) return 'skipped';
+            if (field !== 'nodesExplored' && !entry.success) return 'no path';
+            return format(entry[field]);
+        };
+        const change = (a, b, field, format = String) => {
+            if (!a || !b || a.skipped || b.skipped) return '';
+            if (field !== 'nodesExplored' && !(a.success && b.success)) return '';
+            const delta = b[field] - a[field];
+            if (Math.abs(delta) <= PathVerifier.EPSILON) return '<span class="run-delta">=</span>';
+            const sign = delta > 0 ? '+' : '−';
+            const percent = a[field] > 0 ? ` (${sign}${Math.abs(delta / a[field] * 100).toFixed(1)}%)` : '';
+            return `<span class="run-delta ${delta > 0 ? 'up' : 'down'}">${sign}${format(Math.abs(delta))}${percent}</span>`;
+        };
+        const cell = (a, b, field, format) => `
+            <td>${value(a, field, format)}</td>
+            <td>${value(b, field, format)} ${change(a, b, field, format)}</td>
+        `;
+
+        return `
+            <table class="benchmark-table run-compare-table">
+                <thead>
+                    <tr>
+                        <th rowspan="2">Algorithm</th>
+                        <th colspan="2">Nodes explored</th>
+                        <th colspan="2">Path cost</th>
+                        <th colspan="2">Steps</th>
+                    </tr>
+                    <tr>
+                        <th>Before</th><th>After</th>
+                        <th>Before</th><th>After</th>
+                        <th>Before</th><th>After</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${ids.map(id => {
+                        const a = find(before, id);
+                        const b = find(after, id);
+                        return `
+                            <tr>
+                                <td>${name(id)}</td>
+                                ${cell(a, b, 'nodesExplored')}
+                                ${cell(a, b, 'pathCost', PathVerifier.formatCost)}
+                                ${cell(a, b, 'steps')}
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * SearchInspector shows the live open/closed sets of the algorithms being played back
+ * Lists the frontier with each node's costs, the node popped next, and the
+ * closed-set size over time
+ */
+export class SearchInspector {
+    static FIELD_LABELS = {
+        distance: 'Distance',
+        gScore: 'g',
+        hScore: 'h',
+        fScore: 'f',
+        rhs: 'rhs',
+        key: 'Key'
+    };
+    static MAX_ROWS = 40;
+
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.tabs = this.container ? this.container.querySelector('.inspector-tabs') : null;
+        this.body = this.container ? this.container.querySelector('.inspector-body') : null;
+        this.sources = [];
+        this.activeIndex = 0;
+        this.highlightedElements = [];
+    }
+
+    /**
+     * Set the algorithms the inspector can show
+     * @param {Array<{label: string, algorithm: AnimatedAlgorithm}>} sources - Inspectable algorithms
+     */
+    setSources(sources) {
+        this.sources = sources;
+        this.activeIndex = Math.min(this.activeIndex, Math.max(0, sources.length - 1));
+        this.renderTabs();
+        this.update();
+    }
+
+    /**
+     * Render one tab per algorithm
+     */
+    renderTabs() {
+        if (!this.tabs) return;
+        this.tabs.innerHTML = this.sources.map((source, index) => `
+            <button class="inspector-tab ${index === this.activeIndex ? 'active' : ''}" data-index="${index}">${source.label}</button>
+        `).join('');
+        this.tabs.querySelectorAll('.inspector-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.activeIndex = parseInt(tab.dataset.index);
+                this.renderTabs();
+                this.update();
+            });
+        });
+    }
+
+    /**
+     * Re-render for the algorithms' current frame
+     */
+    update() {
+        if (!this.body) return;
+        this.clearHighlights();
+
+        const states = this.sources.map(source => source.algorithm.getSearchState());
+        states.forEach((state, index) => {
+            if (state && state.next) this.highlightNext(this.sources[index].algorithm.grid, state.next);
+        });
+
+        const state = states[this.activeIndex];
+        if (!state) {
+            this.renderEmpty();
+            return;
+        }
+
+        const { frontier, next, closedCount, history, costFields, leg, legCount } = state;
+        const nextEntry = next ? frontier.find(entry => entry.row === next.row && entry.col === next.col) : null;
+        const headers = costFields.map(field => `<th>${SearchInspector.FIELD_LABELS[field] || field}</th>`).join('');
+        const rows = frontier.slice(0, SearchInspector.MAX_ROWS).map((entry, index) => `
+            <tr class="${entry === nextEntry ? 'inspector-next-row' : ''}">
+                <td>${index + 1}</td>
+                <td>(${entry.row}, ${entry.col})${entry.side === 'backward' ? ' ←' : ''}</td>
+                ${costFields.map(field => `<td>${this.formatCost(entry.costs[field])}</td>`).join('')}
+            </tr>
+        `).join('');
+        const hiddenRows = frontier.length - SearchInspector.MAX_ROWS;
+
+        this.body.innerHTML = `
+            ${legCount > 1 ? `
+                <div class="result-item">
+                    <span class="result-label">Route leg:</span>
+                    <span class="result-value">${leg + 1} of ${legCount}</span>
+                </div>
+            ` : ''}
+            <div class="result-item">
+                <span class="result-label">Next to expand:</span>
+                <span class="result-value">${next ? `(${next.row}, ${next.col})` : '—'}</span>
+            </div>
+            ${nextEntry ? `
+                <div class="inspector-next-costs">
+                    ${costFields.map(field => `${SearchInspector.FIELD_LABELS[field] || field} = ${this.formatCost(nextEntry.costs[field])}`).join(', ')}
+                </div>
+            ` : ''}
+            <div class="result-item">
+                <span class="result-label">Open set:</span>
+                <span class="result-value">${frontier.length}</span>
+            </div>
+            <div class="result-item">
+                <span class="result-label">Closed set:</span>
+                <span class="result-value">${closedCount}</span>
+            </div>
+            ${this.renderHistoryChart(history)}
+            <table class="inspector-table">
+                <thead><tr><th>#</th><th>Cell</th>${headers}</tr></thead>
+                <tbody>${rows || `<tr><td colspan="${costFields.length + 2}">Frontier is empty</td></tr>`}</tbody>
+            </table>
+            ${hiddenRows > 0 ? `<div class="inspector-more">+${hiddenRows} more in the frontier</div>` : ''}
+            ${frontier.some(entry => entry.side === 'backward') ? '<div class="inspector-more">← marks cells on the backward frontier (searching from the end)</div>' : ''}
+        `;
+    }
+
+    /**
+     * Render the closed/open set sizes over time as an inline SVG chart
+     * @param {Array<{closed: number, open: number}>} history - Set sizes after each expansion
+     * @returns {string} SVG markup
+     */
+    renderHistoryChart(history) {
+        if (history.length < 2) return '';
+        const width = 220;
+        const height = 60;
+        const maxValue = Math.max(1, ...history.map(point => Math.max(point.closed, point.open)));
+        const toPoints = key => history.map((point, index) => {
+            const x = (index / (history.length - 1)) * width;
+            const y = height - (point[key] / maxValue) * height;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+
+        return `
+            <svg class="inspector-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <polyline class="inspector-chart-closed" points="${toPoints('closed')}" />
+                <polyline class="inspector-chart-open" points="${toPoints('open')}" />
+            </svg>
+            <div class="inspector-chart-legend">
+                <span class="inspector-chart-key closed"></span>Closed
+                <span class="inspector-chart-key open"></span>Open
+            </div>
+        `;
+    }
+
+    renderEmpty() {
+        this.body.innerHTML = '<p class="inspector-empty">Run or step through a search to inspect its frontier.</p>';
+    }
+
+    /**
+     * Clear the panel (e.g. when the recorded run no longer matches the grid)
+     */
+    clear() {
+        this.clearHighlights();
+        if (this.body) this.renderEmpty();
+    }
+
+    /**
+     * Mark the node that will be expanded next on its grid
+     * @param {Grid} grid - Grid the algorithm runs on
+     * @param {{row: number, col: number}} position - Next node position
+     */
+    highlightNext(grid, position) {
+        const node = grid.getNode(position.row, position.col);
+        if (!node || !node.element) return;
+        node.element.classList.add('inspect-next');
+        this.highlightedElements.push(node.element);
+    }
+
+    clearHighlights() {
+        this.highlightedElements.forEach(element => element.classList.remove('inspect-next'));
+        this.highlightedElements = [];
+    }
+
+    /**
+     * Format a cost value for display
+     * @param {number} value - Cost value
+     * @returns {string} Formatted value
+     */
+    formatCost(value) {
+        if (value === undefined || value === null) return '—';
+        if (value === Infinity) return '∞';
+        return Number.isInteger(value) ? value.toString() : value.toFixed(2);
+    }
+}
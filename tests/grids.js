@@ -0,0 +1,35 @@
+import { GridModel } from '../algorithms/engine/GridModel.js';
+import { createRandom } from './random.js';
+
+/**
+ * Build a reproducible random grid model for the solver checks
+ * @param {number} seed - Random seed
+ * @param {Object} [options]
+ * @param {number} [options.rows=12] - Row count
+ * @param {number} [options.cols=16] - Column count
+ * @param {string} [options.movement='4-way'] - Movement rule
+ * @param {number} [options.wallChance=0.25] - Chance of each cell being a wall
+ * @param {number} [options.weightChance=0] - Chance of each open cell getting a weight from 2 to 9
+ * @returns {GridModel} Grid model with a start and an end on open cells
+ */
+export function createRandomModel(seed, { rows = 12, cols = 16, movement = '4-way', wallChance = 0.25, weightChance = 0 } = {}) {
+    const random = createRandom(seed);
+    const model = new GridModel(rows, cols);
+    model.movement = movement;
+    for (let index = 0; index < model.size; index++) {
+        if (random() < wallChance) {
+            model.walls[index] = 1;
+        } else if (random() < weightChance) {
+            model.weights[index] = 2 + Math.floor(random() * 8);
+        }
+    }
+
+    model.startIndex = Math.floor(random() * model.size);
+    do {
+        model.endIndex = Math.floor(random() * model.size);
+    } while (model.endIndex === model.startIndex);
+    model.walls[model.startIndex] = 0;
+    model.walls[model.endIndex] = 0;
+    model.goals = [model.endIndex];
+    return model;
+}
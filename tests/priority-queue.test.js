@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PriorityQueue } from '../utils/PriorityQueue.js';
+import { createRandom } from './random.js';
+
+const SEEDS = 300;
+const ITEMS = 40;
+
+/**
+ * Replay random pushes, decrease-keys and pops against a stable-sorted array and the heap
+ * @param {number} seed - Random seed
+ * @param {boolean} preloaded - Start every item in the array at Infinity, as Dijkstra did
+ * @returns {Object} Pop sequences from the array and from the queue
+ */
+function replay(seed, preloaded) {
+    const random = createRandom(seed);
+    const queue = new PriorityQueue(PriorityQueue.compareNumbers, { stable: true });
+    const priorities = new Map();
+    const array = preloaded ? Array.from({ length: ITEMS }, (_, item) => item) : [];
+    if (preloaded) array.forEach(item => priorities.set(item, Infinity));
+    const popped = new Set();
+    const fromArray = [];
+    const fromQueue = [];
+
+    for (let step = 0; step < ITEMS * 4; step++) {
+        if (random() < 0.3) {
+            array.sort((a, b) => priorities.get(a) - priorities.get(b));
+            if (array.length === 0 || priorities.get(array[0]) === Infinity) continue;
+            const item = array.shift();
+            popped.add(item);
+            fromArray.push(item);
+            fromQueue.push(queue.pop());
+            continue;
+        }
+        const item = Math.floor(random() * ITEMS);
+        if (popped.has(item)) continue;
+        const priority = Math.floor(random() * 6);
+        const current = priorities.has(item) ? priorities.get(item) : Infinity;
+        if (priority >= current) continue;
+        if (!preloaded && !priorities.has(item)) array.push(item);
+        priorities.set(item, priority);
+        queue.push(item, priority, preloaded ? item : undefined);
+    }
+    return { fromArray, fromQueue };
+}
+
+test('stable mode pops in the order of a stable sort over an insertion-ordered array', () => {
+    for (let seed = 1; seed <= SEEDS; seed++) {
+        const { fromArray, fromQueue } = replay(seed, false);
+        assert.deepEqual(fromQueue, fromArray, `seed ${seed}`);
+    }
+});
+
+test('stable mode with explicit order matches an array that starts with every item', () => {
+    for (let seed = 1; seed <= SEEDS; seed++) {
+        const { fromArray, fromQueue } = replay(seed, true);
+        assert.deepEqual(fromQueue, fromArray, `seed ${seed}`);
+    }
+});
@@ -0,0 +1,15 @@
+/**
+ * Small seeded random generator (mulberry32) so the checks replay the same cases every run
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning a float in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
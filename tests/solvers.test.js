@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DijkstraSolver } from '../algorithms/engine/DijkstraSolver.js';
+import { AStarSolver } from '../algorithms/engine/AStarSolver.js';
+import { BidirectionalSolver } from '../algorithms/engine/BidirectionalSolver.js';
+import { JumpPointSolver } from '../algorithms/engine/JumpPointSolver.js';
+import { BreadthFirstSolver } from '../algorithms/engine/BreadthFirstSolver.js';
+import { DepthFirstSolver } from '../algorithms/engine/DepthFirstSolver.js';
+import { GreedyBestFirstSolver } from '../algorithms/engine/GreedyBestFirstSolver.js';
+import { IDAStarSolver } from '../algorithms/engine/IDAStarSolver.js';
+import { DStarLiteSolver } from '../algorithms/engine/DStarLiteSolver.js';
+import { Heuristics, DefaultHeuristics } from '../algorithms/engine/Heuristics.js';
+import { PathVerifier } from '../algorithms/engine/PathVerifier.js';
+import { createRandomModel } from './grids.js';
+
+const heuristicFor = model => ({ heuristic: Heuristics[DefaultHeuristics[model.movement]] });
+const unweighted = model => model.weights.every(weight => weight === 1);
+
+// optimal(model): whether the solver promises the cheapest path on that grid
+const SOLVERS = [
+    { name: 'Dijkstra', create: model => new DijkstraSolver(model), optimal: () => true },
+    { name: 'A*', create: model => new AStarSolver(model, heuristicFor(model)), optimal: () => true },
+    { name: 'Bidirectional Dijkstra', create: model => new BidirectionalSolver(model), optimal: () => true },
+    { name: 'Bidirectional A*', create: model => new BidirectionalSolver(model, heuristicFor(model)), optimal: () => true },
+    { name: 'Jump Point Search', create: model => new JumpPointSolver(model, heuristicFor(model)), optimal: () => true, supports: unweighted },
+    { name: 'Breadth-First', create: model => new BreadthFirstSolver(model), optimal: model => unweighted(model) && model.movement === '4-way' },
+    { name: 'Depth-First', create: model => new DepthFirstSolver(model), optimal: () => false },
+    { name: 'Greedy Best-First', create: model => new GreedyBestFirstSolver(model, heuristicFor(model)), optimal: () => false },
+    { name: 'IDA*', create: model => new IDAStarSolver(model, heuristicFor(model)), optimal: () => true },
+    { name: 'D* Lite', create: model => new DStarLiteSolver(model, heuristicFor(model)), optimal: () => true }
+];
+
+const GRIDS = [
+    { movement: '4-way' },
+    { movement: '4-way', weightChance: 0.3 },
+    { movement: '8-way' },
+    { movement: '8-way-no-corners', weightChance: 0.3 }
+];
+
+const SEEDS = 40;
+
+for (const { name, create, optimal, supports = () => true } of SOLVERS) {
+    test(`${name} finds valid paths on seeded grids`, () => {
+        for (const options of GRIDS) {
+            for (let seed = 1; seed <= SEEDS; seed++) {
+                const model = createRandomModel(seed, { rows: 10, cols: 12, ...options });
+                if (!supports(model)) continue;
+                const result = create(model).solve();
+                const report = PathVerifier.verify(model, result, { expectOptimal: optimal(model) });
+                const issues = report.issues.map(issue => issue.message).join(' ');
+                assert.ok(report.valid, `seed ${seed}, ${options.movement}${options.weightChance ? ', weighted' : ''}: ${issues}`);
+            }
+        }
+    });
+}
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DijkstraSolver } from '../algorithms/engine/DijkstraSolver.js';
+import { AStarSolver } from '../algorithms/engine/AStarSolver.js';
+import { Heuristics } from '../algorithms/engine/Heuristics.js';
+import { createRandomModel } from './grids.js';
+
+// The original Dijkstra and A* kept their frontier in a plain array and stable-sorted it
+// before every pop; these ports of them define the visit order the heap must reproduce
+
+function arrayDijkstra(model) {
+    const distance = new Array(model.size).fill(Infinity);
+    distance[model.startIndex] = 0;
+    const unvisited = [...Array(model.size).keys()];
+    const visitOrder = [];
+
+    while (unvisited.length > 0) {
+        unvisited.sort((a, b) => distance[a] - distance[b]);
+        const current = unvisited.shift();
+        if (model.isWall(current) || distance[current] === Infinity) break;
+        visitOrder.push(current);
+        if (model.isGoal(current)) break;
+
+        for (const neighbor of model.getNeighbors(current)) {
+            if (model.isWall(neighbor)) continue;
+            const tentativeDistance = distance[current] + model.getMovementCost(current, neighbor);
+            if (tentativeDistance < distance[neighbor]) distance[neighbor] = tentativeDistance;
+        }
+    }
+    return visitOrder;
+}
+
+function arrayAStar(model) {
+    const goal = model.toCoords(model.endIndex);
+    const estimate = index => Heuristics.manhattan(model.toCoords(index), goal);
+    const gScore = new Array(model.size).fill(Infinity);
+    const fScore = new Array(model.size).fill(Infinity);
+    gScore[model.startIndex] = 0;
+    fScore[model.startIndex] = estimate(model.startIndex);
+    const openSet = [model.startIndex];
+    const closedSet = new Set();
+    const visitOrder = [];
+
+    while (openSet.length > 0) {
+        openSet.sort((a, b) => fScore[a] - fScore[b]);
+        const current = openSet.shift();
+        closedSet.add(current);
+        visitOrder.push(current);
+        if (model.isGoal(current)) break;
+
+        for (const neighbor of model.getNeighbors(current)) {
+            if (model.isWall(neighbor) || closedSet.has(neighbor)) continue;
+            const tentativeGScore = gScore[current] + model.getMovementCost(current, neighbor);
+            if (!openSet.includes(neighbor)) {
+                openSet.push(neighbor);
+            } else if (tentativeGScore >= gScore[neighbor]) {
+                continue;
+            }
+            gScore[neighbor] = tentativeGScore;
+            fScore[neighbor] = tentativeGScore + estimate(neighbor);
+        }
+    }
+    return visitOrder;
+}
+
+const visitedIndices = (model, result) => result.visitOrder.map(({ row, col }) => model.index(row, col));
+
+const GRIDS = [
+    { wallChance: 0.25 },
+    { wallChance: 0.1, weightChance: 0.3 },
+    { wallChance: 0.2, movement: '8-way' }
+];
+
+for (const options of GRIDS) {
+    const label = Object.entries(options).map(([key, value]) => `${key} ${value}`).join(', ');
+
+    test(`Dijkstra visits cells in the original order (${label})`, () => {
+        for (let seed = 1; seed <= 200; seed++) {
+            const model = createRandomModel(seed, options);
+            const result = new DijkstraSolver(model).solve();
+            assert.deepEqual(visitedIndices(model, result), arrayDijkstra(model), `seed ${seed}`);
+        }
+    });
+
+    test(`A* visits cells in the original order (${label})`, () => {
+        for (let seed = 1; seed <= 200; seed++) {
+            const model = createRandomModel(seed, options);
+            const result = new AStarSolver(model).solve();
+            assert.deepEqual(visitedIndices(model, result), arrayAStar(model), `seed ${seed}`);
+        }
+    });
+}
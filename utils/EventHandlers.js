@@ -8,6 +8,9 @@
  */
 export class StorageManager {
     static STORAGE_KEY = 'pathfinder-lab-grids';
+    static HISTORY_KEY = 'pathfinder-lab-history';
+    static MAX_HISTORY = 20;
+    static SHORTCUTS_KEY = 'pathfinder-lab-shortcuts';
     
     /**
      * Save grid state to local storage under a given name
@@ -32,28 +35,18 @@ export class StorageManager {
     }
     
     /**
-     * Load grid state from local storage by name
-     * @param {Grid} grid - Grid instance to load into
+     * Read a saved grid from local storage by name
+     * The caller puts the data on its grids, so that every grid can be resized together
      * @param {string} name - Name of the saved grid
-     * @returns {boolean} Success status
+     * @returns {Object|null} Saved entry { name, timestamp, data }, or null if there is none
      */
-    static loadGrid(grid, name) {
-        try {
-            const allGrids = this.getAllGridsRaw();
-            if (!allGrids || !allGrids[name]) {
-                this.showNotification('No saved grid found', 'warning');
-                return false;
-            }
-            const saveData = allGrids[name];
-            grid.deserialize(saveData.data);
-            const saveDate = new Date(saveData.timestamp).toLocaleString();
-            this.showNotification(`Grid "${name}" loaded successfully! (Saved: ${saveDate})`, 'success');
-            return true;
-        } catch (error) {
-            console.error('Error loading grid:', error);
-            this.showNotification('Failed to load grid', 'error');
-            return false;
+    static loadGrid(name) {
+        const allGrids = this.getAllGridsRaw();
+        if (!allGrids || !allGrids[name]) {
+            this.showNotification('No saved grid found', 'warning');
+            return null;
         }
+        return allGrids[name];
     }
     
     /**
@@ -140,6 +133,104 @@ export class StorageManager {
         this.showNotification('Saved grid cleared', 'info');
     }
     
+    /**
+     * Add a run to the history, newest first, keeping at most MAX_HISTORY runs
+     * If storage is full the oldest runs are dropped until the new one fits
+     * @param {Object} run - { id, timestamp, settings, grid, algorithms }
+     * @returns {boolean} Success status
+     */
+    static saveRun(run) {
+        const runs = [run, ...this.getRunHistory()].slice(0, this.MAX_HISTORY);
+        while (runs.length > 0) {
+            try {
+                localStorage.setItem(this.HISTORY_KEY, JSON.stringify(runs));
+                return true;
+            } catch (error) {
+                if (runs.length === 1) {
+                    console.error('Error saving run history:', error);
+                    this.showNotification('Failed to save this run to the history', 'error');
+                    return false;
+                }
+                runs.pop();
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Get the run history, newest first
+     * @returns {Array} Runs saved by saveRun()
+     */
+    static getRunHistory() {
+        const raw = localStorage.getItem(this.HISTORY_KEY);
+        if (!raw) return [];
+        try {
+            const parsed = JSON.parse(raw);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch {
+            return [];
+        }
+    }
+    
+    /**
+     * Get a run from the history by id
+     * @param {string} id - Run id
+     * @returns {Object|null} Run, or null if it is not in the history
+     */
+    static getRun(id) {
+        return this.getRunHistory().find(run => run.id === id) || null;
+    }
+    
+    /**
+     * Delete a run from the history by id
+     * @param {string} id - Run id
+     */
+    static deleteRun(id) {
+        const runs = this.getRunHistory().filter(run => run.id !== id);
+        localStorage.setItem(this.HISTORY_KEY, JSON.stringify(runs));
+        this.showNotification('Run deleted from history.', 'info');
+    }
+    
+    /**
+     * Delete every run in the history
+     */
+    static clearRunHistory() {
+        localStorage.removeItem(this.HISTORY_KEY);
+        this.showNotification('Run history cleared', 'info');
+    }
+    
+    /**
+     * Get the keys the user remapped shortcuts to
+     * @returns {Object} Shortcut id → key combination, only for remapped shortcuts
+     */
+    static getShortcutKeys() {
+        const raw = localStorage.getItem(this.SHORTCUTS_KEY);
+        if (!raw) return {};
+        try {
+            const parsed = JSON.parse(raw);
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch {
+            return {};
+        }
+    }
+    
+    /**
+     * Save the remapped shortcut keys
+     * @param {Object} keys - Shortcut id → key combination; empty to go back to the defaults
+     */
+    static saveShortcutKeys(keys) {
+        try {
+            if (Object.keys(keys).length === 0) {
+                localStorage.removeItem(this.SHORTCUTS_KEY);
+            } else {
+                localStorage.setItem(this.SHORTCUTS_KEY, JSON.stringify(keys));
+            }
+        } catch (error) {
+            console.error('Error saving shortcuts:', error);
+            this.showNotification('Failed to save shortcuts', 'error');
+        }
+    }
+    
     /**
      * Show notification to user
      * @param {string} message - Notification message
@@ -219,6 +310,11 @@ export class StorageManager {
  */
 export class ToolManager {
     static currentTool = 'wall';
+    // Tools that paint cells, and so follow the draw mode and brush size
+    static PAINT_TOOLS = ['wall', 'weight', 'eraser'];
+    // 'freehand', 'line', 'rectangle', 'filled-rectangle' or 'fill'
+    static drawMode = 'freehand';
+    static brushSize = 1;
     
     /**
      * Initialize tool button event listeners
@@ -238,6 +334,15 @@ export class ToolManager {
                 this.currentTool = button.dataset.tool;
             });
         });
+        
+        const drawMode = document.getElementById('draw-mode');
+        drawMode.addEventListener('change', () => {
+            this.drawMode = drawMode.value;
+        });
+        const brushSize = document.getElementById('brush-size');
+        brushSize.addEventListener('change', () => {
+            this.brushSize = parseInt(brushSize.value);
+        });
     }
     
     /**
@@ -248,6 +353,31 @@ export class ToolManager {
         return this.currentTool;
     }
     
+    /**
+     * Check whether a tool paints cells
+     * @param {string} tool - Tool name
+     * @returns {boolean} True for the wall, weight and eraser tools
+     */
+    static isPaintTool(tool) {
+        return this.PAINT_TOOLS.includes(tool);
+    }
+    
+    /**
+     * Get the shape the paint tools draw
+     * @returns {string} Draw mode
+     */
+    static getDrawMode() {
+        return this.drawMode;
+    }
+    
+    /**
+     * Get the side of the square brush the paint tools use
+     * @returns {number} Brush size (see Grid.BRUSH_SIZES)
+     */
+    static getBrushSize() {
+        return this.brushSize;
+    }
+    
     /**
      * Set active tool
      * @param {string} tool - Tool name to activate
@@ -300,6 +430,20 @@ export class PerformanceMonitor {
         return 0;
     }
     
+    /**
+     * Record an operation that was timed elsewhere, ending now
+     * @param {string} operation - Operation name
+     * @param {number} duration - Duration in milliseconds
+     */
+    recordTiming(operation, duration) {
+        const endTime = performance.now();
+        this.metrics.set(operation, {
+            startTime: endTime - duration,
+            endTime,
+            duration
+        });
+    }
+    
     /**
      * Get timing results
      * @param {string} operation - Operation name
@@ -347,12 +491,42 @@ export class PerformanceMonitor {
 
 /**
  * Animation controller for managing algorithm animations
+ * Plays a recorded timeline of frames with play/pause, single-step and seeking.
+ * Rendering is delegated to the onFrame handler, which receives the frame
+ * position (0 = nothing drawn, length = fully drawn) to bring the view to
  */
 export class AnimationController {
     constructor() {
         this.isAnimating = false;
-        this.animationQueue = [];
         this.currentAnimation = null;
+        this.position = 0;
+        this.length = 0;
+        this.handlers = {};
+    }
+    
+    /**
+     * Load a new timeline
+     * @param {number} length - Number of frames in the timeline
+     * @param {Object} handlers - Timeline callbacks
+     * @param {Function} handlers.onFrame - Called with the new position after every move
+     * @param {Function} handlers.onComplete - Called when playback reaches the end
+     * @param {Function} handlers.onStateChange - Called when play/pause state or position changes
+     * @param {Function} handlers.getFrameDelay - Returns the delay (ms) before drawing a frame
+     */
+    load(length, handlers = {}) {
+        this.stop();
+        this.length = length;
+        this.position = 0;
+        this.handlers = handlers;
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Check if a timeline is loaded
+     * @returns {boolean} True if a timeline is loaded
+     */
+    isLoaded() {
+        return this.handlers.onFrame !== undefined;
     }
     
     /**
@@ -364,22 +538,35 @@ export class AnimationController {
     }
     
     /**
-     * Start animation
+     * Check if playback has reached the end of the timeline
+     * @returns {boolean} True if at the last frame
+     */
+    isFinished() {
+        return this.position >= this.length;
+    }
+    
+    /**
+     * Start animation from the current position
      */
     start() {
+        if (!this.isLoaded() || this.isAnimating) return;
+        if (this.isFinished()) {
+            this.complete();
+            return;
+        }
         this.isAnimating = true;
+        this.notifyStateChange();
+        this.scheduleNextFrame();
     }
     
     /**
-     * Stop animation
+     * Stop animation and unload the timeline
      */
     stop() {
-        this.isAnimating = false;
-        this.animationQueue = [];
-        if (this.currentAnimation) {
-            clearTimeout(this.currentAnimation);
-            this.currentAnimation = null;
-        }
+        this.pause();
+        this.length = 0;
+        this.position = 0;
+        this.handlers = {};
     }
     
     /**
@@ -387,41 +574,252 @@ export class AnimationController {
      */
     pause() {
         this.isAnimating = false;
+        if (this.currentAnimation) {
+            clearTimeout(this.currentAnimation);
+            this.currentAnimation = null;
+        }
+        this.notifyStateChange();
     }
     
     /**
      * Resume animation
      */
     resume() {
-        this.isAnimating = true;
+        this.start();
     }
     
     /**
-     * Add animation step to queue
-     * @param {Function} animationStep - Animation function to execute
-     * @param {number} delay - Delay before execution
+     * Pause and advance a single frame
      */
-    addToQueue(animationStep, delay = 0) {
-        this.animationQueue.push({ step: animationStep, delay });
+    stepForward() {
+        this.pause();
+        this.seek(this.position + 1);
     }
     
     /**
-     * Execute animation queue
+     * Pause and go back a single frame
      */
-    async executeQueue() {
-        for (const { step, delay } of this.animationQueue) {
-            if (!this.isAnimating) break;
-            
-            await new Promise(resolve => {
-                this.currentAnimation = setTimeout(() => {
-                    step();
-                    resolve();
-                }, delay);
-            });
+    stepBack() {
+        this.pause();
+        this.seek(this.position - 1);
+    }
+    
+    /**
+     * Jump to a frame position
+     * @param {number} position - Target position (clamped to the timeline)
+     */
+    seek(position) {
+        if (!this.isLoaded()) return;
+        this.position = Math.max(0, Math.min(position, this.length));
+        this.handlers.onFrame(this.position);
+        this.notifyStateChange();
+        if (this.isFinished()) this.complete();
+    }
+    
+    /**
+     * Schedule drawing of the next frame while playing
+     */
+    scheduleNextFrame() {
+        const delay = this.handlers.getFrameDelay ? this.handlers.getFrameDelay(this.position) : 0;
+        this.currentAnimation = setTimeout(() => {
+            this.currentAnimation = null;
+            if (!this.isAnimating) return;
+            this.seek(this.position + 1);
+            if (this.isAnimating) this.scheduleNextFrame();
+        }, delay);
+    }
+    
+    /**
+     * Handle reaching the end of the timeline
+     */
+    complete() {
+        if (this.isAnimating) this.pause();
+        if (this.handlers.onComplete) this.handlers.onComplete();
+    }
+    
+    notifyStateChange() {
+        if (this.handlers.onStateChange) this.handlers.onStateChange(this);
+    }
+}
+
+/**
+ * EditHistory - undo/redo stacks of grid layouts
+ * Layouts are Grid.serialize() output as JSON strings; an edit is recorded as the layout
+ * before it, so a whole drag stroke or generator run undoes in one step
+ */
+export class EditHistory {
+    static MAX_EDITS = 100;
+    
+    /**
+     * @param {number} [limit=EditHistory.MAX_EDITS] - Most edits kept; the oldest are dropped first
+     */
+    constructor(limit = EditHistory.MAX_EDITS) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        // Layout before the edit in progress, null between edits
+        this.pending = null;
+    }
+    
+    /**
+     * Start an edit
+     * @param {string} layout - Layout before the edit
+     */
+    begin(layout) {
+        this.pending = layout;
+    }
+    
+    /**
+     * Finish the edit in progress; it is only recorded if the layout changed
+     * @param {string} layout - Layout after the edit
+     * @returns {boolean} Whether an edit was recorded
+     */
+    commit(layout) {
+        const before = this.pending;
+        this.pending = null;
+        if (before === null || before === layout) return false;
+        this.undoStack.push(before);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+        return true;
+    }
+    
+    /**
+     * Step back one edit
+     * @param {string} layout - Current layout, kept for redo
+     * @returns {string|null} Layout to restore, null if there is nothing to undo
+     */
+    undo(layout) {
+        if (this.undoStack.length === 0) return null;
+        this.redoStack.push(layout);
+        return this.undoStack.pop();
+    }
+    
+    /**
+     * Step forward one undone edit
+     * @param {string} layout - Current layout, kept for undo
+     * @returns {string|null} Layout to restore, null if there is nothing to redo
+     */
+    redo(layout) {
+        if (this.redoStack.length === 0) return null;
+        this.undoStack.push(layout);
+        return this.redoStack.pop();
+    }
+    
+    /**
+     * @returns {boolean} Whether there is an edit to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    /**
+     * @returns {boolean} Whether there is an undone edit to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+}
+
+/**
+ * SeededRandom - small reproducible random number generator (mulberry32)
+ * The same seed gives the same sequence in every browser, so generated grids can be shared by seed
+ */
+export class SeededRandom {
+    static MAX_SEED = 0xFFFFFFFF;
+    
+    /**
+     * @param {number} seed - Whole number from 0 to MAX_SEED
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    /**
+     * Draw a fresh seed
+     * @returns {number} Whole number from 0 to MAX_SEED
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * (SeededRandom.MAX_SEED + 1));
+    }
+    
+    /**
+     * Read a seed typed by the user
+     * @param {string} value - Input value
+     * @returns {number|null} Seed, or null if the value is not a whole number in range
+     */
+    static parseSeed(value) {
+        const text = String(value).trim().replace(/^#/, '');
+        if (!/^\d+$/.test(text)) return null;
+        const seed = Number(text);
+        return seed <= SeededRandom.MAX_SEED ? seed : null;
+    }
+    
+    /**
+     * Next number in the sequence
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+/**
+ * Downloads of run and benchmark data as CSV or JSON files
+ */
+export class ExportManager {
+    /**
+     * Turn flat records into CSV, one column per key of the first record
+     * @param {Object[]} rows - Records with the same keys
+     * @returns {string} CSV text with a header line
+     */
+    static toCSV(rows) {
+        if (rows.length === 0) return '';
+        const columns = Object.keys(rows[0]);
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n');
+    }
+    
+    /**
+     * Build a file name stamped with the current date and time
+     * @param {string} prefix - File name prefix
+     * @param {string} extension - File extension without the dot
+     * @returns {string} e.g. 'zenpaths-run-2024-05-01-12-30-00.csv'
+     */
+    static getFileName(prefix, extension) {
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+        return `${prefix}-${stamp}.${extension}`;
+    }
+    
+    /**
+     * Save text as a file through the browser's download prompt
+     * @param {string} fileName - Suggested file name
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type of the content
+     */
+    static download(fileName, content, mimeType) {
+        try {
+            const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+            StorageManager.showNotification(`Exported ${fileName}`, 'success');
+        } catch (error) {
+            console.error('Error exporting results:', error);
+            StorageManager.showNotification('Failed to export results', 'error');
         }
-        
-        this.animationQueue = [];
-        this.currentAnimation = null;
     }
 }
 
@@ -509,11 +907,17 @@ export class DOMUtils {
 
 /**
  * Keyboard shortcut manager
+ * Shortcuts are keyed by their key combination (see getKeyString()) and carry an id that
+ * stays the same when they are remapped
  */
 export class KeyboardManager {
+    static MODIFIERS = ['control', 'alt', 'shift', 'meta'];
+    
     constructor() {
         this.shortcuts = new Map();
         this.isEnabled = true;
+        // Called with the next key combination instead of running a shortcut (see captureNextKey())
+        this.captureHandler = null;
         
         // Bind keyboard event listener
         document.addEventListener('keydown', this.handleKeyDown.bind(this));
@@ -524,9 +928,47 @@ export class KeyboardManager {
      * @param {string} key - Key combination (e.g., 'ctrl+s', 'space')
      * @param {Function} handler - Handler function
      * @param {string} description - Description of the shortcut
+     * @param {string} [id=key] - Stable name of the shortcut, for remapping
+     */
+    registerShortcut(key, handler, description = '', id = key) {
+        this.shortcuts.set(key.toLowerCase(), { id, handler, description });
+    }
+    
+    /**
+     * Move a shortcut to another key combination, keeping its place in the list
+     * @param {string} id - Shortcut id
+     * @param {string} key - New key combination
+     * @returns {boolean} False if the shortcut does not exist or another one already uses the key
+     */
+    remapShortcut(id, key) {
+        const newKey = key.toLowerCase();
+        const oldKey = this.getKey(id);
+        if (oldKey === null) return false;
+        if (oldKey === newKey) return true;
+        if (this.shortcuts.has(newKey)) return false;
+        this.shortcuts = new Map([...this.shortcuts].map(([current, shortcut]) => [current === oldKey ? newKey : current, shortcut]));
+        return true;
+    }
+    
+    /**
+     * Get the key combination of a shortcut
+     * @param {string} id - Shortcut id
+     * @returns {string|null} Key combination, or null if there is no such shortcut
+     */
+    getKey(id) {
+        for (const [key, shortcut] of this.shortcuts) {
+            if (shortcut.id === id) return key;
+        }
+        return null;
+    }
+    
+    /**
+     * Hand the next key combination to a callback instead of running shortcuts, e.g. to remap one
+     * Escape cancels and passes null
+     * @param {Function} callback - Called with the key combination, or null
      */
-    registerShortcut(key, handler, description = '') {
-        this.shortcuts.set(key.toLowerCase(), { handler, description });
+    captureNextKey(callback) {
+        this.captureHandler = callback;
     }
     
     /**
@@ -542,7 +984,19 @@ export class KeyboardManager {
      * @param {KeyboardEvent} event - Keyboard event
      */
     handleKeyDown(event) {
+        if (this.captureHandler) {
+            // Wait for the key that goes with the modifiers
+            if (KeyboardManager.MODIFIERS.includes(event.key.toLowerCase())) return;
+            event.preventDefault();
+            const callback = this.captureHandler;
+            this.captureHandler = null;
+            callback(event.key === 'Escape' ? null : this.getKeyString(event));
+            return;
+        }
         if (!this.isEnabled) return;
+        // Leave typing in form fields alone (e.g. Ctrl+Z in a text box undoes the text)
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
         
         const key = this.getKeyString(event);
         const shortcut = this.shortcuts.get(key);
@@ -561,12 +1015,13 @@ export class KeyboardManager {
     getKeyString(event) {
         const parts = [];
         
-        if (event.ctrlKey) parts.push('ctrl');
+        // Cmd on a Mac counts as Ctrl
+        if (event.ctrlKey || event.metaKey) parts.push('ctrl');
         if (event.altKey) parts.push('alt');
         if (event.shiftKey) parts.push('shift');
         
-        const key = event.key.toLowerCase();
-        if (key !== 'control' && key !== 'alt' && key !== 'shift') {
+        const key = event.key === ' ' ? 'space' : event.key.toLowerCase();
+        if (!KeyboardManager.MODIFIERS.includes(key)) {
             parts.push(key);
         }
         
@@ -593,9 +1048,21 @@ export class KeyboardManager {
      */
     getShortcuts() {
         const shortcuts = [];
-        for (const [key, { description }] of this.shortcuts) {
-            shortcuts.push({ key, description });
+        for (const [key, { id, description }] of this.shortcuts) {
+            shortcuts.push({ id, key, description });
         }
         return shortcuts;
     }
+    
+    /**
+     * Format a key combination for display
+     * @param {string} key - Key combination, e.g. 'ctrl+shift+z'
+     * @returns {string} e.g. 'Ctrl + Shift + Z'
+     */
+    static formatKey(key) {
+        // Split on the "+" between parts, not on a "+" key at the end
+        return key.split(/\+(?=.)/)
+            .map(part => part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1))
+            .join(' + ');
+    }
 } 
\ No newline at end of file
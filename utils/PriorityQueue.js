@@ -0,0 +1,262 @@
+/**
+ * Indexed binary min-heap used as the frontier by the pathfinding algorithms
+ * Supports decrease-key and membership checks in O(log n) / O(1)
+ */
+export class PriorityQueue {
+    /**
+     * @param {Function} [compare] - Function (a, b) => negative, zero or positive, for priorities
+     *   that are not plain numbers (e.g. D* Lite's two-part keys)
+     * @param {Object} [options] - stable: break ties the way stable-sorting a plain array before
+     *   every pop would, instead of first-in first-out
+     */
+    constructor(compare = PriorityQueue.compareNumbers, options = {}) {
+        this.compare = compare;
+        this.stable = Boolean(options.stable);
+        // Heap entries: { item, priority, order, history }
+        this.heap = [];
+        // Maps each queued item to its current index in the heap
+        this.positions = new Map();
+        // Monotonic insertion counter used to break priority ties (FIFO)
+        this.insertionCounter = 0;
+        // Number of pops so far; in stable mode each priority change is stamped with it
+        this.round = 0;
+    }
+
+    /**
+     * Number of items currently queued
+     * @returns {number} Queue size
+     */
+    get size() {
+        return this.heap.length;
+    }
+
+    /**
+     * Check if the queue is empty
+     * @returns {boolean} True if no items are queued
+     */
+    isEmpty() {
+        return this.heap.length === 0;
+    }
+
+    /**
+     * Check if an item is currently queued
+     * @param {*} item - Item to look up
+     * @returns {boolean} True if the item is in the queue
+     */
+    has(item) {
+        return this.positions.has(item);
+    }
+
+    /**
+     * Get the priority an item was queued with
+     * @param {*} item - Item to look up
+     * @returns {number|undefined} Priority, or undefined if not queued
+     */
+    getPriority(item) {
+        const index = this.positions.get(item);
+        return index === undefined ? undefined : this.heap[index].priority;
+    }
+
+    /**
+     * Add an item to the queue
+     * @param {*} item - Item to add (lowers its priority if already queued)
+     * @param {number} priority - Priority value, lower is popped first
+     * @param {number} [order] - Final tie-break rank, defaults to insertion order
+     */
+    push(item, priority, order = this.insertionCounter) {
+        if (this.positions.has(item)) {
+            this.decreaseKey(item, priority);
+            return;
+        }
+        this.insertionCounter++;
+        const entry = { item, priority, order };
+        if (this.stable) entry.history = [{ priority, round: this.round }];
+        this.heap.push(entry);
+        this.positions.set(item, this.heap.length - 1);
+        this.siftUp(this.heap.length - 1);
+    }
+
+    /**
+     * Default priority order: lower numbers first
+     * @param {number} a - First priority
+     * @param {number} b - Second priority
+     * @returns {number} Negative if a comes first, positive if b does, 0 on a tie
+     */
+    static compareNumbers(a, b) {
+        if (a < b) return -1;
+        return a > b ? 1 : 0;
+    }
+
+    /**
+     * Lower the priority of a queued item
+     * By default the item keeps its insertion order among ties; in stable mode it
+     * queues behind items that already had the new priority
+     * @param {*} item - Queued item
+     * @param {number} priority - New priority (ignored if not lower)
+     */
+    decreaseKey(item, priority) {
+        const index = this.positions.get(item);
+        if (index === undefined) return;
+        if (this.compare(priority, this.heap[index].priority) >= 0) return;
+        this.setPriority(this.heap[index], priority);
+        this.siftUp(index);
+    }
+
+    /**
+     * Change the priority of a queued item, up or down
+     * @param {*} item - Queued item
+     * @param {*} priority - New priority
+     */
+    update(item, priority) {
+        const index = this.positions.get(item);
+        if (index === undefined) return;
+        this.setPriority(this.heap[index], priority);
+        this.siftUp(index);
+        this.siftDown(this.positions.get(item));
+    }
+
+    /**
+     * Store a new priority on an entry, recording when it changed in stable mode
+     * @param {Object} entry - Heap entry
+     * @param {*} priority - New priority
+     */
+    setPriority(entry, priority) {
+        entry.priority = priority;
+        if (!entry.history) return;
+        if (entry.history[0].round === this.round) {
+            entry.history[0].priority = priority;
+        } else {
+            entry.history.unshift({ priority, round: this.round });
+        }
+    }
+
+    /**
+     * Remove an item from anywhere in the queue
+     * @param {*} item - Item to remove
+     * @returns {boolean} True if the item was queued
+     */
+    remove(item) {
+        const index = this.positions.get(item);
+        if (index === undefined) return false;
+        const last = this.heap.pop();
+        this.positions.delete(item);
+        if (index < this.heap.length) {
+            this.heap[index] = last;
+            this.positions.set(last.item, index);
+            this.siftUp(index);
+            this.siftDown(this.positions.get(last.item));
+        }
+        return true;
+    }
+
+    /**
+     * Look at the item with the lowest priority without removing it
+     * @returns {*} Front item, or undefined if empty
+     */
+    peek() {
+        return this.heap.length > 0 ? this.heap[0].item : undefined;
+    }
+
+    /**
+     * Remove and return the item with the lowest priority
+     * @returns {*} Front item, or undefined if empty
+     */
+    pop() {
+        if (this.heap.length === 0) return undefined;
+        const top = this.heap[0];
+        const last = this.heap.pop();
+        this.round++;
+        this.positions.delete(top.item);
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.positions.set(last.item, 0);
+            this.siftDown(0);
+        }
+        return top.item;
+    }
+
+    /**
+     * Remove all items
+     */
+    clear() {
+        this.heap = [];
+        this.positions.clear();
+        this.insertionCounter = 0;
+        this.round = 0;
+    }
+
+    /**
+     * Compare two heap entries by priority, then (in stable mode) priority history, then order
+     * @returns {boolean} True if entry a should be popped before entry b
+     */
+    isBefore(a, b) {
+        const order = this.compare(a.priority, b.priority);
+        if (order !== 0) return order < 0;
+        if (this.stable) {
+            const tie = this.compareHistory(a.history, b.history);
+            if (tie !== 0) return tie < 0;
+        }
+        return a.order < b.order;
+    }
+
+    /**
+     * Order two tied entries as a stable sort before every pop would have left them:
+     * whichever reached the shared priority in an earlier round stays in front, and two
+     * that reached it in the same round keep the order their previous priorities gave them
+     * @param {Array} a - History of the first entry, newest first
+     * @param {Array} b - History of the second entry, newest first
+     * @returns {number} Negative if a comes first, positive if b does, 0 if still tied
+     */
+    compareHistory(a, b) {
+        for (let i = 0; i < a.length && i < b.length; i++) {
+            if (a[i].round !== b[i].round) return a[i].round - b[i].round;
+            const previousA = a[i + 1];
+            const previousB = b[i + 1];
+            // An item with no earlier priority was not queued yet, so it sorted last
+            if (!previousA && !previousB) return 0;
+            if (!previousA || !previousB) return previousA ? -1 : 1;
+            const order = this.compare(previousA.priority, previousB.priority);
+            if (order !== 0) return order;
+        }
+        return 0;
+    }
+
+    siftUp(index) {
+        const entry = this.heap[index];
+        while (index > 0) {
+            const parentIndex = (index - 1) >> 1;
+            const parent = this.heap[parentIndex];
+            if (!this.isBefore(entry, parent)) break;
+            this.heap[index] = parent;
+            this.positions.set(parent.item, index);
+            index = parentIndex;
+        }
+        this.heap[index] = entry;
+        this.positions.set(entry.item, index);
+    }
+
+    siftDown(index) {
+        const length = this.heap.length;
+        const entry = this.heap[index];
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let smallest = index;
+            let smallestEntry = entry;
+            if (left < length && this.isBefore(this.heap[left], smallestEntry)) {
+                smallest = left;
+                smallestEntry = this.heap[left];
+            }
+            if (right < length && this.isBefore(this.heap[right], smallestEntry)) {
+                smallest = right;
+                smallestEntry = this.heap[right];
+            }
+            if (smallest === index) break;
+            this.heap[index] = smallestEntry;
+            this.positions.set(smallestEntry.item, index);
+            index = smallest;
+        }
+        this.heap[index] = entry;
+        this.positions.set(entry.item, index);
+    }
+}